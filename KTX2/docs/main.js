@@ -5,17 +5,9 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
 
 <div id="log" style="width:100%; padding:6px 8px; background:#111; color:#ddd; font:12px monospace; border-radius:6px; box-sizing:border-box; margin-bottom:12px; max-height:120px; overflow-y:auto; display:none;"></div>
 
-<div style="margin-top:16px;">
-  <label for="tonemapSelect" style="color:#8cf;">Tonemapping:</label>
-  <select id="tonemapSelect" style="width:100%; margin-top:4px; background:#111; color:#ddd; border:1px solid #333; padding:4px;">
-    <option value="0">None</option>
-    <option value="1">Reinhard</option>
-    <option value="2">Hable(ACES Approximation)</option>
-    <option value="3">ACES2065-1</option>
-  </select>
-</div>
+<div style="margin-top:16px; font-size:12px; color:#8cf;">Display pipeline: exposure → tone mapping → display transform</div>
 
-<div style="margin-bottom:8px;">
+<div style="margin-top:8px; margin-bottom:8px;">
   <label style="display:block; font-size:12px;">Exposure (EV)</label>
   <input id="ev" type="range" min="-10" max="10" step="0.1" value="0" style="width:100%" />
   <div style="display:flex; justify-content:space-between; font-size:12px; margin-top:4px;">
@@ -24,9 +16,44 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
   </div>
 </div>
 
+<div style="margin-top:8px; margin-bottom:8px;">
+  <label for="tonemapSelect" style="display:block; font-size:12px;">Tone mapping</label>
+  <select id="tonemapSelect" style="width:100%; margin-top:4px; background:#111; color:#ddd; border:1px solid #333; padding:4px;">
+    <option value="0">None</option>
+    <option value="1">Reinhard</option>
+    <option value="2">Hable (Uncharted 2 filmic)</option>
+    <option value="3">ACES fitted</option>
+    <option value="4">AgX</option>
+    <option value="5">Khronos PBR Neutral</option>
+  </select>
+  <div id="tonemapDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
+</div>
+
+<div style="margin-top:8px; margin-bottom:8px;">
+  <label for="displayTransform" style="display:block; font-size:12px;">Display transform</label>
+  <select id="displayTransform" style="width:100%; margin-top:4px; background:#111; color:#ddd; border:1px solid #333; padding:4px;">
+    <option value="0">sRGB</option>
+    <option value="1">Linear (no encoding)</option>
+  </select>
+  <div id="displayDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
+  <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:6px;">
+    <input id="hdrOutput" type="checkbox" />
+    HDR output (rgba16float canvas, extended range)
+  </label>
+</div>
+
+<div id="stats-controls" style="margin-top:8px; margin-bottom:8px;">
+  <div style="display:flex; align-items:center; justify-content:space-between; margin-bottom:4px;">
+    <label style="font-size:12px;">Statistics (selected mip)</label>
+    <button id="autoExposeBtn" style="padding:2px 8px; background:#333; color:#ddd; border:1px solid #555; border-radius:3px; cursor:pointer; font:11px monospace;">Auto-expose</button>
+  </div>
+  <canvas id="statsCanvas" width="256" height="64" style="width:100%; height:64px; background:#0d0d0d; border-radius:4px;"></canvas>
+  <div id="statsText" style="font:11px/1.5 monospace; margin-top:4px; white-space:pre; color:#ccc;"></div>
+</div>
+
 <div style="margin-top:8px; margin-bottom:8px;">
   <label style="display:block; font-size:12px;">Open file</label>
-  <input id="file" type="file" accept="image/png, image/jpeg, image/webp, .ktx2, .gltf, .glb" style="width:100%" />
+  <input id="file" type="file" accept="image/png, image/jpeg, image/webp, .hdr, .exr, .ktx2, .ktx, .dds" style="width:100%" />
 </div>
 
 <div style="margin-top:8px; margin-bottom:8px;">
@@ -39,6 +66,78 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
   </select>
 </div>
 
+<div id="zoom-controls" style="margin-top:8px; margin-bottom:8px;">
+  <label style="display:block; font-size:12px; margin-bottom:4px;">View (wheel to zoom, drag to pan)</label>
+  <div style="display:flex; align-items:center; gap:6px;">
+    <button id="zoomFit" style="flex:1; padding:3px 0; background:#333; color:#ddd; border:1px solid #555; border-radius:3px; cursor:pointer; font:11px monospace;">Fit</button>
+    <button id="zoom1to1" style="flex:1; padding:3px 0; background:#333; color:#ddd; border:1px solid #555; border-radius:3px; cursor:pointer; font:11px monospace;">1:1</button>
+    <button id="zoomFill" style="flex:1; padding:3px 0; background:#333; color:#ddd; border:1px solid #555; border-radius:3px; cursor:pointer; font:11px monospace;">Fill</button>
+    <div id="zoomLabel" style="width:48px; text-align:right; font-size:12px;">100%</div>
+  </div>
+</div>
+
+<div style="margin-top:8px; margin-bottom:8px;">
+  <label style="display:block; font-size:12px; margin-bottom:4px;">Basis transcode target</label>
+  <select id="basisTarget" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="auto">Auto (best for this GPU)</option>
+    <option value="bc7">BC7</option>
+    <option value="bc3">BC3 (DXT5)</option>
+    <option value="bc1">BC1 (DXT1)</option>
+    <option value="bc4">BC4 (R)</option>
+    <option value="bc5">BC5 (RG)</option>
+    <option value="etc2">ETC2 RGBA</option>
+    <option value="etc1">ETC2 RGB (ETC1)</option>
+    <option value="astc">ASTC 4x4</option>
+    <option value="bc6h">BC6H (HDR)</option>
+    <option value="rgba16f">RGBA16F (HDR)</option>
+    <option value="rgba32">RGBA8 (uncompressed)</option>
+  </select>
+</div>
+
+<div id="ktx2-controls" style="margin-top:8px; margin-bottom:8px; display:none;">
+  <div style="display:flex; align-items:center; gap:8px;">
+    <button id="ktx2ValidateBtn" style="padding:4px 10px; background:#0e639c; color:white; border:none; border-radius:4px; cursor:pointer; font:12px monospace;">Validate KTX2</button>
+    <div id="ktx2ValidateStatus" style="font-size:12px; color:#888;"></div>
+  </div>
+  <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:6px;">
+    <input id="rawData" type="checkbox" />
+    Raw data (ignore KTXorientation / KTXswizzle)
+  </label>
+</div>
+
+<div id="export-controls" style="margin-top:8px; margin-bottom:8px;">
+  <label style="display:block; font-size:12px; margin-bottom:4px;">Export</label>
+  <div style="display:flex; align-items:center; gap:6px;">
+    <select id="exportKind" style="flex:1; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+      <option value="canvas">View as displayed (PNG)</option>
+      <option value="png">Selected mip, stored (PNG)</option>
+      <option value="exr">Selected mip, stored (EXR float)</option>
+      <option value="hdr">Selected mip, stored (Radiance HDR)</option>
+      <option value="ktx2">All decoded mips (KTX2)</option>
+    </select>
+    <button id="exportBtn" style="padding:4px 10px; background:#0e639c; color:white; border:none; border-radius:4px; cursor:pointer; font:12px monospace;">Save</button>
+  </div>
+</div>
+
+<div id="compare-controls" style="margin-top:8px; margin-bottom:8px;">
+  <label style="display:block; font-size:12px; margin-bottom:4px;">A/B compare (B is drawn with A's view settings)</label>
+  <input id="fileB" type="file" accept="image/png, image/jpeg, image/webp, .hdr, .exr, .ktx2, .ktx, .dds" style="width:100%" />
+  <div id="compareBLabel" style="font-size:11px; color:#888; margin:4px 0;">B: none</div>
+  <select id="compareMode" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="off">Off (A only)</option>
+    <option value="split">Split (drag the line)</option>
+    <option value="side">Side by side</option>
+    <option value="flicker">Flicker</option>
+    <option value="diff">Difference heatmap</option>
+  </select>
+  <div id="diff-row" style="display:none; align-items:center; gap:8px; margin-top:6px;">
+    <label style="font-size:12px;">Gain</label>
+    <input id="diffGain" type="range" min="0" max="8" step="1" value="3" style="flex:1" />
+    <div id="diffGainLabel" style="width:36px; text-align:right; font-size:12px;">×8</div>
+  </div>
+  <div id="compareStats" style="font:11px/1.5 monospace; margin-top:6px; white-space:pre; color:#ccc;"></div>
+</div>
+
 <div id="mip-controls" style="margin-top:8px; display:none;">
   <label style="font-size:12px; display:block; margin-bottom:6px;">Mipmap preview</label>
   <div style="display:flex; align-items:center; gap:8px;">
@@ -48,35 +147,161 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
   <div style="margin-top:6px; display:flex; align-items:center; gap:8px; font-size:12px;">
     <input id="mipOnly" type="checkbox" /> <label for="mipOnly">Show only selected mip</label>
   </div>
+  <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+    <input id="mipSheet" type="checkbox" /> <label for="mipSheet">Contact sheet (all levels)</label>
+  </div>
+  <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+    <input id="mipHeat" type="checkbox" /> <label for="mipHeat">Mip level heat overlay</label>
+  </div>
+  <div id="mipHeatLegend" style="margin-top:4px; display:none; gap:2px; font:10px monospace;"></div>
+  <div id="mipgen-controls" style="margin-top:8px; display:none;">
+    <label style="font-size:12px; display:block; margin-bottom:4px;">Mip generation (images)</label>
+    <select id="mipFilter" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+      <option value="0">Box (2×2 average)</option>
+      <option value="1" selected>Kaiser</option>
+      <option value="2">Lanczos-3</option>
+    </select>
+    <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+      <input id="mipLinear" type="checkbox" checked /> <label for="mipLinear">Filter in linear light</label>
+    </div>
+    <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+      <input id="mipAlphaWeighted" type="checkbox" checked /> <label for="mipAlphaWeighted">Alpha-weighted</label>
+    </div>
+  </div>
 </div>
 
-<div style="margin-top:8px;">
+<div id="layer-controls" style="margin-top:8px; display:none;">
+  <label style="font-size:12px; display:block; margin-bottom:6px;">Array layer</label>
+  <div style="display:flex; align-items:center; gap:8px;">
+    <input id="layerSlider" type="range" min="0" max="0" value="0" step="1" style="flex:1" />
+    <div id="layerLabel" style="width:28px; text-align:center;">0</div>
+  </div>
+</div>
+
+<div id="cube-controls" style="margin-top:8px; display:none;">
+  <label style="font-size:12px; display:block; margin-bottom:4px;">Cubemap view</label>
+  <select id="cubeView" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="cross">Unfolded cross</option>
+    <option value="flat">Single face</option>
+    <option value="skybox">Skybox (drag to look, wheel to zoom)</option>
+  </select>
+  <div id="face-row" style="margin-top:6px; display:none; align-items:center; gap:8px; font-size:12px;">
+    <label for="faceSelect">Face</label>
+    <select id="faceSelect" style="flex:1; padding:2px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+      <option value="0">+X</option>
+      <option value="1">-X</option>
+      <option value="2">+Y</option>
+      <option value="3">-Y</option>
+      <option value="4">+Z</option>
+      <option value="5">-Z</option>
+    </select>
+  </div>
+</div>
+
+<div id="volume-controls" style="margin-top:8px; display:none;">
+  <label style="font-size:12px; display:block; margin-bottom:4px;">Volume slice</label>
+  <select id="sliceAxis" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="0">XY (along Z)</option>
+    <option value="1">XZ (along Y)</option>
+    <option value="2">YZ (along X)</option>
+  </select>
+  <div style="margin-top:6px; display:flex; align-items:center; gap:8px;">
+    <input id="sliceSlider" type="range" min="0" max="0" value="0" step="1" style="flex:1" />
+    <div id="sliceLabel" style="width:56px; text-align:center;">0 / 1</div>
+  </div>
+</div>
+
+<div id="colorspace-controls" style="margin-top:8px;">
+  <label style="font-size:12px; display:block; margin-bottom:4px;">Color encoding</label>
+  <select id="colorSpace" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="auto">Auto (from the file)</option>
+    <option value="linear">Linear (data texture)</option>
+    <option value="srgb">sRGB</option>
+  </select>
+  <div id="colorSpaceDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
+</div>
+
+<div id="channel-controls" style="margin-top:8px;">
   <label style="font-size:12px; display:block; margin-bottom:6px;">Channel mix</label>
-  <div style="display:grid; gap:6px;">
-    <div style="display:flex; align-items:center; gap:8px;">
-      <label style="color:#f88; width:12px; font:11px monospace;">R</label>
-      <input id="channelR" type="range" min="0" max="2" step="0.01" value="1" style="flex:1" />
-      <span id="channelRVal" style="width:32px; text-align:right; font:11px monospace;">1.00</span>
-    </div>
-    <div style="display:flex; align-items:center; gap:8px;">
-      <label style="color:#8f8; width:12px; font:11px monospace;">G</label>
-      <input id="channelG" type="range" min="0" max="2" step="0.01" value="1" style="flex:1" />
-      <span id="channelGVal" style="width:32px; text-align:right; font:11px monospace;">1.00</span>
+  <div id="channelPresets" style="display:flex; flex-wrap:wrap; gap:4px;">
+    <button data-preset="rgba" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">RGBA</button>
+    <button data-preset="r" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">R</button>
+    <button data-preset="g" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">G</button>
+    <button data-preset="b" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">B</button>
+    <button data-preset="a" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">A</button>
+    <button data-preset="luma" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">Luma</button>
+    <button data-preset="normal" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">Normal</button>
+    <button data-preset="orm" style="padding:3px 6px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace;">ORM</button>
+  </div>
+  <!-- Rows are output channels, columns the swizzled input channels and a constant offset;
+       the cells are filled in by main.js -->
+  <div id="channelMatrix" style="display:grid; grid-template-columns:14px repeat(5, 1fr); gap:3px; margin-top:6px; font:11px monospace; align-items:center;"></div>
+  <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:6px;">
+    <input id="reconstructZ" type="checkbox" />
+    Reconstruct Z from RG (unit normal)
+  </label>
+  <div id="channelDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
+</div>
+
+<div id="normal-controls" style="margin-top:8px;">
+  <label style="font-size:12px; display:block; margin-bottom:4px;">Normal map</label>
+  <select id="normalMode" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="0">Off</option>
+    <option value="1">Lit by a movable light</option>
+    <option value="2">Normal as color</option>
+  </select>
+  <div id="normal-options" style="display:none;">
+    <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:6px;">
+      <input id="normalFromRG" type="checkbox" />
+      Reconstruct Z from RG
+    </label>
+    <div style="margin-top:6px; display:flex; align-items:center; gap:8px; font-size:12px;">
+      <label for="lightAzimuth" style="width:56px;">Azimuth</label>
+      <input id="lightAzimuth" type="range" min="0" max="360" step="1" value="135" style="flex:1" />
+      <span id="lightAzimuthVal" style="width:32px; text-align:right; font:11px monospace;">135°</span>
     </div>
-    <div style="display:flex; align-items:center; gap:8px;">
-      <label style="color:#88f; width:12px; font:11px monospace;">B</label>
-      <input id="channelB" type="range" min="0" max="2" step="0.01" value="1" style="flex:1" />
-      <span id="channelBVal" style="width:32px; text-align:right; font:11px monospace;">1.00</span>
+    <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+      <label for="lightElevation" style="width:56px;">Elevation</label>
+      <input id="lightElevation" type="range" min="0" max="90" step="1" value="45" style="flex:1" />
+      <span id="lightElevationVal" style="width:32px; text-align:right; font:11px monospace;">45°</span>
     </div>
-    <div style="display:flex; align-items:center; gap:8px;">
-      <label style="color:#ddd; width:12px; font:11px monospace;">A</label>
-      <input id="channelA" type="range" min="0" max="2" step="0.01" value="0" style="flex:1" />
-      <span id="channelAVal" style="width:32px; text-align:right; font:11px monospace;">0.00</span>
+    <div style="margin-top:4px; display:flex; align-items:center; gap:8px; font-size:12px;">
+      <label for="normalTolerance" style="width:56px;">Flag off</label>
+      <input id="normalTolerance" type="range" min="0" max="0.2" step="0.005" value="0.05" style="flex:1" />
+      <span id="normalToleranceVal" style="width:32px; text-align:right; font:11px monospace;">0.050</span>
     </div>
-    <button id="channelReset" style="padding:4px 8px; background:#333; color:#ddd; border:1px solid #555; border-radius:4px; cursor:pointer; font:11px monospace; margin-top:4px;">Reset channels</button>
+    <div id="normalDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
   </div>
 </div>
 
+<div id="alpha-controls" style="margin-top:8px;">
+  <label style="font-size:12px; display:block; margin-bottom:4px;">Alpha</label>
+  <select id="alphaMode" style="width:100%; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+    <option value="0">Ignore (opaque)</option>
+    <option value="1">Over checkerboard</option>
+    <option value="2">Over solid color</option>
+    <option value="3">Coverage mask (alpha &ge; cutoff)</option>
+  </select>
+  <div style="margin-top:6px; display:flex; align-items:center; gap:8px; font-size:12px;">
+    <label for="alphaInterp">Color is</label>
+    <select id="alphaInterp" style="flex:1; padding:4px; background:#222; color:#ddd; border:1px solid #444; border-radius:4px; font:12px monospace;">
+      <option value="auto">Auto (DFD flags)</option>
+      <option value="straight">Straight</option>
+      <option value="premultiplied">Premultiplied</option>
+    </select>
+  </div>
+  <div id="backdrop-row" style="margin-top:6px; display:none; align-items:center; gap:8px; font-size:12px;">
+    <label for="backdropColor">Backdrop</label>
+    <input id="backdropColor" type="color" value="#808080" style="flex:1; height:22px; background:#222; border:1px solid #444; border-radius:4px;" />
+  </div>
+  <div id="cutoff-row" style="margin-top:6px; display:none; align-items:center; gap:8px; font-size:12px;">
+    <label for="alphaCutoff">Cutoff</label>
+    <input id="alphaCutoff" type="range" min="0" max="1" step="0.01" value="0.5" style="flex:1" />
+    <span id="alphaCutoffVal" style="width:32px; text-align:right; font:11px monospace;">0.50</span>
+  </div>
+  <div id="alphaDoc" style="font-size:11px; color:#888; margin-top:4px;"></div>
+</div>
+
 <div id="meta" style="margin-top:12px; white-space:pre-wrap; font-size:12px; opacity:0.9;"></div>
 
 <div id="texInfo" style="margin-top:12px; padding:8px; background:#0d0d0d; border-radius:4px; font-size:11px; display:none;">
@@ -90,6 +315,24 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
   <div>Tips:</div>
   <ul style="padding-left:18px; margin-top:6px;">
     <li>Use Mip slider to inspect individual mip levels.</li>
+    <li>Mip generation: switch the filter with the contact sheet open to compare box, Kaiser and Lanczos-3. Turn off linear light to see the darkening that sRGB-space filtering causes.</li>
+    <li>Mip heat: zoom out and the colors should step through the levels evenly. On the contact sheet, look for a level that is blurrier or darker than its neighbors, or shifted against them.</li>
+    <li>Cubemaps and texture arrays: pick the layer and face, or view a cubemap as a cross or skybox.</li>
+    <li>3D textures: choose a slice plane and scrub through slices at any mip.</li>
+    <li>Basis (ETC1S/UASTC) textures are transcoded to the best format your GPU supports; force another target to compare.</li>
+    <li>Wheel to zoom and drag to pan; 1:1 shows one texel per screen pixel, double-click fits the image again.</li>
+    <li>A/B compare: load a second texture as B (e.g. the source PNG) and use split, side by side, flicker or the difference heatmap; PSNR, SSIM and max error are for the selected mip and layer.</li>
+    <li>Statistics: the histogram spans 2^-16 to 2^16 in stops (the line marks 1.0); Auto-expose sets EV so the log-average luminance lands on middle grey (0.18).</li>
+    <li>Open environments/ktx/*_ibl.ktx to inspect the prefiltered IBL mips that Filament samples; the cross and skybox views show all six faces.</li>
+    <li>DDS files open like KTX2 ones. Legacy DDS files carry no color space, so use Color encoding to view their color maps as sRGB.</li>
+    <li>.hdr, .exr and 16-bit PNG files load as rgba16float with values above 1 intact: lower the exposure to look into bright skies and lights.</li>
+    <li>Color encoding: set "Linear" for normal, roughness or other data maps stored as PNG, so their values are not decoded as sRGB.</li>
+    <li>Channel mix: each row is an output channel, made from the input channels plus an offset (the + column). Presets fill in the matrix, and any cell can be edited.</li>
+    <li>Normal maps in DirectX convention (Y down): set the G row of the channel mix to −1 with offset 1 so the light matches.</li>
+    <li>Alpha: the coverage mask shows which texels survive an alpha test at the cutoff. Check it at lower mips to spot foliage thinning out.</li>
+    <li>HDR output needs an HDR display and a browser with extended canvas tone mapping; raise the exposure to see highlights above SDR white.</li>
+    <li>Export: "stored" saves the selected mip's decoded values without tonemapping; KTX2 re-packs the decoded levels, so Basis or Zstandard files come out in their GPU format without supercompression.</li>
+    <li>Hover the image to read the texel under the cursor at the selected mip: stored, decoded, mixed and displayed values.</li>
     <li>Drag and drop files onto the page to load them.</li>
   </ul>
 </div>
@@ -101,7 +344,9 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
   <div id="appLog" style="width:100%; padding:6px 8px; background:#0a0a0a; color:#aaa; font:11px monospace; border-radius:4px; box-sizing:border-box; max-height:150px; overflow-y:auto; border:1px solid #333; display:none;"></div>
 </div>
 `;
+  /* global GPUBufferUsage, GPUTextureUsage, GPUMapMode */
 
+  // Minimal logger (uses #log in sidebar)
   const log = (msg) => {
     const el = document.getElementById('log');
     if (el) {
@@ -265,7 +510,8 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
 
   // main WebGPU setup
   (async () => {
-    try {
+    // The viewer; a failed start is reported to the app log by the caller below
+    async function main() {
       if (!('gpu' in navigator)) { 
         logApp('WebGPU not available in this browser.', 'error'); 
         throw new Error('WebGPU not available');
@@ -293,6 +539,13 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
       if (supportsETC2) requiredFeatures.push("texture-compression-etc2");
       if (supportsASTC) requiredFeatures.push("texture-compression-astc");
 
+      // Block-compressed 3D textures need their own features
+      for (const f of ["texture-compression-bc-sliced-3d", "texture-compression-astc-sliced-3d"]) {
+        if (adapter.features.has(f)) {
+          requiredFeatures.push(f);
+        }
+      }
+
       const device = await adapter.requestDevice({ requiredFeatures });
 
       if (!adapter) { 
@@ -300,8 +553,6 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
         throw new Error('No GPU adapter');
       }
 
-      const bcSupported = adapter.features.has('texture-compression-bc');
-
       device.addEventListener?.('uncapturederror', (e) => {
         console.error('WebGPU uncaptured error:', e.error || e);
         logApp('WebGPU: ' + (e.error?.message || e.message || 'unknown error'), 'error');
@@ -330,12 +581,21 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
 
       // UI refs (now guaranteed to exist either via template or injection)
       const tonemapSelect = document.getElementById('tonemapSelect');
+      const tonemapDoc    = document.getElementById('tonemapDoc');
+      const displayTransformSel = document.getElementById('displayTransform');
+      const displayDoc    = document.getElementById('displayDoc');
+      const hdrOutputBox  = document.getElementById('hdrOutput');
       const evInput = document.getElementById('ev');
       const evVal   = document.getElementById('evv');
       const fileInp = document.getElementById('file');
       const stat    = document.getElementById('stat');
       const meta    = document.getElementById('meta');
       const filterMode = document.getElementById('filterMode');
+      const basisTargetSel = document.getElementById('basisTarget');
+      const ktx2Controls = document.getElementById('ktx2-controls');
+      const ktx2ValidateBtn = document.getElementById('ktx2ValidateBtn');
+      const ktx2ValidateStatus = document.getElementById('ktx2ValidateStatus');
+      const rawDataBox = document.getElementById('rawData');
 
       // glTF specific UI
       const gltfControls = document.getElementById('gltf-controls');
@@ -345,29 +605,48 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
       const mipSlider   = document.getElementById('mipSlider');
       const mipLabel    = document.getElementById('mipLabel');
       const mipOnlyBox  = document.getElementById('mipOnly');
+      const mipSheetBox = document.getElementById('mipSheet');
+      const mipHeatBox  = document.getElementById('mipHeat');
+
+      const layerControls = document.getElementById('layer-controls');
+      const layerSlider   = document.getElementById('layerSlider');
+      const layerLabel    = document.getElementById('layerLabel');
+      const cubeControls  = document.getElementById('cube-controls');
+      const cubeViewSel   = document.getElementById('cubeView');
+      const faceRow       = document.getElementById('face-row');
+      const faceSelect    = document.getElementById('faceSelect');
+
+      const volumeControls = document.getElementById('volume-controls');
+
+      const zoomFitBtn  = document.getElementById('zoomFit');
+      const zoom1to1Btn = document.getElementById('zoom1to1');
+      const zoomFillBtn = document.getElementById('zoomFill');
+      const zoomLabel   = document.getElementById('zoomLabel');
+
+      const fileBInp        = document.getElementById('fileB');
+      const compareBLabel   = document.getElementById('compareBLabel');
+      const compareModeSel  = document.getElementById('compareMode');
+      const diffRow         = document.getElementById('diff-row');
+      const diffGainInput   = document.getElementById('diffGain');
+      const diffGainLabel   = document.getElementById('diffGainLabel');
+      const compareStats    = document.getElementById('compareStats');
+
+      const autoExposeBtn = document.getElementById('autoExposeBtn');
+      const statsCanvas   = document.getElementById('statsCanvas');
+      const statsText     = document.getElementById('statsText');
+
+      const exportKindSel = document.getElementById('exportKind');
+      const exportBtn     = document.getElementById('exportBtn');
+      const sliceAxisSel   = document.getElementById('sliceAxis');
+      const sliceSlider    = document.getElementById('sliceSlider');
+      const sliceLabel     = document.getElementById('sliceLabel');
 
       const texInfo = document.getElementById('texInfo');
       const texInfoContent = document.getElementById('texInfoContent');
 
-      const channelR = document.getElementById('channelR');
-      const channelG = document.getElementById('channelG');
-      const channelB = document.getElementById('channelB');
-      const channelA = document.getElementById('channelA');
-      const channelRVal = document.getElementById('channelRVal');
-      const channelGVal = document.getElementById('channelGVal');
-      const channelBVal = document.getElementById('channelBVal');
-      const channelAVal = document.getElementById('channelAVal');
-      const channelReset = document.getElementById('channelReset');
-
-      // Get channel multipliers
-      function getChannelMultipliers() {
-        return {
-          r: parseFloat(channelR.value),
-          g: parseFloat(channelG.value),
-          b: parseFloat(channelB.value),
-          a: parseFloat(channelA.value)
-        };
-      }
+      const channelMatrixEl = document.getElementById('channelMatrix');
+      const reconstructZBox = document.getElementById('reconstructZ');
+      const channelDoc      = document.getElementById('channelDoc');
 
       // Format bytes for display
       function formatBytes(bytes) {
@@ -378,46 +657,92 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
         return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
       }
 
-      // Calculate GPU memory for a texture
-      function calculateGPUMemory(width, height, format, mipLevels) {
-        // Bytes per pixel for different formats
-        const formatSizes = {
-          'rgba8unorm': 4,
-          'bc1-rgba-unorm': 0.5,  // 4 bits per pixel
-          'bc2-rgba-unorm': 1,    // 8 bits per pixel
-          'bc3-rgba-unorm': 1,    // 8 bits per pixel
-          'bc4-r-unorm': 0.5,     // 4 bits per pixel
-          'bc5-rg-unorm': 1,      // 8 bits per pixel
-          'bc6h-rgb-ufloat': 1,   // 8 bits per pixel
-          'bc7-rgba-unorm': 1     // 8 bits per pixel
-        };
-
-        const bytesPerPixel = formatSizes[format] || 4;
+      // Calculate GPU memory for a texture (imageCount = array layers × faces, depth for 3D)
+      function calculateGPUMemory(width, height, format, mipLevels, imageCount = 1, depth = 1) {
+        // Block-compressed levels occupy whole blocks; unknown formats count as 4 bytes per texel
+        const block = window.getTexelBlockInfo(format) || { blockWidth: 1, blockHeight: 1, bytesPerBlock: 4 };
         let totalBytes = 0;
 
         // Calculate for each mip level
         for (let i = 0; i < mipLevels; i++) {
-          const mipWidth = Math.max(1, width >> i);
-          const mipHeight = Math.max(1, height >> i);
-          totalBytes += mipWidth * mipHeight * bytesPerPixel;
+          const blocksWide = Math.ceil(Math.max(1, width >> i) / block.blockWidth);
+          const blocksHigh = Math.ceil(Math.max(1, height >> i) / block.blockHeight);
+          const mipDepth = Math.max(1, depth >> i);
+          totalBytes += blocksWide * blocksHigh * mipDepth * block.bytesPerBlock;
+        }
+
+        return totalBytes * imageCount;
+      }
+
+      // Data Format Descriptor: basic block fields, one row per sample, then any extra blocks
+      function renderDFDTable(dfd) {
+        const cell = 'padding:1px 4px; border-bottom:1px solid #222; text-align:right;';
+        const head = 'padding:1px 4px; border-bottom:1px solid #333; color:#aaa; font-weight:normal; text-align:right;';
+        const fmt = (v) => Number.isInteger(v) ? String(v) : v.toPrecision(6);
+
+        let html = '';
+        if (dfd.samples) {
+          html += `<div>Model: ${dfd.colorModelName} (${dfd.colorModel})</div>`;
+          html += `<div>Primaries: ${dfd.colorPrimariesName} (${dfd.colorPrimaries})</div>`;
+          html += `<div>Transfer: ${dfd.transferFunctionName} (${dfd.transferFunction})</div>`;
+          html += `<div>Flags: ${dfd.premultipliedAlpha ? 'ALPHA_PREMULTIPLIED' : 'ALPHA_STRAIGHT'} (0x${dfd.flags.toString(16)})</div>`;
+          html += `<div>Texel block: ${dfd.texelBlockDimension.join('×')}</div>`;
+          html += `<div>Bytes/plane: ${dfd.bytesPlane.join(', ')}</div>`;
+
+          html += `<div style="overflow-x:auto;"><table style="border-collapse:collapse; margin:4px 0; font:10px monospace;">`;
+          html += `<tr>${['#', 'Channel', 'Offset', 'Bits', 'Qual', 'Pos', 'Lower', 'Upper']
+            .map(h => `<th style="${head}">${h}</th>`).join('')}</tr>`;
+          dfd.samples.forEach((smp, i) => {
+            const q = smp.qualifiers;
+            const qual = (q.float ? 'F' : '') + (q.signed ? 'S' : '') + (q.exponent ? 'E' : '') + (q.linear ? 'L' : '') || '-';
+            html += '<tr>' + [
+              i, `${smp.channelName} (${smp.channelType})`, smp.bitOffset, smp.bitLength, qual,
+              smp.samplePosition.join(','), fmt(smp.sampleLower), fmt(smp.sampleUpper)
+            ].map(v => `<td style="${cell}">${v}</td>`).join('') + '</tr>';
+          });
+          html += `</table></div>`;
         }
 
-        return totalBytes;
+        for (const b of dfd.blocks.filter(b => !b.samples)) {
+          html += `<div>Extra block: vendor ${b.vendorId}, type ${b.descriptorType}, v${b.versionNumber}, ${b.descriptorBlockSize} bytes</div>`;
+        }
+        return html;
       }
 
       // Update texture info panel
-      function updateTextureInfo(fileSize, width, height, format, mipLevels, fileName, metadata = null) {
-        const gpuMemory = calculateGPUMemory(width, height, format, mipLevels);
+      function updateTextureInfo(fileSize, width, height, format, mipLevels, fileName, metadata = null, gpuFormat = format) {
+        const imageCount = (metadata?.layers || 1) * (metadata?.faces || 1);
+        const depth = metadata?.depth || 1;
+        const gpuMemory = calculateGPUMemory(width, height, gpuFormat, mipLevels, imageCount, depth);
         const aspectRatio = (width / height).toFixed(3);
         
         let html = `<div style="color:#8cf;">Dimensions:</div>`;
-        html += `<div style="margin-left:8px; margin-bottom:4px;">${width} × ${height} (${aspectRatio}:1)</div>`;
+        html += depth > 1
+          ? `<div style="margin-left:8px; margin-bottom:4px;">${width} × ${height} × ${depth} (3D)</div>`
+          : `<div style="margin-left:8px; margin-bottom:4px;">${width} × ${height} (${aspectRatio}:1)</div>`;
         
         html += `<div style="color:#8cf;">Format:</div>`;
         html += `<div style="margin-left:8px; margin-bottom:4px;">${format}</div>`;
+
+        if (metadata?.transcodedTo) {
+          html += `<div style="color:#8cf;">Transcoded To:</div>`;
+          html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.transcodedTo}</div>`;
+        }
         
         html += `<div style="color:#8cf;">Mip Levels:</div>`;
         html += `<div style="margin-left:8px; margin-bottom:4px;">${mipLevels}</div>`;
+
+        if (imageCount > 1) {
+          const parts = [];
+          if ((metadata.layers || 1) > 1) {
+            parts.push(`${metadata.layers} layers`);
+          }
+          if (metadata.faces === 6) {
+            parts.push('6 faces (cubemap)');
+          }
+          html += `<div style="color:#8cf;">Images:</div>`;
+          html += `<div style="margin-left:8px; margin-bottom:4px;">${parts.join(', ')}</div>`;
+        }
         
         html += `<div style="color:#8cf;">File Size:</div>`;
         html += `<div style="margin-left:8px; margin-bottom:4px;">${formatBytes(fileSize)}</div>`;
@@ -441,7 +766,7 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
           }
           if (metadata.dfd) {
             html += `<div style="color:#8cf;">DFD:</div>`;
-            html += `<div style="margin-left:8px;">${metadata.dfd}</div>`;
+            html += `<div style="margin-left:8px;">${renderDFDTable(metadata.dfd)}</div>`;
           }
         }
         
@@ -449,17 +774,32 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
         texInfo.style.display = 'block';
       }
 
+      // HDR output: an rgba16float canvas with extended tone mapping, so values above 1.0
+      // reach the display as highlights instead of clipping (see setHdrOutput)
+      let hdrOutput = false;
+
+      function canvasFormat() {
+        return hdrOutput ? 'rgba16float' : format;
+      }
+
+      function configureCanvas() {
+        context.configure(hdrOutput
+          ? { device, format: 'rgba16float', alphaMode: 'opaque', toneMapping: { mode: 'extended' } }
+          : { device, format, alphaMode: 'opaque' });
+      }
+
       // Swapchain configuration using canvas container size
       let lastW = 0, lastH = 0;
       function configureIfNeeded() {
-        // Use canvas.clientWidth/Height to respect layout
-        const dpr = 1;
+        // Use canvas.clientWidth/Height to respect layout, at device resolution so
+        // 1:1 shows one texel per physical pixel
+        const dpr = window.devicePixelRatio || 1;
         const w = Math.max(1, Math.floor(canvas.clientWidth  * dpr));
         const h = Math.max(1, Math.floor(canvas.clientHeight * dpr));
         if (w !== lastW || h !== lastH) {
           canvas.width  = w;
           canvas.height = h;
-          context.configure({ device, format, alphaMode: 'opaque' });
+          configureCanvas();
           lastW = w; lastH = h;
         }
       }
@@ -468,24 +808,102 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
 
       // Uniform buffer for parameters
       const uniformBuf = device.createBuffer({
-        size: 256,
+        size: 512,
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
       });
 
-      let tonemapType = 0; // 0 - none, 1 - Reinhard, 2 - Hable(ACES Approximation), 3 - ACES2065-1
+      // Display pipeline: exposure → tone mapping → display transform (display() in shaders.wgsl)
       let exposureEV = 0;
-      function updateUniforms() {
-        const mul = Math.pow(2, exposureEV);
-        const ch = getChannelMultipliers();
-        const arr = new Float32Array([exposureEV, mul, lastW, lastH, ch.r, ch.g, ch.b, ch.a, tonemapType]);
-        device.queue.writeBuffer(uniformBuf, 0, arr.buffer);
+      let tonemapType = 0;      // 0 none, 1 Reinhard, 2 Hable, 3 ACES fitted, 4 AgX, 5 Khronos PBR Neutral
+      let displayTransform = 0; // 0 sRGB, 1 linear
+
+      const TONEMAP_DOCS = [
+        'Values pass through unchanged; anything above 1.0 clips in the display transform.',
+        'x / (1 + x): never clips, but compresses highlights and mid-tones alike.',
+        'Filmic curve with a toe and a long shoulder (white point 11.2, exposure bias 2).',
+        'Stephen Hill\'s fit of the ACES RRT + sRGB ODT: contrasty, saturated highlights shift hue.',
+        'Log encoding plus sigmoid: bright saturated colors desaturate towards white without hue skews.',
+        'Leaves values below ~0.8 untouched and rolls off highlights; meant for judging material colors.'
+      ];
+      const DISPLAY_DOCS = [
+        'Piecewise sRGB encoding for an sRGB display. The canvas format is not -srgb, so the shader encodes.',
+        'Writes display-linear values unencoded: for reading values, it looks dark on an sRGB display.'
+      ];
+
+      // Skybox camera (radians)
+      let skyYaw = 0, skyPitch = 0, skyFovY = Math.PI / 2;
+
+      // Pan / zoom. The image is drawn into a rectangle of canvas pixels: view.x/y is its
+      // top-left corner and view.zoom the canvas pixels per base-level texel. The fit, fill
+      // and 1:1 modes recompute it every frame; wheel and drag switch to free mode.
+      const view = { x: 0, y: 0, zoom: 1, mode: 'fit' };
+
+      function updateView() {
+        if (view.mode !== 'free') {
+          const [w, h] = contentSize();
+          view.zoom = view.mode === '1:1' ? 1 : (view.mode === 'fill' ? Math.max : Math.min)(lastW / w, lastH / h);
+          // Whole-pixel offsets keep 1:1 texels on pixel boundaries
+          view.x = Math.round((lastW - w * view.zoom) / 2);
+          view.y = Math.round((lastH - h * view.zoom) / 2);
+        }
+        const label = `${+(view.zoom * 100).toPrecision(3)}%`;
+        if (zoomLabel.textContent !== label) {
+          zoomLabel.textContent = label;
+        }
       }
 
-      // tonemapType select
-      tonemapSelect.oninput = () => { 
-        tonemapType = parseInt(tonemapSelect.value); 
+      // KTXorientation / KTXswizzle of the current KTX2 file; raw mode shows the stored data as-is
+      let ktxOrientation = window.parseKTXOrientation(null);
+      let ktxSwizzle = null;
+      let showRawData = false;
+
+      // Array layer / cubemap state
+      let texLayers = 1;      // array layers (1 for plain 2D)
+      let texFaces = 1;       // 6 for cubemaps
+      let currentLayer = 0;
+      let currentFace = 0;
+      let viewMode = 'flat';  // 'flat' | 'cross' | 'skybox' | 'volume'
+      let cubeView = null;    // texture_cube view used by the skybox
+
+      // Volume (3D texture) state
+      let texSize = [2, 2, 1]; // base level width, height, depth
+      let texDepth = 1;        // > 1 only for 3D textures
+      let volumeView = null;
+      let sliceAxis = 0;       // 0 = XY, 1 = XZ, 2 = YZ
+      let sliceIndex = 0;      // slice within the current mip
+
+      // A/B compare: slot B holds a second texture that the flat view draws against the
+      // main one (slot A). Loaded through the same loaders with slot = 'B'.
+      const compareB = { tex: null, view: null, mipCount: 0, orientation: window.parseKTXOrientation(null), swizzle: null };
+      let compareMode = 'off';  // 'off' | 'split' | 'side' | 'flicker' | 'diff'
+      let compareSplit = 0.5;   // split line, canvas uv
+      let diffGain = 8;
+      let flickerShowB = false;
+      const COMPARE_SHADER_MODES = { a: 0, split: 1, side: 2, b: 3, diff: 4 };
+
+      // HDR output replaces both stages, so their selects are disabled meanwhile
+      function updatePipelineDocs() {
+        tonemapSelect.disabled = hdrOutput;
+        displayTransformSel.disabled = hdrOutput;
+        tonemapDoc.textContent = hdrOutput
+          ? 'Bypassed by HDR output: values above 1.0 show brighter than SDR white, up to the display\'s headroom.'
+          : TONEMAP_DOCS[tonemapType];
+        displayDoc.textContent = hdrOutput
+          ? 'Extended sRGB on an rgba16float canvas: the sRGB curve continues past 1.0.'
+          : DISPLAY_DOCS[displayTransform];
       }
 
+      tonemapSelect.oninput = () => {
+        tonemapType = parseInt(tonemapSelect.value);
+        updatePipelineDocs();
+      };
+
+      displayTransformSel.oninput = () => {
+        displayTransform = parseInt(displayTransformSel.value);
+        updatePipelineDocs();
+      };
+      updatePipelineDocs();
+
       // exposure slider
       evInput.oninput = () => {
         exposureEV = parseFloat(evInput.value);
@@ -539,23 +957,152 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
         if (texPipeline) texBindGroup = makeTexBindGroup();
       };
 
-      // Channel slider inputs
-      channelR.oninput = () => { channelRVal.textContent = parseFloat(channelR.value).toFixed(2); };
-      channelG.oninput = () => { channelGVal.textContent = parseFloat(channelG.value).toFixed(2); };
-      channelB.oninput = () => { channelBVal.textContent = parseFloat(channelB.value).toFixed(2); };
-      channelA.oninput = () => { channelAVal.textContent = parseFloat(channelA.value).toFixed(2); };
-
-      // Reset button
-      channelReset.onclick = () => {
-        channelR.value = 1;
-        channelG.value = 1;
-        channelB.value = 1;
-        channelA.value = 0;
-        channelRVal.textContent = '1.00';
-        channelGVal.textContent = '1.00';
-        channelBVal.textContent = '1.00';
-        channelAVal.textContent = '0.00';
+      // Basis transcode target override: grey out targets this GPU can't sample,
+      // and re-transcode the slot A texture when the choice changes and it came from a Basis KTX2.
+      // slotASource is the file behind the current slot A texture; basis is true when it was transcoded
+      let slotASource = null;
+      for (const opt of basisTargetSel.options) {
+        const feature = window.BASIS_TARGETS?.[opt.value]?.feature;
+        if (feature && !device.features.has(feature)) {
+          opt.disabled = true;
+        }
+      }
+      basisTargetSel.onchange = async () => {
+        if (!slotASource?.basis) {
+          return;
+        }
+        const file = slotASource.file;
+        try {
+          await loadKTX2_ToTexture(file);
+        } catch (e) {
+          logApp('Failed to reload ' + file.name + ': ' + (e.message || e), 'error');
+          stat.textContent = 'Error: ' + (e.message || e);
+        }
+      };
+
+      // KTX2 structural validation (validate.js). Every KTX2 load is checked before decoding;
+      // the report opens in the validation overlay when it has errors, or on demand.
+      let lastKTX2Report = null;
+
+      function showKTX2Validation() {
+        if (!lastKTX2Report) {
+          return;
+        }
+        if (window.displayValidationResults) {
+          window.displayValidationResults(lastKTX2Report, 'KTX2');
+          return;
+        }
+        // No overlay in the web build: list the issues in the log instead
+        for (const m of lastKTX2Report.issues.messages) {
+          const level = ['error', 'warn', 'info'][m.severity] || 'info';
+          logApp(`KTX2 ${m.code}: ${m.message}${m.pointer ? ` (${m.pointer})` : ''}`, level);
+        }
+      }
+
+      function validateKTX2Buffer(buf, fileName, showOnError) {
+        if (!window.validateKTX2) {
+          return;
+        }
+        lastKTX2Report = window.validateKTX2(buf);
+        const { numErrors, numWarnings } = lastKTX2Report.issues;
+        const summary = numErrors || numWarnings
+          ? `${numErrors} error${numErrors === 1 ? '' : 's'}, ${numWarnings} warning${numWarnings === 1 ? '' : 's'}`
+          : 'valid';
+        ktx2ValidateStatus.textContent = summary;
+        ktx2ValidateStatus.style.color = numErrors ? '#f85149' : numWarnings ? '#d29922' : '#3fb950';
+        ktx2Controls.style.display = 'block';
+        logApp(`KTX2 validation of ${fileName}: ${summary}`, numErrors ? 'error' : numWarnings ? 'warn' : 'success');
+        if (numErrors && showOnError) {
+          showKTX2Validation();
+        }
+      }
+
+      ktx2ValidateBtn.onclick = showKTX2Validation;
+
+      rawDataBox.onchange = () => {
+        showRawData = rawDataBox.checked;
+        updateCompareMetrics();
+        updateTextureStats();
+        logApp(showRawData ? 'Showing raw texel data (KTXorientation / KTXswizzle ignored)' : 'Applying KTXorientation / KTXswizzle', 'info');
+      };
+
+      // ---------- Channel mix ----------
+      // A 4×5 matrix: one row per output channel, holding the weights of the swizzled input
+      // R, G, B, A and a constant offset. Presets fill it in; any cell can be edited.
+      const CHANNEL_PRESETS = {
+        rgba:   { rows: [[1, 0, 0, 0, 0], [0, 1, 0, 0, 0], [0, 0, 1, 0, 0], [0, 0, 0, 1, 0]],
+                  doc: 'Channels as stored.' },
+        r:      { rows: [[1, 0, 0, 0, 0], [1, 0, 0, 0, 0], [1, 0, 0, 0, 0], [0, 0, 0, 0, 1]],
+                  doc: 'Red as grayscale, alpha ignored.' },
+        g:      { rows: [[0, 1, 0, 0, 0], [0, 1, 0, 0, 0], [0, 1, 0, 0, 0], [0, 0, 0, 0, 1]],
+                  doc: 'Green as grayscale, alpha ignored.' },
+        b:      { rows: [[0, 0, 1, 0, 0], [0, 0, 1, 0, 0], [0, 0, 1, 0, 0], [0, 0, 0, 0, 1]],
+                  doc: 'Blue as grayscale, alpha ignored.' },
+        a:      { rows: [[0, 0, 0, 1, 0], [0, 0, 0, 1, 0], [0, 0, 0, 1, 0], [0, 0, 0, 0, 1]],
+                  doc: 'Alpha as grayscale.' },
+        luma:   { rows: [[0.2126, 0.7152, 0.0722, 0, 0], [0.2126, 0.7152, 0.0722, 0, 0], [0.2126, 0.7152, 0.0722, 0, 0], [0, 0, 0, 1, 0]],
+                  doc: 'Rec. 709 luminance of the linear color.' },
+        normal: { rows: [[1, 0, 0, 0, 0], [0, 1, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 1]], reconstructZ: true,
+                  doc: 'Tangent-space normal map: X and Y from R and G, Z rebuilt as sqrt(1 − X² − Y²).' },
+        // The three maps of a glTF occlusion / roughness / metallic texture; the ORM button steps through them
+        occlusion: { rows: [[1, 0, 0, 0, 0], [1, 0, 0, 0, 0], [1, 0, 0, 0, 0], [0, 0, 0, 0, 1]],
+                     doc: 'ORM occlusion (R) as grayscale: dark where ambient light is blocked. Click ORM again for roughness.' },
+        roughness: { rows: [[0, 1, 0, 0, 0], [0, 1, 0, 0, 0], [0, 1, 0, 0, 0], [0, 0, 0, 0, 1]],
+                     doc: 'ORM roughness (G) as grayscale: black is mirror-smooth, white fully rough. Click ORM again for metallic.' },
+        metallic:  { rows: [[0, 0, 1, 0, 0], [0, 0, 1, 0, 0], [0, 0, 1, 0, 0], [0, 0, 0, 0, 1]],
+                     doc: 'ORM metallic (B) as grayscale: white is metal, black dielectric. Click ORM again for occlusion.' }
       };
+      const ORM_MAPS = ['occlusion', 'roughness', 'metallic'];
+      let ormMap = -1;
+
+      const channelCells = [];
+      channelMatrixEl.append(...['', 'R', 'G', 'B', 'A', '+'].map(text => {
+        const head = document.createElement('span');
+        head.textContent = text;
+        head.style.textAlign = 'center';
+        head.style.color = '#888';
+        return head;
+      }));
+      ['R', 'G', 'B', 'A'].forEach((name, row) => {
+        const label = document.createElement('span');
+        label.textContent = name;
+        label.style.color = ['#f88', '#8f8', '#88f', '#ddd'][row];
+        channelMatrixEl.appendChild(label);
+        channelCells.push([]);
+        for (let col = 0; col < 5; col++) {
+          const cell = document.createElement('input');
+          cell.type = 'number';
+          cell.step = '0.1';
+          cell.style.cssText = 'width:100%; box-sizing:border-box; padding:1px 2px; background:#222; color:#ddd; border:1px solid #444; border-radius:3px; font:11px monospace;';
+          cell.oninput = () => { channelDoc.textContent = 'Custom mix.'; };
+          channelMatrixEl.appendChild(cell);
+          channelCells[row].push(cell);
+        }
+      });
+      reconstructZBox.onchange = () => { channelDoc.textContent = 'Custom mix.'; };
+
+      function applyChannelPreset(name) {
+        const preset = CHANNEL_PRESETS[name];
+        preset.rows.forEach((values, row) => values.forEach((v, col) => { channelCells[row][col].value = v; }));
+        reconstructZBox.checked = !!preset.reconstructZ;
+        channelDoc.textContent = preset.doc;
+      }
+
+      // Column-major for the shader: each output channel's four weights, then the offsets
+      function getChannelMix() {
+        const rows = channelCells.map(cells => cells.map(cell => parseFloat(cell.value) || 0));
+        return [...rows.flatMap(r => r.slice(0, 4)), ...rows.map(r => r[4])];
+      }
+
+      const ormBtn = document.querySelector('#channelPresets button[data-preset="orm"]');
+      document.querySelectorAll('#channelPresets button').forEach(btn => {
+        btn.onclick = () => {
+          ormMap = btn === ormBtn ? (ormMap + 1) % ORM_MAPS.length : -1;
+          ormBtn.textContent = ormMap < 0 ? 'ORM' : `ORM: ${ORM_MAPS[ormMap]}`;
+          applyChannelPreset(ormMap < 0 ? btn.dataset.preset : ORM_MAPS[ormMap]);
+        };
+      });
+      applyChannelPreset('rgba');
 
       // Initial placeholder texture
       function checkerRGBA8() {
@@ -568,8 +1115,10 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
       let srcTex = device.createTexture({
         size: { width: 2, height: 2, depthOrArrayLayers: 1 },
         format: 'rgba8unorm',
+        viewFormats: ['rgba8unorm-srgb'],
         usage: GPUTextureUsage.TEXTURE_BINDING
             | GPUTextureUsage.COPY_DST
+            | GPUTextureUsage.COPY_SRC
             | GPUTextureUsage.RENDER_ATTACHMENT
       });
       {
@@ -577,363 +1126,972 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
         const { data, bytesPerRow } = padRows(raw, 2, 2);
         device.queue.writeTexture({ texture: srcTex }, data, { bytesPerRow }, { width: 2, height: 2 });
       }
-      let srcView = srcTex.createView();
+      // Source of the main texture, for export and alpha: file name and the KTX2 KVD / DFD if any
+      let srcInfo = { name: 'checker.png', kvd: null, dfd: null, transfer: 'placeholder' };
+
+      // ---------- Color space ----------
+      // 8-bit and sRGB-capable compressed textures are created with their unorm / -srgb
+      // counterpart as a view format, so "Auto" can be overridden without a re-upload.
+      const colorSpaceSel = document.getElementById('colorSpace');
+      const colorSpaceDoc = document.getElementById('colorSpaceDoc');
+
+      function textureViewFormats(format) {
+        const counterpart = window.getSRGBCounterpart(format);
+        return counterpart ? [counterpart] : [];
+      }
 
-      // Mip state
-      let currentMip = 0;
-      let mipCount = 1;
-      mipSlider.oninput = () => {
-        currentMip = Math.floor(parseFloat(mipSlider.value));
-        mipLabel.textContent = currentMip;
-        applySelectedMip();
-      };
-      mipOnlyBox.onchange = () => {
+      // Format to view a texture as: its own, or the unorm / -srgb variant the override asks for
+      function viewFormat(texture) {
+        if (colorSpaceSel.value === 'auto' || !window.getSRGBCounterpart(texture.format)) {
+          return texture.format;
+        }
+        const unorm = texture.format.replace(/-srgb$/, '');
+        return colorSpaceSel.value === 'srgb' ? unorm + '-srgb' : unorm;
+      }
+
+      function updateColorSpaceControls() {
+        const overridable = !!window.getSRGBCounterpart(srcTex.format);
+        colorSpaceSel.disabled = !overridable;
+        colorSpaceDoc.textContent = overridable
+          ? `Stored as ${srcTex.format} (${srcInfo.transfer}), viewed as ${viewFormat(srcTex)}.`
+          : `${srcTex.format} has no sRGB variant, so it is read as stored.`;
+      }
+
+      colorSpaceSel.onchange = () => {
+        updateColorSpaceControls();
         applySelectedMip();
+        // Generated levels are filtered in the light the new interpretation implies
+        regenerateMips();
       };
 
-      // loaders
-      async function createMipImages(imageBitmap) {
-        const w = imageBitmap.width, h = imageBitmap.height;
-        const mips = [];
-        const can = (typeof OffscreenCanvas !== 'undefined') ? new OffscreenCanvas(1,1) : document.createElement('canvas');
-        const ctx = can.getContext('2d');
-        let pw = w, ph = h;
-        while (true) {
-          can.width = pw; can.height = ph;
-          ctx.clearRect(0,0,pw,ph);
-          ctx.drawImage(imageBitmap, 0, 0, pw, ph);
-          const imgData = ctx.getImageData(0, 0, pw, ph);
-          mips.push({ width: pw, height: ph, data: new Uint8Array(imgData.data.buffer) });
-          if (pw === 1 && ph === 1) break;
-          pw = Math.max(1, Math.floor(pw / 2));
-          ph = Math.max(1, Math.floor(ph / 2));
-        }
-        return mips;
-      }
-
-      async function loadImageToTexture(file) {
-        logApp(`Loading ${file.name}...`, 'info');
-        const bmp = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      // ---------- Normal map ----------
+      const normalModeSel   = document.getElementById('normalMode');
+      const normalFromRGBox = document.getElementById('normalFromRG');
+      const lightAzimuth    = document.getElementById('lightAzimuth');
+      const lightElevation  = document.getElementById('lightElevation');
+      const normalTolerance = document.getElementById('normalTolerance');
+      const normalDoc       = document.getElementById('normalDoc');
+
+      // Two-channel formats (BC5, EAC RG11, RG8/16/32) store X and Y only
+      const isTwoChannelFormat = (fmt) => /^(bc5-rg|eac-rg11|rg\d)/.test(fmt);
+
+      // Unit vector towards the light in tangent space: azimuth from +X (right) towards
+      // +Y (up), elevation above the surface
+      function lightDirection() {
+        const az = parseFloat(lightAzimuth.value) * Math.PI / 180;
+        const el = parseFloat(lightElevation.value) * Math.PI / 180;
+        return [Math.cos(el) * Math.cos(az), Math.cos(el) * Math.sin(az), Math.sin(el)];
+      }
 
-        const levels = Math.floor(Math.log2(Math.max(1, Math.max(bmp.width, bmp.height)))) + 1;
-        srcTex?.destroy?.();
-        srcTex = device.createTexture({
-          size: { width: bmp.width, height: bmp.height, depthOrArrayLayers: 1 },
-          format: 'rgba8unorm',
-          mipLevelCount: levels,
-          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
-        });
+      function updateNormalControls() {
+        const mode = parseInt(normalModeSel.value);
+        const tolerance = parseFloat(normalTolerance.value);
+        document.getElementById('normal-options').style.display = mode ? 'block' : 'none';
+        document.getElementById('lightAzimuthVal').textContent = `${lightAzimuth.value}°`;
+        document.getElementById('lightElevationVal').textContent = `${lightElevation.value}°`;
+        document.getElementById('normalToleranceVal').textContent = tolerance.toFixed(3);
+        const signed = srcTex.format.endsWith('snorm');
+        normalDoc.textContent = `${srcTex.format}: ${signed ? 'signed, read as is' : 'unsigned, mapped from [0, 1] to [-1, 1]'}. ` +
+          (tolerance > 0
+            ? `Magenta marks texels whose length is off from 1 by more than ${tolerance.toFixed(3)}, or whose Z is negative. Use Nearest filtering to check stored texels rather than blends.`
+            : 'Invalid texels are not flagged.');
+      }
 
-        srcView = srcTex.createView();
-        texBindGroup = makeTexBindGroup();
+      // A new texture picks its own Z source; the checkbox overrides it until the next load
+      function resetNormalControls() {
+        normalFromRGBox.checked = isTwoChannelFormat(srcTex.format);
+        updateNormalControls();
+      }
 
-        const mipImages = await createMipImages(bmp);
-        for (let i = 0; i < mipImages.length; i++) {
-          const m = mipImages[i];
-          const { data, bytesPerRow } = padRows(m.data, m.width, m.height, 4);
-          device.queue.writeTexture(
-            { texture: srcTex, mipLevel: i },
-            data,
-            { bytesPerRow },
-            { width: m.width, height: m.height, depthOrArrayLayers: 1 }
-          );
+      normalModeSel.oninput = updateNormalControls;
+      lightAzimuth.oninput = updateNormalControls;
+      lightElevation.oninput = updateNormalControls;
+      normalTolerance.oninput = updateNormalControls;
+
+      // ---------- Alpha ----------
+      const alphaModeSel   = document.getElementById('alphaMode');
+      const alphaInterpSel = document.getElementById('alphaInterp');
+      const backdropColor  = document.getElementById('backdropColor');
+      const alphaCutoff    = document.getElementById('alphaCutoff');
+      const alphaCutoffVal = document.getElementById('alphaCutoffVal');
+      const alphaDoc       = document.getElementById('alphaDoc');
+      let alphaMode = 0;
+
+      // Auto follows the DFD premultiplied flag; decoded images are always straight
+      function isPremultiplied() {
+        if (alphaInterpSel.value === 'auto') {
+          return !!(srcInfo.dfd?.premultipliedAlpha || srcInfo.premultipliedAlpha);
         }
+        return alphaInterpSel.value === 'premultiplied';
+      }
 
-        srcView = srcTex.createView();
-        mipCount = levels;
-        currentMip = 0;
-        mipSlider.min = 0;
-        mipSlider.max = Math.max(0, mipCount - 1);
-        mipSlider.value = 0;
-        mipLabel.textContent = '0';
-        mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+      // The color input is sRGB; the shader composites in display-linear light
+      function backdropLinear() {
+        const hex = parseInt(backdropColor.value.slice(1), 16);
+        return [16, 8, 0].map(shift => {
+          const c = ((hex >> shift) & 255) / 255;
+          return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+      }
 
-        bmp.close?.();
-        stat.textContent = `Loaded ${file.name} (${srcTex.size?.width || '??'}×${srcTex.size?.height || '??'})`;
-        meta.textContent = '';
-        if (texPipeline) texBindGroup = makeTexBindGroup();
-        
-        // Update texture info panel
-        updateTextureInfo(file.size, bmp.width, bmp.height, 'rgba8unorm', levels, file.name);
-        
-        logApp(`Successfully loaded ${file.name} (${bmp.width}×${bmp.height}, ${levels} mips)`, 'success');
+      function updateAlphaControls() {
+        alphaMode = parseInt(alphaModeSel.value);
+        document.getElementById('backdrop-row').style.display = alphaMode === 2 ? 'flex' : 'none';
+        document.getElementById('cutoff-row').style.display = alphaMode === 3 ? 'flex' : 'none';
+        alphaCutoffVal.textContent = parseFloat(alphaCutoff.value).toFixed(2);
+        const interp = isPremultiplied() ? 'premultiplied' : 'straight';
+        alphaDoc.textContent = [
+          'Alpha is not shown; the color channels are drawn as stored.',
+          `Composited over a checkerboard as ${interp} alpha.`,
+          `Composited over the backdrop color as ${interp} alpha.`,
+          'White where alpha passes the cutoff, black where an alpha test would discard the texel.'
+        ][alphaMode];
       }
 
-      function float32ToFloat16(val) {
-        const floatView = new Float32Array(1);
-        const intView = new Uint32Array(floatView.buffer);
+      alphaModeSel.oninput = updateAlphaControls;
+      alphaInterpSel.oninput = updateAlphaControls;
+      alphaCutoff.oninput = updateAlphaControls;
 
-        floatView[0] = val;
-        const x = intView[0];
+      // The controls start out describing the placeholder texture
+      updateAlphaControls();
+      resetNormalControls();
+      updateColorSpaceControls();
 
-        const sign = (x >> 31) & 0x1;
-        let exp = ((x >> 23) & 0xFF) - 112;
-        let mant = (x >> 13) & 0x3FF;
+      // Views are always 2d-array so plain textures, arrays and cubemaps share one binding
+      let srcView = srcTex.createView({ dimension: '2d-array', format: viewFormat(srcTex) });
 
-        if (exp <= 0) {
-            if (exp < -10) return sign << 15;
-            mant = (mant | 0x400) >> (1 - exp);
-            exp = 0;
-        } else if (exp >= 31) {
-            exp = 31;
-            mant = 0;
+      // Mip state
+      let currentMip = 0;
+      let mipCount = 1;
+      mipSlider.oninput = () => {
+        const prevSliceCount = sliceCount();
+        currentMip = Math.floor(parseFloat(mipSlider.value));
+        mipLabel.textContent = currentMip;
+        if (texDepth > 1) {
+          updateSliceSlider(prevSliceCount);
         }
+        applySelectedMip();
+        updateCompareMetrics();
+        updateTextureStats();
+      };
+      mipOnlyBox.onchange = () => {
+        applySelectedMip();
+      };
+      mipSheetBox.onchange = () => {
+        applySelectedMip();
+      };
 
-        return (sign << 15) | (exp << 10) | mant;
+      // Number of slices along the axis perpendicular to the slice plane, at the current mip
+      function sliceCount() {
+        const axisSize = texSize[2 - sliceAxis];
+        return Math.max(1, axisSize >> currentMip);
       }
 
-      function convertRGBA32FtoRGBA16F(src, width, height) {
-        const pixelCount = width * height;
-        const dst = new Uint16Array(pixelCount * 4); // 4 channels
+      // Size of the displayed image in base-level texels: one face/layer, the 4×3 cross,
+      // or the selected slice plane of a volume
+      function contentSize() {
+        const [w, h, d] = texSize;
+        if (isSheetView()) {
+          const sheet = sheetLayout();
+          return [sheet.width, sheet.height];
+        }
+        if (viewMode === 'cross') {
+          return [4 * w, 3 * h];
+        }
+        if (isComparing() && compareMode === 'side') {
+          return [2 * w, h];
+        }
+        if (viewMode === 'volume') {
+          return sliceAxis === 1 ? [w, d] : sliceAxis === 2 ? [h, d] : [w, h];
+        }
+        return [w, h];
+      }
 
-        const f32 = new Float32Array(src.buffer, src.byteOffset, pixelCount * 4);
+      // ---------- Mip chain ----------
+      // The contact sheet lays out every loaded level of the flat view left to right,
+      // top-aligned and at true scale, like fs_mip_sheet. Positions are in base-level texels.
+      function isSheetView() {
+        return mipSheetBox.checked && viewMode === 'flat';
+      }
 
-        for (let i = 0; i < pixelCount * 4; i++) {
-            dst[i] = float32ToFloat16(f32[i]);
+      function sheetLayout() {
+        const [w0, h0] = texSize;
+        const gap = Math.max(1, Math.round(w0 / 32));
+        const tiles = [];
+        let x = 0;
+        for (let level = 0; level < Math.min(mipCount, srcTex.mipLevelCount); level++) {
+          const w = Math.max(1, w0 >> level);
+          const h = Math.max(1, h0 >> level);
+          tiles.push({ level, x, w, h });
+          x += w + gap;
         }
-        return new Uint8Array(dst.buffer);
+        return { tiles, gap, width: x - gap, height: h0 };
       }
 
-            async function loadKTX2_ToTexture(file) {
-        // Require BC on this device (same as before)
-        if (!bcSupported) {
-          logApp('BC compressed textures not supported on this device.', 'error');
-          throw new Error('BC compressed textures not supported on this device.');
+      // Level labels sit under the sheet, one row per level, left-aligned with their tile
+      const sheetLabels = document.createElement('div');
+      sheetLabels.style.cssText = 'position:absolute; left:0; top:0; pointer-events:none; font:11px monospace; color:#ccc;';
+      canvas.parentNode.style.position = 'relative';
+      canvas.parentNode.appendChild(sheetLabels);
+      let sheetLabelsKey = '';
+
+      function levelBytes(w, h) {
+        const block = window.getTexelBlockInfo(srcTex.format);
+        if (!block) {
+          return null;
         }
+        return Math.ceil(w / block.blockWidth) * Math.ceil(h / block.blockHeight) * block.bytesPerBlock;
+      }
 
-        logApp(`Loading KTX2 ${file.name}...`, 'info');
-        await waitForKTXParser();
-
-        const buf = await file.arrayBuffer();
-        // Pass device so parseKTX2 can do transcoding / feature-based decisions
-        const { header, levels, dfd, kvd } = await window.parseKTX2(buf, device);
-
-        const is2D = header.pixelDepth === 0 && header.faceCount === 1;
-        if (!is2D) {
-          logApp('Only 2D, 1-face KTX2 supported in this demo.', 'error');
-          throw new Error('Only 2D, 1-face KTX2 supported in this demo.');
+      function updateSheetLabels() {
+        const sheet = isSheetView() ? sheetLayout() : null;
+        const key = sheet ? [view.x, view.y, view.zoom, lastW, lastH, srcTex.format, ...sheet.tiles.map(t => t.w)].join() : '';
+        if (key === sheetLabelsKey) {
+          return;
         }
+        sheetLabelsKey = key;
+        sheetLabels.replaceChildren();
+        if (!sheet) {
+          return;
+        }
+        const dpr = window.devicePixelRatio || 1;
+        const bottom = (view.y + sheet.height * view.zoom) / dpr;
+        for (const tile of sheet.tiles) {
+          const bytes = levelBytes(tile.w, tile.h);
+          const label = document.createElement('div');
+          label.textContent = `${tile.level}: ${tile.w}×${tile.h}${bytes === null ? '' : ' · ' + formatBytes(bytes)}`;
+          label.style.cssText = `position:absolute; white-space:nowrap; left:${(view.x + tile.x * view.zoom) / dpr}px; top:${bottom + 4 + tile.level * 14}px;`;
+          sheetLabels.appendChild(label);
+        }
+      }
 
-        let wgpuFormat = null;
-        let blockWidth = 1, blockHeight = 1, bytesPerBlock = 0;
-        let isPixel = false;   // uncompressed flag
-        let isBlock = false;   // block-compressed flag
-        let formatInfo = null; // vkFormat mapping for uncompressed/BC paths
-
-        // ==================================================================================
-        // 1. SUPERCOMPRESSED BASIS/UASTC PATH (ETC1S / UASTC transcoded by parseKTX2)
-        // ==================================================================================
-        const isTranscoded = levels[0]?.isDecompressed;
-
-        if (isTranscoded) {
-          const tf = levels[0].transcodedFormat;
-          logApp(`Using pre-transcoded Basis data (format ID: ${tf})`, 'info');
-
-          switch (tf) {
-            case 6:  // BC7
-              wgpuFormat   = 'bc7-rgba-unorm';
-              blockWidth   = 4;
-              blockHeight  = 4;
-              bytesPerBlock = 16;
-              isBlock = true;
-              break;
+      // Heat overlay colors per level, as in mip_heat() in shaders.wgsl; level 7 and up are white
+      const MIP_HEAT_COLORS = [
+        [0.15, 0.35, 1.0], [0.0, 0.85, 0.9], [0.1, 0.85, 0.2], [0.95, 0.9, 0.1],
+        [1.0, 0.55, 0.0], [0.95, 0.15, 0.1], [0.9, 0.2, 0.9], [1.0, 1.0, 1.0]
+      ];
+      const mipHeatLegend = document.getElementById('mipHeatLegend');
+      mipHeatLegend.append(...MIP_HEAT_COLORS.map((rgb, level) => {
+        const swatch = document.createElement('span');
+        swatch.textContent = level === 7 ? '7+' : String(level);
+        swatch.style.cssText = `flex:1; text-align:center; color:#000; border-radius:2px; background:rgb(${rgb.map(c => Math.round(c * 255)).join(',')});`;
+        return swatch;
+      }));
+      mipHeatBox.onchange = () => {
+        mipHeatLegend.style.display = mipHeatBox.checked ? 'flex' : 'none';
+      };
 
-            case 1:  // BC3
-              wgpuFormat   = 'bc3-rgba-unorm';
-              blockWidth   = 4;
-              blockHeight  = 4;
-              bytesPerBlock = 16;
-              isBlock = true;
-              break;
+      // Fills Params in shaders.wgsl from the view state and the sidebar controls
+      function updateUniforms() {
+        updateView();
+        const [contentW, contentH] = contentSize();
+        const mul = Math.pow(2, exposureEV);
+        const arr = new Float32Array([
+          ...getChannelMix(),
+          exposureEV, mul, lastW, lastH, hdrOutput ? 0 : tonemapType,
+          currentLayer * texFaces + currentFace, currentLayer * texFaces,
+          skyYaw, skyPitch, skyFovY,
+          sliceAxis, (sliceIndex + 0.5) / sliceCount(),
+          ...(showRawData ? [0, 0, 0] : [ktxOrientation.flipX, ktxOrientation.flipY, ktxOrientation.flipZ].map(Number)),
+          ...((!showRawData && ktxSwizzle) || [0, 1, 2, 3]),
+          view.x, view.y, contentW * view.zoom, contentH * view.zoom,
+          COMPARE_SHADER_MODES[compareShaderMode()], compareSplit, diffGain,
+          ...(showRawData ? [0, 0] : [compareB.orientation.flipX, compareB.orientation.flipY].map(Number)),
+          ...((!showRawData && compareB.swizzle) || [0, 1, 2, 3]),
+          hdrOutput ? 0 : displayTransform,
+          alphaMode, Number(isPremultiplied()), ...backdropLinear(), parseFloat(alphaCutoff.value),
+          Number(reconstructZBox.checked),
+          parseInt(normalModeSel.value), Number(srcTex.format.endsWith('snorm')), Number(normalFromRGBox.checked),
+          ...lightDirection(), parseFloat(normalTolerance.value),
+          Number(mipHeatBox.checked), mipOnlyBox.checked && !isSheetView() ? currentMip : 0,
+          Math.min(mipCount, srcTex.mipLevelCount), sheetLayout().gap
+        ]);
+        device.queue.writeBuffer(uniformBuf, 0, arr.buffer);
+      }
 
-            case 0:  // BC1
-              wgpuFormat   = 'bc1-rgba-unorm';
-              blockWidth   = 4;
-              blockHeight  = 4;
-              bytesPerBlock = 8;
-              isBlock = true;
-              break;
+      function isComparing() {
+        return !!compareB.tex && compareMode !== 'off' && viewMode === 'flat' && !mipSheetBox.checked;
+      }
 
-            case 13: // RGBA32 → treat as RGBA8 uncompressed
-            default:
-              wgpuFormat = 'rgba8unorm';
-              isPixel    = true;
-              formatInfo = {
-                format: 'rgba8unorm',
-                bytesPerPixel: 4,
-                sourceChannels: 4,
-                sourceBytesPerPixel: 4
-              };
-              break;
-          }
+      // compareMode as fs_compare sees it; flicker alternates between A and B
+      function compareShaderMode() {
+        if (!isComparing()) {
+          return 'a';
         }
+        if (compareMode === 'flicker') {
+          return flickerShowB ? 'b' : 'a';
+        }
+        return compareMode;
+      }
 
-        // ==================================================================================
-        // 2. NATIVE ETC2 PATH (if no transcoding and vkFormat is ETC2 range)
-        // ==================================================================================
-        else if ((header.vkFormat >= 147 && header.vkFormat <= 153) &&
-                 adapter.features.has('texture-compression-etc2')) {
-
-          logApp('Using native ETC2', 'info');
+      // Keep the slice at the same relative position when the mip or axis changes
+      function updateSliceSlider(prevCount = sliceCount()) {
+        const rel = (sliceIndex + 0.5) / prevCount;
+        const count = sliceCount();
+        sliceIndex = Math.min(count - 1, Math.floor(rel * count));
+        sliceSlider.max = count - 1;
+        sliceSlider.value = sliceIndex;
+        sliceLabel.textContent = `${sliceIndex} / ${count}`;
+      }
 
-          const isRGBA = (header.vkFormat === 152 || header.vkFormat === 153);
+      sliceSlider.oninput = () => {
+        sliceIndex = Math.floor(parseFloat(sliceSlider.value));
+        sliceLabel.textContent = `${sliceIndex} / ${sliceCount()}`;
+      };
+      sliceAxisSel.onchange = () => {
+        const prevCount = sliceCount();
+        sliceAxis = parseInt(sliceAxisSel.value);
+        updateSliceSlider(prevCount);
+      };
 
-          wgpuFormat   = isRGBA ? 'etc2-rgba8unorm' : 'etc2-rgb8unorm';
-          blockWidth   = 4;
-          blockHeight  = 4;
-          bytesPerBlock = isRGBA ? 16 : 8;
-          isBlock = true;
+      layerSlider.oninput = () => {
+        currentLayer = Math.floor(parseFloat(layerSlider.value));
+        layerLabel.textContent = currentLayer;
+        // The skybox binds a cube view of the selected layer
+        if (viewMode === 'skybox') {
+          applySelectedMip();
         }
+        updateCompareMetrics();
+        updateTextureStats();
+      };
+      faceSelect.onchange = () => {
+        currentFace = parseInt(faceSelect.value);
+        updateCompareMetrics();
+        updateTextureStats();
+      };
+      cubeViewSel.onchange = () => {
+        setViewMode(cubeViewSel.value);
+      };
 
-        // ==================================================================================
-        // 3. GENERAL PATH: USE vkFormatToWebGPU FOR BC + UNCOMPRESSED FORMATS
-        // ==================================================================================
-        else {
-          formatInfo = window.vkFormatToWebGPU(header.vkFormat);
-          if (!formatInfo) {
-            throw new Error(`Unsupported vkFormat ${header.vkFormat}`);
-          }
+      function setViewMode(mode) {
+        if (texDepth > 1) {
+          viewMode = 'volume';
+        } else {
+          viewMode = (texFaces === 6) ? mode : 'flat';
+        }
+        cubeViewSel.value = viewMode;
+        faceRow.style.display = (texFaces === 6 && viewMode === 'flat') ? 'flex' : 'none';
+        applySelectedMip();
+      }
 
-          wgpuFormat   = formatInfo.format;
-          blockWidth   = formatInfo.blockWidth  || 1;
-          blockHeight  = formatInfo.blockHeight || 1;
-          bytesPerBlock = formatInfo.bytesPerBlock || 0;
+      // Reset layer/face/slice selection and show the controls that apply to the new texture
+      function resetLayerControls(layers, faces, size = [srcTex.width, srcTex.height, 1]) {
+        texLayers = Math.max(1, layers);
+        texFaces = Math.max(1, faces);
+        texSize = size;
+        texDepth = Math.max(1, size[2]);
+        sliceAxis = 0;
+        sliceAxisSel.value = '0';
+        sliceIndex = Math.floor(texDepth / 2);
+        updateSliceSlider();
+        volumeControls.style.display = texDepth > 1 ? 'block' : 'none';
+        currentLayer = 0;
+        currentFace = 0;
+        layerSlider.min = 0;
+        layerSlider.max = texLayers - 1;
+        layerSlider.value = 0;
+        layerLabel.textContent = '0';
+        faceSelect.value = '0';
+        layerControls.style.display = texLayers > 1 ? 'block' : 'none';
+        cubeControls.style.display = texFaces === 6 ? 'block' : 'none';
+        view.mode = 'fit';
+        setViewMode(texFaces === 6 ? 'cross' : 'flat');
+      }
 
-          isPixel = !!formatInfo.bytesPerPixel;
-          isBlock = !!formatInfo.blockWidth;
+      // Skybox camera: drag to look around, wheel to change the field of view
+      let skyDrag = null;
+      canvas.addEventListener('pointerdown', (e) => {
+        if (viewMode !== 'skybox') {
+          return;
         }
+        skyDrag = { x: e.clientX, y: e.clientY, yaw: skyYaw, pitch: skyPitch };
+        canvas.setPointerCapture(e.pointerId);
+      });
+      canvas.addEventListener('pointermove', (e) => {
+        if (!skyDrag) {
+          return;
+        }
+        const radPerPx = skyFovY / Math.max(1, canvas.clientHeight);
+        skyYaw = skyDrag.yaw - (e.clientX - skyDrag.x) * radPerPx;
+        const limit = Math.PI / 2 - 0.01;
+        skyPitch = Math.max(-limit, Math.min(limit, skyDrag.pitch + (e.clientY - skyDrag.y) * radPerPx));
+      });
+      canvas.addEventListener('pointerup', () => { skyDrag = null; });
+      canvas.addEventListener('pointercancel', () => { skyDrag = null; });
+      canvas.addEventListener('wheel', (e) => {
+        if (viewMode !== 'skybox') {
+          return;
+        }
+        e.preventDefault();
+        const fovDeg = skyFovY * 180 / Math.PI * Math.pow(1.001, e.deltaY);
+        skyFovY = Math.max(10, Math.min(150, fovDeg)) * Math.PI / 180;
+      }, { passive: false });
+
+      // Pan and zoom (every view but the skybox): wheel zooms about the cursor, drag pans,
+      // double-click fits. Pointer positions are converted to canvas (device) pixels.
+      const toCanvasPx = (e) => [
+        e.offsetX * canvas.width / Math.max(1, canvas.clientWidth),
+        e.offsetY * canvas.height / Math.max(1, canvas.clientHeight)
+      ];
+
+      function setZoomMode(mode) {
+        view.mode = mode;
+        updateView();
+      }
+      zoomFitBtn.onclick = () => setZoomMode('fit');
+      zoom1to1Btn.onclick = () => setZoomMode('1:1');
+      zoomFillBtn.onclick = () => setZoomMode('fill');
+      canvas.addEventListener('dblclick', () => {
+        if (viewMode !== 'skybox') {
+          setZoomMode('fit');
+        }
+      });
+
+      // Within a few pixels of the A/B split line, dragging moves the line instead of panning
+      const onSplitLine = (px) => isComparing() && compareMode === 'split'
+        && Math.abs(px - compareSplit * lastW) < 6 * (window.devicePixelRatio || 1);
 
-        // Extra safety: feature guards for ETC2 / ASTC when using vkFormatToWebGPU mapping
-        if (
-          wgpuFormat.startsWith('etc2') &&
-          !adapter.features.has('texture-compression-etc2')
-        ) {
-          throw new Error('ETC2 textures are not supported on this GPU/browser.');
+      let panDrag = null;
+      let splitDrag = false;
+      canvas.addEventListener('pointerdown', (e) => {
+        if (viewMode === 'skybox' || e.button !== 0) {
+          return;
         }
+        const px = toCanvasPx(e);
+        if (onSplitLine(px[0])) {
+          splitDrag = true;
+        } else {
+          panDrag = { px, x: view.x, y: view.y };
+        }
+        canvas.setPointerCapture(e.pointerId);
+      });
+      canvas.addEventListener('pointermove', (e) => {
+        const [px, py] = toCanvasPx(e);
+        canvas.style.cursor = splitDrag || onSplitLine(px) ? 'ew-resize' : '';
+        if (splitDrag) {
+          compareSplit = Math.max(0, Math.min(1, px / lastW));
+          return;
+        }
+        if (!panDrag) {
+          return;
+        }
+        view.mode = 'free';
+        view.x = panDrag.x + px - panDrag.px[0];
+        view.y = panDrag.y + py - panDrag.px[1];
+      });
+      canvas.addEventListener('pointerup', () => { panDrag = null; splitDrag = false; });
+      canvas.addEventListener('pointercancel', () => { panDrag = null; splitDrag = false; });
+      canvas.addEventListener('wheel', (e) => {
+        if (viewMode === 'skybox') {
+          return;
+        }
+        e.preventDefault();
+        const [px, py] = toCanvasPx(e);
+        const zoom = Math.max(1 / 64, Math.min(256, view.zoom * Math.pow(1.0015, -e.deltaY)));
+        // Keep the texel under the cursor in place
+        view.x = px - (px - view.x) * zoom / view.zoom;
+        view.y = py - (py - view.y) * zoom / view.zoom;
+        view.zoom = zoom;
+        view.mode = 'free';
+        updateView();
+      }, { passive: false });
+
+      // loaders
 
-        if (
-          wgpuFormat.startsWith('astc') &&
-          !adapter.features.has('texture-compression-astc')
-        ) {
-          throw new Error('ASTC textures are not supported on this GPU/browser.');
+      // Radiance, OpenEXR and 16-bit PNG sources decode to linear floats in read.js, since
+      // createImageBitmap would clamp them to 8 bits. Returns null for other images.
+      async function decodeHDRSource(name, bytes) {
+        if (/\.hdr$/i.test(name)) {
+          return window.decodeRGBE(bytes);
+        }
+        if (/\.exr$/i.test(name)) {
+          return window.decodeEXR(bytes);
+        }
+        const png = window.getPNGInfo(bytes);
+        if (png?.bitDepth === 16) {
+          if (!png.interlaced) {
+            return window.decode16BitPNG(bytes);
+          }
+          logApp(`${name} is an interlaced 16-bit PNG; loading it through the browser at 8 bits`, 'warn');
         }
+        return null;
+      }
 
-        // ==================================================================================
-        // 4. CREATE TEXTURE
-        // ==================================================================================
-        srcTex?.destroy?.();
-        srcTex = device.createTexture({
-          size: {
-            width: header.pixelWidth,
-            height: header.pixelHeight,
-            depthOrArrayLayers: 1
-          },
-          format: wgpuFormat,
-          mipLevelCount: levels.length,
-          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+      // The KTX2 decode in flight; loading another file cancels it
+      let activeDecodes = { A: null, B: null };
+      // Bumped by every load into a slot; a load that finds it changed after an await was
+      // superseded and drops its result
+      const loadTokens = { A: 0, B: 0 };
+
+      // slot 'B' loads the second texture of the A/B comparison instead of the main one
+      async function loadImageToTexture(file, slot = 'A') {
+        activeDecodes[slot]?.cancel();
+        const token = ++loadTokens[slot];
+        const superseded = () => token !== loadTokens[slot];
+        logApp(`Loading ${file.name}...`, 'info');
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (superseded()) {
+          return;
+        }
+        const hdr = await decodeHDRSource(file.name, bytes);
+        if (superseded()) {
+          return;
+        }
+        let bmp = null;
+        let transfer;
+        if (hdr) {
+          transfer = { srgb: false, source: hdr.description };
+        } else {
+          // PNGs can declare linear data; JPEG and WebP are taken as sRGB. Linear files skip the
+          // browser's color conversion, which would otherwise gamma-correct them to sRGB.
+          transfer = file.type === 'image/png' || /\.png$/i.test(file.name)
+            ? window.getPNGTransfer(bytes)
+            : { srgb: true, source: 'JPEG / WebP' };
+          // Straight alpha, so level 0 keeps full precision where alpha is low
+          bmp = await createImageBitmap(file, {
+            imageOrientation: 'from-image',
+            premultiplyAlpha: 'none',
+            colorSpaceConversion: transfer.srgb ? 'default' : 'none'
+          });
+          if (superseded()) {
+            bmp.close?.();
+            return;
+          }
+        }
+        const { width, height } = hdr || bmp;
+
+        const levels = Math.floor(Math.log2(Math.max(1, Math.max(width, height)))) + 1;
+        const imageFormat = hdr ? 'rgba16float' : transfer.srgb ? 'rgba8unorm-srgb' : 'rgba8unorm';
+        const texture = device.createTexture({
+          size: { width, height, depthOrArrayLayers: 1 },
+          format: imageFormat,
+          viewFormats: textureViewFormats(imageFormat),
+          mipLevelCount: levels,
+          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC | GPUTextureUsage.RENDER_ATTACHMENT
         });
 
-        srcView = srcTex.createView();
-        if (texPipeline) {
-          texBindGroup = makeTexBindGroup();
+        if (hdr) {
+          device.queue.writeTexture(
+            { texture, mipLevel: 0 },
+            convertRGBA32FtoRGBA16F(new Uint8Array(hdr.data.buffer), width, height),
+            { bytesPerRow: width * 8, rowsPerImage: height },
+            { width, height }
+          );
+        } else {
+          device.queue.copyExternalImageToTexture(
+            { source: bmp },
+            { texture, mipLevel: 0, premultipliedAlpha: false },
+            { width, height }
+          );
+          bmp.close?.();
+        }
+        await generateMips(texture);
+        if (superseded()) {
+          texture.destroy();
+          logApp(`Dropped ${file.name}: another file was loaded meanwhile`, 'warn');
+          return;
         }
 
-        // ==================================================================================
-        // 5. MIP UPLOAD LOOP (handles both uncompressed + block-compressed)
-        // ==================================================================================
-        for (let i = 0; i < levels.length; i++) {
-          const lvl = levels[i];
+        if (slot === 'B') {
+          setCompareB(texture, levels, file.name, `${width}×${height} ${imageFormat}`, null);
+          logApp(`Loaded ${file.name} as compare texture B (${levels} mips)`, 'success');
+          updateCompareMetrics();
+          return;
+        }
 
-          let raw = lvl.isDecompressed
-            ? lvl.decompressedData
-            : window.getLevelData(buf, lvl);
-
-          // ---------------- UNCOMPRESSED PIXEL PATH ----------------
-          if (isPixel) {
-            // If RGB8 → expand to RGBA8
-            if (formatInfo && formatInfo.sourceChannels === 3) {
-              const pixelCount = lvl.width * lvl.height;
-              const rgba = new Uint8Array(pixelCount * 4);
-              for (let p = 0; p < pixelCount; p++) {
-                rgba[p * 4 + 0] = raw[p * 3 + 0];
-                rgba[p * 4 + 1] = raw[p * 3 + 1];
-                rgba[p * 4 + 2] = raw[p * 3 + 2];
-                rgba[p * 4 + 3] = 255;
-              }
-              raw = rgba;
-            }
+        srcTex?.destroy?.();
+        srcTex = texture;
+        srcInfo = { name: file.name, kvd: null, dfd: null, transfer: transfer.source };
+        slotASource = { file, basis: false };
+        updateAlphaControls();
+        resetNormalControls();
+        updateColorSpaceControls();
+        mipCount = levels;
+        currentMip = 0;
+        mipSlider.min = 0;
+        mipSlider.max = Math.max(0, mipCount - 1);
+        mipSlider.value = 0;
+        mipLabel.textContent = '0';
+        mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+        updateMipgenControls();
+        resetLayerControls(1, 1);
+        ktxOrientation = window.parseKTXOrientation(null);
+        ktxSwizzle = null;
 
-            // If RGBA32F → downconvert to RGBA16F
-            if (
-              formatInfo &&
-              formatInfo.sourceBytesPerPixel === 16 &&
-              formatInfo.bytesPerPixel === 8
-            ) {
-              raw = convertRGBA32FtoRGBA16F(raw, lvl.width, lvl.height);
-            }
+        stat.textContent = `Loaded ${file.name} (${srcTex.size?.width || '??'}×${srcTex.size?.height || '??'})`;
+        meta.textContent = hdr ? hdr.description : '';
+        
+        // Update texture info panel
+        updateTextureInfo(file.size, width, height, imageFormat, levels, file.name);
+        
+        logApp(`Successfully loaded ${file.name} (${width}×${height}, ${hdr ? hdr.description + ', ' : ''}${levels} mips)`, 'success');
+        updateCompareMetrics();
+        updateTextureStats();
+      }
+
+      const floatView = new Float32Array(1);
+      const intView = new Uint32Array(floatView.buffer);
+
+      function float32ToFloat16(val) {
+        floatView[0] = val;
+        const x = intView[0];
+
+        const sign = (x >> 31) & 0x1;
+        let exp = ((x >> 23) & 0xFF) - 112;
+        let mant = (x >> 13) & 0x3FF;
+
+        if (exp <= 0) {
+            if (exp < -10) return sign << 15;
+            mant = (mant | 0x400) >> (1 - exp);
+            exp = 0;
+        } else if (exp >= 31) {
+            exp = 31;
+            mant = 0;
+        }
+
+        return (sign << 15) | (exp << 10) | mant;
+      }
+
+      function convertRGBA32FtoRGBA16F(src, width, height) {
+        const pixelCount = width * height;
+        const dst = new Uint16Array(pixelCount * 4); // 4 channels
+
+        const f32 = new Float32Array(src.buffer, src.byteOffset, pixelCount * 4);
 
+        for (let i = 0; i < pixelCount * 4; i++) {
+            dst[i] = float32ToFloat16(f32[i]);
+        }
+        return new Uint8Array(dst.buffer);
+      }
+
+      // alpha is the byte for 1.0: 255, or 127 for snorm
+      function expandRGB8ToRGBA8(src, pixelCount, alpha = 255) {
+        const rgba = new Uint8Array(pixelCount * 4);
+        for (let p = 0; p < pixelCount; p++) {
+          rgba[p * 4 + 0] = src[p * 3 + 0];
+          rgba[p * 4 + 1] = src[p * 3 + 1];
+          rgba[p * 4 + 2] = src[p * 3 + 2];
+          rgba[p * 4 + 3] = alpha;
+        }
+        return rgba;
+      }
+
+      // Upload one mip level. `raw` holds `imageCount` tightly packed images
+      // (array layers × faces, in KTX2 order), each written to its own array layer.
+      function writeLevel(texture, mipLevel, raw, width, height, imageCount, upload) {
+        const { isPixel, isBlock, formatInfo, blockWidth, blockHeight, bytesPerBlock } = upload;
+
+        // ---------------- UNCOMPRESSED PIXEL PATH ----------------
+        if (isPixel) {
+          const pixelCount = width * height * imageCount;
+
+          // If RGB8 → expand to RGBA8
+          if (formatInfo && formatInfo.sourceChannels === 3) {
+            raw = expandRGB8ToRGBA8(raw, pixelCount, formatInfo.format === 'rgba8snorm' ? 127 : 255);
+          }
+
+          // If RGBA32F → downconvert to RGBA16F
+          if (
+            formatInfo &&
+            formatInfo.sourceBytesPerPixel === 16 &&
+            formatInfo.bytesPerPixel === 8
+          ) {
+            raw = convertRGBA32FtoRGBA16F(raw, width, height * imageCount);
+          }
+
+          const bytesPerPixel = formatInfo ? formatInfo.bytesPerPixel : 4;
+          const imageSize = width * height * bytesPerPixel;
+
+          for (let img = 0; img < imageCount; img++) {
             const { data, bytesPerRow } = padRows(
-              raw,
-              lvl.width,
-              lvl.height,
-              formatInfo ? formatInfo.bytesPerPixel : 4
+              raw.subarray(img * imageSize, (img + 1) * imageSize),
+              width,
+              height,
+              bytesPerPixel
             );
 
             device.queue.writeTexture(
-              { texture: srcTex, mipLevel: i },
+              { texture, mipLevel, origin: { x: 0, y: 0, z: img } },
               data,
               { bytesPerRow },
-              {
-                width: lvl.width,
-                height: lvl.height,
-                depthOrArrayLayers: 1
-              }
+              { width, height, depthOrArrayLayers: 1 }
             );
-
-            continue; // skip block path for this mip
           }
+          return;
+        }
 
-          // ---------------- BLOCK-COMPRESSED PATH ----------------
-          if (isBlock) {
+        // ---------------- BLOCK-COMPRESSED PATH ----------------
+        if (isBlock) {
+          const wBlocks = Math.max(1, Math.ceil(width / blockWidth));
+          const hBlocks = Math.max(1, Math.ceil(height / blockHeight));
+          const imageSize = wBlocks * hBlocks * bytesPerBlock;
+
+          for (let img = 0; img < imageCount; img++) {
             const { data, bytesPerRow, rowsPerImage } = padBlockRowsBC(
-              raw,
-              lvl.width,
-              lvl.height,
+              raw.subarray(img * imageSize, (img + 1) * imageSize),
+              width,
+              height,
               bytesPerBlock,
               blockWidth,
               blockHeight
             );
 
-            const uploadWidth  = Math.ceil(lvl.width  / blockWidth)  * blockWidth;
-            const uploadHeight = Math.ceil(lvl.height / blockHeight) * blockHeight;
-
             device.queue.writeTexture(
-              { texture: srcTex, mipLevel: i },
+              { texture, mipLevel, origin: { x: 0, y: 0, z: img } },
               data,
               { bytesPerRow, rowsPerImage },
               {
-                width: uploadWidth,
-                height: uploadHeight,
+                width: wBlocks * blockWidth,
+                height: hBlocks * blockHeight,
                 depthOrArrayLayers: 1
               }
             );
           }
         }
+      }
+
+      // Loads KTX2, KTX1 and DDS files; KTX1 and DDS headers arrive in KTX2 shape with a
+      // formatInfo descriptor. slot 'B' loads the second texture of the A/B comparison instead
+      // of the main one
+      async function loadKTX2_ToTexture(file, slot = 'A') {
+        const reloading = slot === 'A' && file === slotASource?.file;
+        activeDecodes[slot]?.cancel();
+        const token = ++loadTokens[slot];
+        const container = /\.dds$/i.test(file.name) ? 'DDS' : /\.ktx$/i.test(file.name) ? 'KTX1' : 'KTX2';
+        logApp(`Loading ${container} ${file.name}...`, 'info');
+        await waitForKTXParser();
+
+        const buf = await file.arrayBuffer();
+        if (token !== loadTokens[slot]) {
+          return;
+        }
+        // Validate first: decoding may fail on a broken file, and the report says why
+        if (slot === 'A' && container === 'KTX2') {
+          validateKTX2Buffer(buf, file.name, !reloading);
+        }
+
+        // Set by onHeader once the decoder knows the output format
+        let header, levels, dfd, kvd, transcodeTarget;
+        let is3D, layerCount, faceCount, depth, imageCount, isTranscoded;
+        let wgpuFormat = null;
+        let upload = null;
+        let newTex = null;
+        let loadedLevels = 0;
+
+        function onHeader(info) {
+          ({ header, levels, dfd, kvd, transcodeTarget } = info);
+
+          if (header.faceCount !== 1 && header.faceCount !== 6) {
+            throw new Error(`Invalid ${container} faceCount ${header.faceCount} (expected 1 or 6).`);
+          }
+
+          is3D = header.pixelDepth > 0;
+          if (is3D && (header.layerCount > 1 || header.faceCount !== 1)) {
+            throw new Error('3D texture arrays and 3D cubemaps are not supported by WebGPU.');
+          }
+          if (is3D && slot === 'B') {
+            throw new Error('A/B compare works on 2D textures, arrays and cubemap faces, not 3D textures.');
+          }
+
+          layerCount = Math.max(1, header.layerCount);
+          faceCount = header.faceCount;
+          depth = Math.max(1, header.pixelDepth);
+          imageCount = layerCount * faceCount;
+
+          let blockWidth = 1, blockHeight = 1, bytesPerBlock = 0;
+          let isPixel = false;   // uncompressed flag
+          let isBlock = false;   // block-compressed flag
+          let formatInfo = null; // vkFormat mapping for uncompressed/BC paths
+
+          // ==================================================================================
+          // 1. SUPERCOMPRESSED BASIS/UASTC PATH (ETC1S / UASTC transcoded by the decoder)
+          // ==================================================================================
+          isTranscoded = !!transcodeTarget;
+
+          if (isTranscoded) {
+            logApp(`Using Basis data transcoded to ${transcodeTarget.label} (format ID: ${transcodeTarget.id})`, 'info');
+
+            formatInfo    = transcodeTarget;
+            wgpuFormat    = transcodeTarget.format;
+            blockWidth    = transcodeTarget.blockWidth  || 1;
+            blockHeight   = transcodeTarget.blockHeight || 1;
+            bytesPerBlock = transcodeTarget.bytesPerBlock || 0;
+
+            isPixel = !!transcodeTarget.bytesPerPixel;
+            isBlock = !!transcodeTarget.blockWidth;
+
+            // Basis files have no vkFormat; the DFD transfer function says whether color is sRGB
+            const srgbFormat = window.getSRGBCounterpart(wgpuFormat);
+            if (dfd?.transferFunction === 2 && srgbFormat?.endsWith('-srgb')) {
+              wgpuFormat = srgbFormat;
+            }
+          }
+
+          // ==================================================================================
+          // 2. GENERAL PATH: vkFormatToWebGPU FOR BC, ETC2, ASTC + UNCOMPRESSED FORMATS
+          // ==================================================================================
+          else {
+            formatInfo = header.formatInfo || window.vkFormatToWebGPU(header.vkFormat);
+            if (!formatInfo) {
+              throw new Error(`Unsupported vkFormat ${header.vkFormat}`);
+            }
+
+            wgpuFormat   = formatInfo.format;
+            blockWidth   = formatInfo.blockWidth  || 1;
+            blockHeight  = formatInfo.blockHeight || 1;
+            bytesPerBlock = formatInfo.bytesPerBlock || 0;
+
+            isPixel = !!formatInfo.bytesPerPixel;
+            isBlock = !!formatInfo.blockWidth;
+          }
+
+          // Extra safety: feature guards for ETC2 / ASTC when using vkFormatToWebGPU mapping
+          if (
+            wgpuFormat.startsWith('etc2') &&
+            !adapter.features.has('texture-compression-etc2')
+          ) {
+            throw new Error('ETC2 textures are not supported on this GPU/browser.');
+          }
+
+          if (
+            wgpuFormat.startsWith('astc') &&
+            !adapter.features.has('texture-compression-astc')
+          ) {
+            throw new Error('ASTC textures are not supported on this GPU/browser.');
+          }
+
+          // Block-compressed volumes need the matching "sliced-3d" feature; ETC2 has none
+          if (is3D && isBlock) {
+            const family = wgpuFormat.split('-')[0].replace(/\d+$/, '');
+            const sliced3D = { bc: 'texture-compression-bc-sliced-3d', astc: 'texture-compression-astc-sliced-3d' }[family];
+            if (!sliced3D || !device.features.has(sliced3D)) {
+              throw new Error(`3D ${wgpuFormat} textures are not supported on this GPU/browser.`);
+            }
+          }
+
+          // ==================================================================================
+          // 3. CREATE TEXTURE (array layers × faces become 2D array layers, slices a 3D texture)
+          //    It replaces the current texture once level 0 has been uploaded
+          // ==================================================================================
+          newTex = device.createTexture({
+            dimension: is3D ? '3d' : '2d',
+            size: {
+              width: header.pixelWidth,
+              height: header.pixelHeight,
+              depthOrArrayLayers: is3D ? depth : imageCount
+            },
+            format: wgpuFormat,
+            viewFormats: textureViewFormats(wgpuFormat),
+            mipLevelCount: levels.length,
+            // COPY_SRC lets the pixel probe read stored texels back
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC
+          });
+
+          upload = { isPixel, isBlock, formatInfo, blockWidth, blockHeight, bytesPerBlock };
+        }
 
         // ==================================================================================
-        // 6. MIP UI + METADATA PANEL (same as UI version)
+        // 4. STREAMED MIP UPLOAD (levels arrive largest first, as the decoder finishes them)
         // ==================================================================================
-        mipCount = levels.length || 1;
-        currentMip = 0;
-        mipSlider.min = 0;
-        mipSlider.max = Math.max(0, mipCount - 1);
-        mipSlider.value = 0;
-        mipLabel.textContent = '0';
-        mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+        function onLevel(i, raw) {
+          const lvl = levels[i];
 
-        const formatName = window.getFormatName
-          ? window.getFormatName(header.vkFormat)
-          : wgpuFormat;
+          // For 3D textures the images of a level are its z slices
+          writeLevel(newTex, i, raw, lvl.width, lvl.height, lvl.imageCount || imageCount, upload);
+          loadedLevels = i + 1;
+
+          if (slot === 'B') {
+            if (i === 0) {
+              setCompareB(newTex, 1, file.name, `${header.pixelWidth}×${header.pixelHeight} ${wgpuFormat}`, kvd);
+            } else {
+              setCompareBMipCount(loadedLevels);
+            }
+          } else if (i === 0) {
+            // Show the new texture right away; smaller levels extend the mip range as they land
+            srcTex?.destroy?.();
+            srcTex = newTex;
+            srcInfo = {
+              name: file.name, kvd, dfd,
+              transfer: isTranscoded
+                ? `DFD transfer ${dfd?.transferFunctionName || 'unknown'}`
+                : { KTX2: 'vkFormat', KTX1: 'glInternalFormat', DDS: 'DXGI format' }[container],
+              premultipliedAlpha: !!header.premultipliedAlpha
+            };
+            slotASource = { file, basis: isTranscoded };
+            updateAlphaControls();
+            resetNormalControls();
+            updateColorSpaceControls();
+            ktxOrientation = window.parseKTXOrientation(kvd?.KTXorientation);
+            ktxSwizzle = window.parseKTXSwizzle(kvd?.KTXswizzle);
+            mipCount = 1;
+            currentMip = 0;
+            mipSlider.min = 0;
+            mipSlider.max = 0;
+            mipSlider.value = 0;
+            mipLabel.textContent = '0';
+            resetLayerControls(layerCount, faceCount, [header.pixelWidth, header.pixelHeight, depth]);
+          } else {
+            mipCount = loadedLevels;
+            mipSlider.max = mipCount - 1;
+            applySelectedMip();
+          }
+          if (slot === 'A') {
+            mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+            updateMipgenControls();
+          }
+
+          logApp(`${file.name}: level ${i} decoded (${lvl.width}×${lvl.height}, ${loadedLevels}/${levels.length})`, 'info');
+        }
+
+        const decoder = { KTX2: window.decodeKTX2, KTX1: window.decodeKTX1, DDS: window.decodeDDS }[container];
+        const decode = decoder(buf, device, { basisTarget: basisTargetSel.value }, { onHeader, onLevel });
+        activeDecodes[slot] = decode;
+        if (slot === 'A') {
+          stat.textContent = `Decoding ${file.name}...`;
+        }
+
+        try {
+          await decode.promise;
+        } catch (e) {
+          if (newTex !== srcTex && newTex !== compareB.tex) {
+            newTex?.destroy();
+          }
+          if (e.name === 'AbortError') {
+            logApp(`Cancelled loading ${file.name}`, 'warn');
+            return;
+          }
+          throw e;
+        } finally {
+          if (activeDecodes[slot] === decode) {
+            activeDecodes[slot] = null;
+          }
+        }
+
+        if (loadedLevels === 0) {
+          newTex?.destroy();
+          throw new Error('No mip level could be decoded.');
+        }
+
+        if (slot === 'B') {
+          logApp(`Loaded ${file.name} as compare texture B (${loadedLevels} mips)`, 'success');
+          updateCompareMetrics();
+          return;
+        }
+
+        // ==================================================================================
+        // 5. METADATA PANEL
+        // ==================================================================================
+        if (loadedLevels < levels.length) {
+          logApp(`Only ${loadedLevels} of ${levels.length} mip levels could be decoded`, 'warn');
+        }
+
+        const formatName = isTranscoded
+          ? `Basis ${dfd?.colorModelName || 'Universal'} → ${transcodeTarget.label}`
+          : header.formatInfo
+            ? header.formatInfo.name
+            : window.getFormatName
+            ? window.getFormatName(header.vkFormat)
+            : wgpuFormat;
 
         const compressionName = window.getSupercompressionName
           ? window.getSupercompressionName(header.supercompressionScheme)
@@ -942,22 +2100,38 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
               : `Scheme ${header.supercompressionScheme}`);
 
         const metadata = {
-          supercompression: compressionName
+          supercompression: compressionName,
+          layers: layerCount,
+          faces: faceCount,
+          depth
         };
 
         if (kvd && Object.keys(kvd).length > 0) {
           let kvdStr = Object.keys(kvd).join(', ');
           if (kvd.KTXorientation) {
-            kvdStr += ` (orientation: ${kvd.KTXorientation})`;
+            kvdStr += ` (orientation: ${ktxOrientation.value || 'invalid, ignored'})`;
+          }
+          if (kvd.KTXswizzle) {
+            kvdStr += ` (swizzle: ${ktxSwizzle ? kvd.KTXswizzle.replace(/\0+$/, '') : 'invalid, ignored'})`;
           }
           metadata.kvd = kvdStr;
         }
 
+        if (isTranscoded) {
+          const how = basisTargetSel.value === 'auto' ? 'auto' : 'forced';
+          metadata.transcodedTo = `${transcodeTarget.label} (${wgpuFormat}, ${how})`;
+        }
+
         if (dfd) {
-          metadata.dfd = `colorModel=${dfd.colorModel}, transfer=${dfd.transferFunction}`;
+          metadata.dfd = dfd;
         }
 
-        stat.textContent = `Loaded ${file.name} (${header.pixelWidth}×${header.pixelHeight}, ${mipCount} mip${mipCount > 1 ? 's' : ''})`;
+        const shape = is3D ? '3D' : faceCount === 6
+          ? (layerCount > 1 ? `cubemap array ×${layerCount}` : 'cubemap')
+          : (layerCount > 1 ? `array ×${layerCount}` : '2D');
+        const dims = `${header.pixelWidth}×${header.pixelHeight}` + (is3D ? `×${depth}` : '');
+
+        stat.textContent = `Loaded ${file.name} (${dims} ${shape}, ${mipCount} mip${mipCount > 1 ? 's' : ''})`;
         meta.textContent = '';
 
         updateTextureInfo(
@@ -967,16 +2141,18 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
           formatName,
           mipCount,
           file.name,
-          metadata
+          metadata,
+          wgpuFormat
         );
 
         logApp(
-          `Successfully loaded KTX2 ${file.name} (${header.pixelWidth}×${header.pixelHeight}, ${formatName}, ${mipCount} mips)`,
+          `Successfully loaded ${container} ${file.name} (${dims} ${shape}, ${formatName}, ${mipCount} mips)`,
           'success'
         );
+        updateCompareMetrics();
+        updateTextureStats();
       }
 
-
       fileInp.addEventListener('change', async () => {
         const f = fileInp.files?.[0];
         if (!f) return;
@@ -987,7 +2163,9 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
           if (fileName.endsWith('.gltf') || fileName.endsWith('.glb')) {
             // --- glTF Handling ---
             window.currentGltfFile = f;
+            slotASource = null;
             if (gltfControls) gltfControls.style.display = 'block';
+            ktx2Controls.style.display = 'none';
             
             stat.textContent = `Selected: ${f.name}`;
             meta.textContent = 'glTF detected. Click Validate button to analyze.';
@@ -998,8 +2176,9 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
             // --- Texture Handling ---
             window.currentGltfFile = null;
             if (gltfControls) gltfControls.style.display = 'none';
+            ktx2Controls.style.display = 'none';
             
-            if (fileName.endsWith('.ktx2')) {
+            if (/\.(ktx2|ktx|dds)$/.test(fileName)) {
               await loadKTX2_ToTexture(f);
             } else {
               await loadImageToTexture(f);
@@ -1036,68 +2215,1209 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
       const shaderModule = await compileModule(shaderCode, 'shaders');
       logApp('Shaders compiled', 'success');
 
-      let texPipeline = null;
-      let solidPipeline = null;
+      // One pipeline per view mode. Layouts are 'auto', so each mode lists exactly
+      // the bindings its fragment entry point uses.
+      const VIEW_MODES = {
+        flat:   { entryPoint: 'fs_textured',   bindings: [0, 1, 2] },
+        cross:  { entryPoint: 'fs_cube_cross', bindings: [0, 1, 2] },
+        skybox: { entryPoint: 'fs_skybox',     bindings: [0, 1, 3] },
+        volume: { entryPoint: 'fs_volume',     bindings: [0, 1, 4] },
+        compare: { entryPoint: 'fs_compare',   bindings: [0, 1, 2, 7] },
+        sheet:  { entryPoint: 'fs_mip_sheet',  bindings: [0, 1, 2] }
+      };
 
-      try {
-        texPipeline = await device.createRenderPipelineAsync({
-          layout: 'auto',
-          vertex:   { module: shaderModule, entryPoint: 'vs_textured' },
-          fragment: { module: shaderModule, entryPoint: 'fs_textured', targets: [{ format }] },
-          primitive:{ topology: 'triangle-list' }
+      // Render pipelines for one canvas format: { views: { mode: pipeline }, solid }
+      async function createRenderPipelines(targetFormat) {
+        const views = {};
+        for (const [mode, { entryPoint }] of Object.entries(VIEW_MODES)) {
+          try {
+            views[mode] = await device.createRenderPipelineAsync({
+              layout: 'auto',
+              vertex:   { module: shaderModule, entryPoint: 'vs_textured' },
+              fragment: { module: shaderModule, entryPoint, targets: [{ format: targetFormat }] },
+              primitive:{ topology: 'triangle-list' }
+            });
+          } catch (e) {
+            console.error(`${mode} pipeline creation failed:`, e);
+            logApp(`View pipeline '${mode}' (${targetFormat}) failed: ` + (e.message || e), 'error');
+          }
+        }
+
+        try {
+          const solid = await device.createRenderPipelineAsync({
+            layout: 'auto',
+            vertex:   { module: shaderModule, entryPoint: 'vs_solid' },
+            fragment: { module: shaderModule, entryPoint: 'fs_solid', targets: [{ format: targetFormat }] },
+            primitive:{ topology: 'triangle-list' }
+          });
+          return { views, solid };
+        } catch (e) {
+          console.error('Solid pipeline creation failed:', e);
+          logApp('Solid pipeline failed: ' + (e.message || e), 'error');
+          throw new Error('Pipeline creation failed');
+        }
+      }
+
+      // HDR output swaps in a second set built for the rgba16float canvas
+      const sdrPipelines = await createRenderPipelines(format);
+      let hdrPipelines = null;
+      let viewPipelines = sdrPipelines.views;
+      let texPipeline = viewPipelines.flat || null;
+      let solidPipeline = sdrPipelines.solid;
+      logApp(`Render pipelines created (${format})`, 'success');
+
+      // The contact sheet or the A/B compare pipeline stands in for the flat view
+      function pipelineMode() {
+        const mode = isSheetView() ? 'sheet' : (isComparing() ? 'compare' : viewMode);
+        return viewPipelines[mode] ? mode : 'flat';
+      }
+
+      function activePipeline() {
+        return viewPipelines[pipelineMode()] || texPipeline;
+      }
+
+      function makeTexBindGroup() {
+        const mode = pipelineMode();
+        const resources = {
+          0: { buffer: uniformBuf },
+          1: sampler,
+          2: srcView,
+          3: cubeView,
+          4: volumeView,
+          7: compareB.view
+        };
+        const bgl0 = activePipeline().getBindGroupLayout(0);
+        return device.createBindGroup({
+          layout: bgl0,
+          entries: VIEW_MODES[mode].bindings.map(binding => ({ binding, resource: resources[binding] }))
         });
-        logApp('Textured pipeline created', 'success');
-      } catch (e) {
-        console.error('Textured pipeline creation failed:', e);
-        logApp('Textured pipeline failed: ' + (e.message || e), 'error');
       }
+      let texBindGroup = texPipeline ? makeTexBindGroup() : null;
 
-      try {
-        solidPipeline = await device.createRenderPipelineAsync({
+      function applySelectedMip() {
+        // Levels past mipCount may still be decoding, so keep them out of the view
+        const mipRange = (srcTex && mipCount > 0 && mipOnlyBox.checked && !isSheetView())
+          ? { baseMipLevel: currentMip, mipLevelCount: 1 }
+          : { baseMipLevel: 0, mipLevelCount: Math.min(mipCount, srcTex.mipLevelCount) };
+        if (texDepth > 1) {
+          srcView = null;
+          cubeView = null;
+          volumeView = srcTex.createView({ dimension: '3d', format: viewFormat(srcTex), ...mipRange });
+        } else {
+          srcView = srcTex.createView({ dimension: '2d-array', format: viewFormat(srcTex), ...mipRange });
+          cubeView = (texFaces === 6)
+            ? srcTex.createView({ dimension: 'cube', format: viewFormat(srcTex), baseArrayLayer: currentLayer * 6, arrayLayerCount: 6, ...mipRange })
+            : null;
+          volumeView = null;
+        }
+        if (compareB.tex) {
+          const countB = Math.min(compareB.mipCount, compareB.tex.mipLevelCount);
+          compareB.view = compareB.tex.createView({
+            dimension: '2d-array',
+            format: viewFormat(compareB.tex),
+            ...(mipOnlyBox.checked
+              ? { baseMipLevel: Math.min(currentMip, countB - 1), mipLevelCount: 1 }
+              : { baseMipLevel: 0, mipLevelCount: countB })
+          });
+        }
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+      }
+
+      // ---------- Mip generation ----------
+      // Image files bring only level 0; the rest is drawn on the GPU by fs_mip_downsample with
+      // the filter chosen in the sidebar. Changing it regenerates the levels of loaded images.
+      const mipgenControls      = document.getElementById('mipgen-controls');
+      const mipFilterSel        = document.getElementById('mipFilter');
+      const mipLinearBox        = document.getElementById('mipLinear');
+      const mipAlphaWeightedBox = document.getElementById('mipAlphaWeighted');
+      const MIP_FILTER_NAMES = ['box', 'Kaiser', 'Lanczos-3'];
+      const generatedMipTextures = new WeakSet();
+      const mipGenPipelines = {};
+
+      // One pipeline per level view format: rgba8unorm, rgba8unorm-srgb to filter in linear light,
+      // or rgba16float for HDR sources
+      async function mipGenPipeline(levelFormat) {
+        mipGenPipelines[levelFormat] ??= device.createRenderPipelineAsync({
           layout: 'auto',
           vertex:   { module: shaderModule, entryPoint: 'vs_solid' },
-          fragment: { module: shaderModule, entryPoint: 'fs_solid', targets: [{ format }] },
+          fragment: { module: shaderModule, entryPoint: 'fs_mip_downsample', targets: [{ format: 'rgba16float' }, { format: levelFormat }] },
           primitive:{ topology: 'triangle-list' }
         });
-        logApp('Solid pipeline created', 'success');
-      } catch (e) {
-        console.error('Solid pipeline creation failed:', e);
-        logApp('Solid pipeline failed: ' + (e.message || e), 'error');
-        throw new Error('Pipeline creation failed');
+        return mipGenPipelines[levelFormat];
       }
 
-      function makeTexBindGroup() {
-        const bgl0 = texPipeline.getBindGroupLayout(0);
-        return device.createBindGroup({
-          layout: bgl0,
+      // Fill levels 1..n of an rgba8unorm(-srgb) or rgba16float image texture from its level 0.
+      // Data that is viewed as sRGB goes through an -srgb view when filtering in linear light;
+      // linear and float data is filtered as stored either way.
+      async function generateMips(texture) {
+        const levels = texture.mipLevelCount;
+        if (levels < 2) {
+          return;
+        }
+        const started = performance.now();
+        const kernel = parseInt(mipFilterSel.value);
+        const alphaWeighted = mipAlphaWeightedBox.checked;
+        const float = texture.format === 'rgba16float';
+        const linearLight = float || (mipLinearBox.checked && viewFormat(texture).endsWith('-srgb'));
+        const levelFormat = float ? 'rgba16float' : linearLight ? 'rgba8unorm-srgb' : 'rgba8unorm';
+        const pipeline = await mipGenPipeline(levelFormat);
+
+        // Chain level k holds texture level k + 1
+        const chain = device.createTexture({
+          size: { width: Math.max(1, texture.width >> 1), height: Math.max(1, texture.height >> 1) },
+          format: 'rgba16float',
+          mipLevelCount: levels - 1,
+          usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+        // One MipGenIn per pass, at the 256-byte uniform offset alignment
+        const params = device.createBuffer({ size: 256 * (levels - 1), usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+        const words = new Uint32Array(64 * (levels - 1));
+        for (let level = 1; level < levels; level++) {
+          words.set([kernel, Number(alphaWeighted), Number(level === 1), 0], (level - 1) * 64);
+        }
+        device.queue.writeBuffer(params, 0, words);
+
+        const encoder = device.createCommandEncoder();
+        for (let level = 1; level < levels; level++) {
+          const src = level === 1
+            ? texture.createView({ format: levelFormat, dimension: '2d', baseMipLevel: 0, mipLevelCount: 1 })
+            : chain.createView({ dimension: '2d', baseMipLevel: level - 2, mipLevelCount: 1 });
+          const pass = encoder.beginRenderPass({
+            colorAttachments: [
+              { view: chain.createView({ dimension: '2d', baseMipLevel: level - 1, mipLevelCount: 1 }), loadOp: 'clear', storeOp: 'store' },
+              { view: texture.createView({ format: levelFormat, dimension: '2d', baseMipLevel: level, mipLevelCount: 1 }), loadOp: 'clear', storeOp: 'store' }
+            ]
+          });
+          pass.setPipeline(pipeline);
+          pass.setBindGroup(0, device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+              { binding: 17, resource: { buffer: params, offset: (level - 1) * 256, size: 16 } },
+              { binding: 18, resource: src }
+            ]
+          }));
+          pass.draw(3);
+          pass.end();
+        }
+        device.queue.submit([encoder.finish()]);
+        await device.queue.onSubmittedWorkDone();
+        chain.destroy();
+        params.destroy();
+        generatedMipTextures.add(texture);
+
+        const options = [MIP_FILTER_NAMES[kernel], linearLight ? 'linear light' : 'stored values'];
+        if (alphaWeighted) {
+          options.push('alpha-weighted');
+        }
+        logApp(`Generated ${levels - 1} mip levels (${options.join(', ')}) in ${Math.round(performance.now() - started)} ms`, 'info');
+      }
+
+      async function regenerateMips() {
+        for (const texture of [srcTex, compareB.tex]) {
+          if (texture && generatedMipTextures.has(texture)) {
+            await generateMips(texture);
+          }
+        }
+        updateCompareMetrics();
+        updateTextureStats();
+      }
+
+      // The options only apply while A or B is an image with generated levels
+      function updateMipgenControls() {
+        const generated = [srcTex, compareB.tex].some(texture => texture && generatedMipTextures.has(texture));
+        mipgenControls.style.display = generated ? 'block' : 'none';
+      }
+
+      mipFilterSel.onchange = regenerateMips;
+      mipLinearBox.onchange = regenerateMips;
+      mipAlphaWeightedBox.onchange = regenerateMips;
+
+      // ---------- HDR output ----------
+      // Opt-in: configure the canvas as rgba16float with extended tone mapping and switch to
+      // pipelines for that format. Browsers without canvas tone mapping drop the toneMapping
+      // member, which getConfiguration() reveals; those stay on the 8-bit canvas.
+      async function setHdrOutput(on) {
+        if (on) {
+          try {
+            hdrPipelines ??= await createRenderPipelines('rgba16float');
+          } catch (e) {
+            logApp('HDR output unavailable: ' + (e.message || e), 'warn');
+            on = false;
+          }
+        }
+        hdrOutput = on;
+        configureCanvas();
+        if (on && context.getConfiguration?.()?.toneMapping?.mode !== 'extended') {
+          hdrOutput = false;
+          configureCanvas();
+          logApp(`HDR output is not supported here (no extended canvas tone mapping); staying on ${format}`, 'warn');
+        } else if (on) {
+          const hdrDisplay = window.matchMedia?.('(dynamic-range: high)').matches;
+          logApp(hdrDisplay
+            ? 'HDR output on: rgba16float canvas, extended tone mapping'
+            : 'HDR output on, but the display reports standard dynamic range, so values above 1.0 will still clip', hdrDisplay ? 'success' : 'warn');
+        }
+
+        const set = hdrOutput ? hdrPipelines : sdrPipelines;
+        viewPipelines = set.views;
+        texPipeline = viewPipelines.flat || null;
+        solidPipeline = set.solid;
+        texBindGroup = texPipeline ? makeTexBindGroup() : null;
+        hdrOutputBox.checked = hdrOutput;
+        updatePipelineDocs();
+      }
+
+      hdrOutputBox.onchange = () => setHdrOutput(hdrOutputBox.checked);
+
+      // ---------- Pixel probe ----------
+      // Hovering the canvas reads the texel under the cursor at the selected mip: its stored
+      // bytes (copied out of the texture and decoded on the CPU), and through cs_probe_* the
+      // GPU-decoded value, the value after channel mix and the value after the display pipeline.
+      const probeInBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      const probeOutBuf = device.createBuffer({ size: 48, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+      // Bytes 0-47 receive ProbeOut, bytes from PROBE_BYTES_OFFSET the stored texel block
+      const probeReadBuf = device.createBuffer({ size: 256, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      const PROBE_BYTES_OFFSET = 64;
+
+      const probePipelines = {};
+      for (const dim of ['2d', '3d']) {
+        try {
+          probePipelines[dim] = await device.createComputePipelineAsync({
+            layout: 'auto',
+            compute: { module: shaderModule, entryPoint: `cs_probe_${dim}` }
+          });
+        } catch (e) {
+          console.error(`Probe pipeline ${dim} failed:`, e);
+          logApp(`Pixel probe pipeline '${dim}' failed: ` + (e.message || e), 'error');
+        }
+      }
+
+      const probeBox = document.createElement('div');
+      probeBox.id = 'probe';
+      probeBox.style.cssText = 'position:absolute; left:8px; bottom:8px; display:none; padding:6px 8px; background:rgba(0,0,0,0.75); color:#ddd; font:11px/1.5 monospace; border-radius:4px; pointer-events:none; white-space:pre;';
+      canvas.parentNode.style.position = 'relative';
+      canvas.parentNode.appendChild(probeBox);
+
+      const FACE_NAMES = ['+X', '-X', '+Y', '-Y', '+Z', '-Z'];
+
+      // Horizontal cross cell → cube face, as cross_face() in shaders.wgsl
+      function crossFace(cx, cy) {
+        if (cy === 1 && cx >= 0 && cx < 4) {
+          return [1, 4, 0, 5][cx];
+        }
+        if (cx === 1 && cy === 0) {
+          return 2;
+        }
+        if (cx === 1 && cy === 2) {
+          return 3;
+        }
+        return -1;
+      }
+
+      // Direction → cube face and face uv (WebGPU cube map conventions)
+      function cubeFaceUV([x, y, z]) {
+        const ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+        let face, sc, tc, ma;
+        if (ax >= ay && ax >= az) {
+          ma = ax; face = x > 0 ? 0 : 1; sc = x > 0 ? -z : z; tc = -y;
+        } else if (ay >= az) {
+          ma = ay; face = y > 0 ? 2 : 3; sc = x; tc = y > 0 ? z : -z;
+        } else {
+          ma = az; face = z > 0 ? 4 : 5; sc = z > 0 ? x : -x; tc = -y;
+        }
+        return { face, u: 0.5 * (sc / ma + 1), v: 0.5 * (tc / ma + 1) };
+      }
+
+      // Skybox view ray for a canvas uv, as in fs_skybox
+      function skyboxDir(u, v) {
+        const nx = u * 2 - 1, ny = 1 - v * 2;
+        const aspect = lastW / Math.max(lastH, 1);
+        const t = Math.tan(0.5 * skyFovY);
+        const f = [Math.sin(skyYaw) * Math.cos(skyPitch), Math.sin(skyPitch), Math.cos(skyYaw) * Math.cos(skyPitch)];
+        const r = [Math.cos(skyYaw), 0, -Math.sin(skyYaw)];
+        const up = [f[1] * r[2] - f[2] * r[1], f[2] * r[0] - f[0] * r[2], f[0] * r[1] - f[1] * r[0]];
+        return [0, 1, 2].map(i => f[i] + nx * t * aspect * r[i] + ny * t * up[i]);
+      }
+
+      // Canvas uv (0..1, y down) → texel at the selected mip, mirroring the fragment shaders.
+      // Returns null where the view shows background.
+      function probeTarget(u, v) {
+        let mip = Math.min(currentMip, Math.max(0, mipCount - 1));
+        let size = texSize.map(n => Math.max(1, n >> mip));
+        const toTexel = (c, axis) => Math.min(size[axis] - 1, Math.max(0, Math.floor(c * size[axis])));
+        const flips = showRawData
+          ? [false, false, false]
+          : [ktxOrientation.flipX, ktxOrientation.flipY, ktxOrientation.flipZ];
+        const orient = (c) => c.map((x, i) => (flips[i] ? 1 - x : x));
+
+        // Every view but the skybox is panned and zoomed first, as view_uv() in the shaders
+        if (viewMode !== 'skybox') {
+          const [w, h] = contentSize();
+          u = (u * lastW - view.x) / (w * view.zoom);
+          v = (v * lastH - view.y) / (h * view.zoom);
+          if (u < 0 || u > 1 || v < 0 || v > 1) {
+            return null;
+          }
+          // Side by side shows A and B next to each other; the probe reads A at the same texel
+          if (isComparing() && compareMode === 'side') {
+            u = Math.min(1, u * 2) % 1;
+          }
+        }
+
+        // Contact sheet: read the level under the cursor
+        if (isSheetView()) {
+          const sheet = sheetLayout();
+          const [px, py] = [u * sheet.width, v * sheet.height];
+          const tile = sheet.tiles.find(t => px >= t.x && px < t.x + t.w && py < t.h);
+          if (!tile) {
+            return null;
+          }
+          [u, v, mip] = [(px - tile.x) / tile.w, py / tile.h, tile.level];
+          size = [tile.w, tile.h, 1];
+        }
+
+        if (viewMode === 'volume') {
+          const s = (sliceIndex + 0.5) / sliceCount();
+          const c = orient(sliceAxis === 1 ? [u, s, v] : sliceAxis === 2 ? [s, u, v] : [u, v, s]);
+          return { dim: '3d', x: toTexel(c[0], 0), y: toTexel(c[1], 1), z: toTexel(c[2], 2), mip, where: `slice ${toTexel(c[2], 2)}` };
+        }
+
+        let face = currentFace, fu = u, fv = v;
+        if (viewMode === 'cross') {
+          face = crossFace(Math.floor(u * 4), Math.floor(v * 3));
+          if (face < 0) {
+            return null;
+          }
+          fu = (u * 4) % 1;
+          fv = (v * 3) % 1;
+        } else if (viewMode === 'skybox') {
+          ({ face, u: fu, v: fv } = cubeFaceUV(skyboxDir(u, v)));
+        } else {
+          [fu, fv] = orient([u, v, 0]);
+        }
+
+        const parts = [];
+        if (texLayers > 1) {
+          parts.push(`layer ${currentLayer}`);
+        }
+        if (texFaces === 6) {
+          parts.push(`face ${FACE_NAMES[face]}`);
+        }
+        return {
+          dim: '2d', x: toTexel(fu, 0), y: toTexel(fv, 1), z: currentLayer * texFaces + face, mip,
+          where: parts.join(', ')
+        };
+      }
+
+      async function readProbe(target) {
+        const pipeline = probePipelines[target.dim];
+        if (!pipeline) {
+          return null;
+        }
+        const texture = srcTex;
+        const texView = texture.createView({
+          dimension: target.dim === '3d' ? '3d' : '2d-array',
+          format: viewFormat(texture),
+          baseMipLevel: 0,
+          mipLevelCount: Math.min(mipCount, texture.mipLevelCount)
+        });
+        device.queue.writeBuffer(probeInBuf, 0, new Uint32Array([target.x, target.y, target.z, target.mip]));
+        const bindGroup = device.createBindGroup({
+          layout: pipeline.getBindGroupLayout(0),
           entries: [
             { binding: 0, resource: { buffer: uniformBuf } },
-            { binding: 1, resource: sampler },
-            { binding: 2, resource: srcView }
+            { binding: target.dim === '3d' ? 4 : 2, resource: texView },
+            { binding: 5, resource: { buffer: probeInBuf } },
+            { binding: 6, resource: { buffer: probeOutBuf } }
           ]
         });
+
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(1);
+        pass.end();
+        encoder.copyBufferToBuffer(probeOutBuf, 0, probeReadBuf, 0, 48);
+
+        // Copy the whole texel block holding the texel (a single texel for uncompressed formats)
+        const block = window.getTexelBlockInfo(texture.format);
+        if (block) {
+          encoder.copyTextureToBuffer(
+            {
+              texture,
+              mipLevel: target.mip,
+              origin: { x: target.x - target.x % block.blockWidth, y: target.y - target.y % block.blockHeight, z: target.z }
+            },
+            { buffer: probeReadBuf, offset: PROBE_BYTES_OFFSET, bytesPerRow: 256 },
+            { width: block.blockWidth, height: block.blockHeight, depthOrArrayLayers: 1 }
+          );
+        }
+        device.queue.submit([encoder.finish()]);
+
+        await probeReadBuf.mapAsync(GPUMapMode.READ);
+        const out = new Float32Array(probeReadBuf.getMappedRange(0, 48).slice(0));
+        const bytes = block
+          ? new Uint8Array(probeReadBuf.getMappedRange(PROBE_BYTES_OFFSET, block.bytesPerBlock).slice(0))
+          : null;
+        probeReadBuf.unmap();
+
+        return {
+          format: texture.format,
+          block,
+          bytes,
+          texel: out.subarray(0, 4),
+          mixed: out.subarray(4, 8),
+          shown: out.subarray(8, 11)
+        };
       }
-      let texBindGroup = texPipeline ? makeTexBindGroup() : null;
 
-      function applySelectedMip() {
-        if (srcTex && mipCount > 0 && mipOnlyBox.checked) {
-          srcView = srcTex.createView({ baseMipLevel: currentMip, mipLevelCount: 1 });
+      const fmtProbe = (values) => Array.from(values, x => {
+        if (!Number.isFinite(x)) {
+          return String(x).padStart(9);
+        }
+        const big = Math.abs(x) >= 1e4 || (x !== 0 && Math.abs(x) < 1e-3);
+        return (big ? x.toExponential(2) : x.toFixed(4)).padStart(9);
+      }).join(' ');
+
+      function renderProbe(target, r) {
+        const lines = [`texel   (${target.x}, ${target.y})${target.where ? ' ' + target.where : ''}, mip ${target.mip}`];
+        const hex = r.bytes ? Array.from(r.bytes, b => b.toString(16).padStart(2, '0')).join(' ') : null;
+        const stored = r.bytes && window.decodeTexel(r.format, r.bytes);
+        if (stored) {
+          lines.push(`stored  ${fmtProbe(stored)}  (${r.format}: ${hex})`);
+        } else if (hex) {
+          lines.push(`stored  ${r.block.blockWidth}×${r.block.blockHeight} ${r.format} block: ${hex}`);
+        }
+        lines.push(`decoded ${fmtProbe(r.texel)}`);
+        lines.push(`mixed   ${fmtProbe(r.mixed)}`);
+        const rgb8 = Array.from(r.shown, x => Math.round(Math.min(1, Math.max(0, x)) * 255)).join(', ');
+        lines.push(`shown   ${fmtProbe(r.shown)}  (${rgb8})`);
+        probeBox.textContent = lines.join('\n');
+        probeBox.style.display = 'block';
+      }
+
+      // One readback in flight at a time; moves during a readback coalesce into the next one
+      let probePending = null;
+      let probeBusy = false;
+      let probeHover = false;
+
+      async function pumpProbe() {
+        if (probeBusy) {
+          return;
+        }
+        probeBusy = true;
+        try {
+          while (probePending) {
+            const { u, v } = probePending;
+            probePending = null;
+            const target = probeTarget(u, v);
+            const result = target && await readProbe(target);
+            if (!probeHover) {
+              break;
+            }
+            if (result) {
+              renderProbe(target, result);
+            } else {
+              probeBox.style.display = 'none';
+            }
+          }
+        } catch (e) {
+          console.error('Pixel probe failed:', e);
+          logApp('Pixel probe failed: ' + (e.message || e), 'error');
+        } finally {
+          probeBusy = false;
+        }
+      }
+
+      canvas.addEventListener('pointermove', (e) => {
+        if (skyDrag || panDrag || !texPipeline) {
+          return;
+        }
+        probeHover = true;
+        probePending = { u: e.offsetX / Math.max(1, canvas.clientWidth), v: e.offsetY / Math.max(1, canvas.clientHeight) };
+        pumpProbe();
+      });
+      canvas.addEventListener('pointerleave', () => {
+        probeHover = false;
+        probePending = null;
+        probeBox.style.display = 'none';
+      });
+
+      // ---------- A/B compare ----------
+      // Slot B is loaded with loadImageToTexture / loadKTX2_ToTexture(file, 'B'). fs_compare
+      // draws it against A; cs_metrics_* measure PSNR, SSIM and max error on the GPU.
+      const compareBadge = document.createElement('div');
+      compareBadge.style.cssText = 'position:absolute; left:8px; top:8px; display:none; padding:2px 8px; background:rgba(0,0,0,0.75); color:#fc4; font:bold 14px monospace; border-radius:4px; pointer-events:none;';
+      canvas.parentNode.appendChild(compareBadge);
+
+      function setCompareB(texture, levels, name, desc, kvd) {
+        if (compareB.tex !== texture) {
+          compareB.tex?.destroy();
+        }
+        compareB.tex = texture;
+        compareB.mipCount = levels;
+        compareB.orientation = window.parseKTXOrientation(kvd?.KTXorientation);
+        compareB.swizzle = window.parseKTXSwizzle(kvd?.KTXswizzle);
+        updateMipgenControls();
+        compareBLabel.textContent = `B: ${name} (${desc})`;
+        compareStats.textContent = '';
+        if (compareMode === 'off') {
+          compareModeSel.value = 'split';
+          setCompareMode('split');
         } else {
-          srcView = srcTex.createView();
+          applySelectedMip();
         }
-        if (texPipeline) texBindGroup = makeTexBindGroup();
       }
 
-      // frame loop
-      function frame() {
-        configureIfNeeded();
+      // Levels of a streamed KTX2 B texture land one at a time
+      function setCompareBMipCount(levels) {
+        compareB.mipCount = levels;
+        applySelectedMip();
+      }
+
+      let flickerTimer = null;
+      function setCompareMode(mode) {
+        compareMode = mode;
+        clearInterval(flickerTimer);
+        flickerTimer = null;
+        flickerShowB = false;
+        if (mode === 'flicker') {
+          flickerTimer = setInterval(() => {
+            flickerShowB = !flickerShowB;
+            compareBadge.textContent = flickerShowB ? 'B' : 'A';
+          }, 500);
+        }
+        compareBadge.textContent = 'A';
+        compareBadge.style.display = mode === 'flicker' ? 'block' : 'none';
+        diffRow.style.display = mode === 'diff' ? 'flex' : 'none';
+        if (mode !== 'off' && compareB.tex && viewMode !== 'flat') {
+          logApp('A/B compare draws in the flat view; pick a face or layer there', 'warn');
+        }
+        applySelectedMip();
+      }
+
+      compareModeSel.onchange = () => setCompareMode(compareModeSel.value);
+      diffGainInput.oninput = () => {
+        diffGain = Math.pow(2, parseInt(diffGainInput.value));
+        diffGainLabel.textContent = `×${diffGain}`;
+      };
+
+      fileBInp.addEventListener('change', async () => {
+        const f = fileBInp.files?.[0];
+        if (!f) {
+          return;
+        }
+        try {
+          if (/\.(ktx2|ktx|dds)$/i.test(f.name)) {
+            await loadKTX2_ToTexture(f, 'B');
+          } else {
+            await loadImageToTexture(f, 'B');
+          }
+        } catch (e) {
+          console.error(e);
+          logApp('Failed to load ' + f.name + ' as B: ' + (e.message || e), 'error');
+        }
+      });
+
+      const metricsInBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      const metricsTotalBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+      const metricsReadBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      let metricsTileBuf = null;
+
+      const metricsPipelines = {};
+      for (const stage of ['tiles', 'total']) {
+        try {
+          metricsPipelines[stage] = await device.createComputePipelineAsync({
+            layout: 'auto',
+            compute: { module: shaderModule, entryPoint: `cs_metrics_${stage}` }
+          });
+        } catch (e) {
+          console.error(`Metrics pipeline ${stage} failed:`, e);
+          logApp(`A/B metrics pipeline '${stage}' failed: ` + (e.message || e), 'error');
+        }
+      }
+
+      async function measureCompare() {
+        if (srcTex.dimension === '3d') {
+          compareStats.textContent = 'A is a 3D texture; metrics need 2D';
+          return;
+        }
+        const mipA = Math.min(currentMip, Math.max(0, mipCount - 1));
+        const w = Math.max(1, srcTex.width >> mipA);
+        const h = Math.max(1, srcTex.height >> mipA);
+        // Same level index for equal sizes; otherwise the B level closest in size to A's
+        const levelShift = Math.round(Math.log2(compareB.tex.width / srcTex.width));
+        const mipB = Math.max(0, Math.min(compareB.mipCount - 1, mipA + levelShift));
+        const layer = currentLayer * texFaces + currentFace;
+        const tilesX = Math.ceil(w / 8), tilesY = Math.ceil(h / 8);
+        const tileCount = tilesX * tilesY;
+
+        if (!metricsTileBuf || metricsTileBuf.size < tileCount * 16) {
+          metricsTileBuf?.destroy();
+          metricsTileBuf = device.createBuffer({ size: tileCount * 16, usage: GPUBufferUsage.STORAGE });
+        }
+        device.queue.writeBuffer(metricsInBuf, 0, new Uint32Array([mipA, mipB, layer, tileCount]));
+
+        const viewA = srcTex.createView({ dimension: '2d-array', format: viewFormat(srcTex), baseMipLevel: 0, mipLevelCount: Math.min(mipCount, srcTex.mipLevelCount) });
+        const viewB = compareB.tex.createView({ dimension: '2d-array', format: viewFormat(compareB.tex), baseMipLevel: 0, mipLevelCount: Math.min(compareB.mipCount, compareB.tex.mipLevelCount) });
+        const tilesGroup = device.createBindGroup({
+          layout: metricsPipelines.tiles.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: uniformBuf } },
+            { binding: 2, resource: viewA },
+            { binding: 7, resource: viewB },
+            { binding: 8, resource: { buffer: metricsInBuf } },
+            { binding: 9, resource: { buffer: metricsTileBuf } }
+          ]
+        });
+        const totalGroup = device.createBindGroup({
+          layout: metricsPipelines.total.getBindGroupLayout(0),
+          entries: [
+            { binding: 8, resource: { buffer: metricsInBuf } },
+            { binding: 9, resource: { buffer: metricsTileBuf } },
+            { binding: 10, resource: { buffer: metricsTotalBuf } }
+          ]
+        });
+
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(metricsPipelines.tiles);
+        pass.setBindGroup(0, tilesGroup);
+        pass.dispatchWorkgroups(tilesX, tilesY);
+        pass.setPipeline(metricsPipelines.total);
+        pass.setBindGroup(0, totalGroup);
+        pass.dispatchWorkgroups(1);
+        pass.end();
+        encoder.copyBufferToBuffer(metricsTotalBuf, 0, metricsReadBuf, 0, 16);
+        device.queue.submit([encoder.finish()]);
+
+        await metricsReadBuf.mapAsync(GPUMapMode.READ);
+        const [sqErr, maxErr, ssimSum, pixels] = new Float32Array(metricsReadBuf.getMappedRange().slice(0));
+        metricsReadBuf.unmap();
+
+        // PSNR against a peak of 1.0, over RGB
+        const mse = sqErr / (pixels * 3);
+        const psnr = mse > 0 ? 10 * Math.log10(1 / mse) : Infinity;
+        const ssim = ssimSum / tileCount;
+        const psnrText = Number.isFinite(psnr) ? `${psnr.toFixed(2)} dB` : '∞ (identical)';
+        compareStats.textContent = [
+          `mip ${mipA}${mipB !== mipA ? ` (B mip ${mipB})` : ''}, ${w}×${h}`,
+          `PSNR ${psnrText}`,
+          `SSIM ${ssim.toFixed(4)}`,
+          `max  ${maxErr.toFixed(4)} (${Math.round(maxErr * 255)}/255)`
+        ].join('\n');
+        logApp(`A/B metrics at mip ${mipA}: PSNR ${psnrText}, SSIM ${ssim.toFixed(4)}, max error ${maxErr.toFixed(4)}`, 'info');
+      }
+
+      // One measurement at a time; requests made meanwhile rerun it once it finishes
+      let metricsBusy = false;
+      let metricsAgain = false;
+      async function updateCompareMetrics() {
+        if (!compareB.tex || !metricsPipelines.tiles || !metricsPipelines.total) {
+          return;
+        }
+        if (metricsBusy) {
+          metricsAgain = true;
+          return;
+        }
+        metricsBusy = true;
+        try {
+          do {
+            metricsAgain = false;
+            await measureCompare();
+          } while (metricsAgain);
+        } catch (e) {
+          console.error('A/B metrics failed:', e);
+          logApp('A/B metrics failed: ' + (e.message || e), 'error');
+        } finally {
+          metricsBusy = false;
+        }
+      }
+
+      // ---------- Texture statistics ----------
+      // cs_stats_* histogram the selected level (the current layer and face, or every slice
+      // of a volume) and sum it per workgroup; cs_stats_total adds the sums up. Min/max come
+      // back as order-preserving u32 keys, percentiles are read off the luminance histogram.
+      const STATS_BINS = 128;
+      const STATS_MIN_LOG2 = -16;
+      const STATS_BINS_PER_STOP = 4;
+      const STATS_OUT_WORDS = 11 + 5 * STATS_BINS;  // minKey[5], maxKey[5], nonFinite, hist
+      const STATS_CHANNELS = ['R', 'G', 'B', 'A', 'L'];
+      const STATS_COLORS = ['#f66', '#6f6', '#68f', '#777', '#eee'];
+
+      const statsInBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      const statsOutBuf = device.createBuffer({ size: STATS_OUT_WORDS * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+      const statsTotalBuf = device.createBuffer({ size: 32, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+      const statsReadBuf = device.createBuffer({ size: STATS_OUT_WORDS * 4 + 32, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      let statsPartialBuf = null;
+      let lastStats = null;
+
+      // Min keys start at the top so atomicMin can only lower them
+      const statsOutInit = new Uint32Array(STATS_OUT_WORDS);
+      statsOutInit.fill(0xFFFFFFFF, 0, 5);
+
+      const statsPipelines = {};
+      for (const stage of ['2d', '3d', 'total']) {
+        try {
+          statsPipelines[stage] = await device.createComputePipelineAsync({
+            layout: 'auto',
+            compute: { module: shaderModule, entryPoint: `cs_stats_${stage}` }
+          });
+        } catch (e) {
+          console.error(`Statistics pipeline ${stage} failed:`, e);
+          logApp(`Statistics pipeline '${stage}' failed: ` + (e.message || e), 'error');
+        }
+      }
+
+      // Inverse of float_key in shaders.wgsl
+      function keyToFloat(key) {
+        const bits = (key & 0x80000000) ? key & 0x7FFFFFFF : ~key;
+        const dv = new DataView(new ArrayBuffer(4));
+        dv.setUint32(0, bits >>> 0);
+        return dv.getFloat32(0);
+      }
+
+      // Value below which `fraction` of the counted texels fall, interpolated within the bin
+      function histPercentile(hist, total, fraction) {
+        const target = fraction * total;
+        let acc = 0;
+        for (let b = 0; b < hist.length; b++) {
+          if (hist[b] === 0 || acc + hist[b] < target) {
+            acc += hist[b];
+            continue;
+          }
+          if (b === 0) {
+            return 0;
+          }
+          const t = (target - acc) / hist[b];
+          return Math.pow(2, STATS_MIN_LOG2 + (b - 1 + t) / STATS_BINS_PER_STOP);
+        }
+        return Math.pow(2, STATS_MIN_LOG2 + (STATS_BINS - 1) / STATS_BINS_PER_STOP);
+      }
+
+      function formatStat(v) {
+        if (v === 0) {
+          return '0';
+        }
+        const a = Math.abs(v);
+        return (a >= 1e4 || a < 1e-3) ? v.toExponential(2) : v.toPrecision(4);
+      }
+
+      function drawHistogram(hists) {
+        const ctx = statsCanvas.getContext('2d');
+        const { width, height } = statsCanvas;
+        ctx.clearRect(0, 0, width, height);
+        // Stop grid every 4 stops, brighter at 1.0
+        for (let stop = STATS_MIN_LOG2; stop <= -STATS_MIN_LOG2; stop += 4) {
+          const x = (1 + (stop - STATS_MIN_LOG2) * STATS_BINS_PER_STOP) * width / STATS_BINS;
+          ctx.fillStyle = stop === 0 ? '#666' : '#222';
+          ctx.fillRect(Math.round(x), 0, 1, height);
+        }
+        // sqrt counts keep small peaks visible next to a dominant one
+        const peak = Math.sqrt(Math.max(1, ...hists.flatMap(h => Array.from(h))));
+        ctx.globalCompositeOperation = 'lighter';
+        hists.forEach((hist, c) => {
+          ctx.strokeStyle = STATS_COLORS[c];
+          ctx.beginPath();
+          for (let b = 0; b < STATS_BINS; b++) {
+            const x = (b + 0.5) * width / STATS_BINS;
+            const y = height - 1 - Math.sqrt(hist[b]) / peak * (height - 2);
+            if (b === 0) {
+              ctx.moveTo(x, y);
+            } else {
+              ctx.lineTo(x, y);
+            }
+          }
+          ctx.stroke();
+        });
+        ctx.globalCompositeOperation = 'source-over';
+      }
+
+      async function measureTextureStats() {
+        const is3d = srcTex.dimension === '3d';
+        const mip = Math.min(currentMip, Math.max(0, mipCount - 1));
+        const w = Math.max(1, srcTex.width >> mip);
+        const h = Math.max(1, srcTex.height >> mip);
+        const d = is3d ? Math.max(1, srcTex.depthOrArrayLayers >> mip) : 1;
+        const layer = is3d ? 0 : currentLayer * texFaces + currentFace;
+        const groupsX = Math.ceil(w / 16), groupsY = Math.ceil(h / 16);
+        const partialCount = groupsX * groupsY * d;
+
+        if (!statsPartialBuf || statsPartialBuf.size < partialCount * 32) {
+          statsPartialBuf?.destroy();
+          statsPartialBuf = device.createBuffer({ size: partialCount * 32, usage: GPUBufferUsage.STORAGE });
+        }
+        // Swizzle comes from the uniforms; refresh them in case raw mode just toggled
         updateUniforms();
+        device.queue.writeBuffer(statsInBuf, 0, new Uint32Array([mip, layer, partialCount, 0]));
+        device.queue.writeBuffer(statsOutBuf, 0, statsOutInit);
+
+        const levels = Math.min(mipCount, srcTex.mipLevelCount);
+        const texView = srcTex.createView({ dimension: is3d ? '3d' : '2d-array', format: viewFormat(srcTex), baseMipLevel: 0, mipLevelCount: levels });
+        const pipeline = statsPipelines[is3d ? '3d' : '2d'];
+        const texelsGroup = device.createBindGroup({
+          layout: pipeline.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: uniformBuf } },
+            { binding: is3d ? 4 : 2, resource: texView },
+            { binding: 11, resource: { buffer: statsInBuf } },
+            { binding: 12, resource: { buffer: statsOutBuf } },
+            { binding: 13, resource: { buffer: statsPartialBuf } }
+          ]
+        });
+        const totalGroup = device.createBindGroup({
+          layout: statsPipelines.total.getBindGroupLayout(0),
+          entries: [
+            { binding: 11, resource: { buffer: statsInBuf } },
+            { binding: 13, resource: { buffer: statsPartialBuf } },
+            { binding: 14, resource: { buffer: statsTotalBuf } }
+          ]
+        });
 
-        const swap = context.getCurrentTexture();
-        const rtv = swap.createView();
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, texelsGroup);
+        pass.dispatchWorkgroups(groupsX, groupsY, d);
+        pass.setPipeline(statsPipelines.total);
+        pass.setBindGroup(0, totalGroup);
+        pass.dispatchWorkgroups(1);
+        pass.end();
+        encoder.copyBufferToBuffer(statsOutBuf, 0, statsReadBuf, 0, STATS_OUT_WORDS * 4);
+        encoder.copyBufferToBuffer(statsTotalBuf, 0, statsReadBuf, STATS_OUT_WORDS * 4, 32);
+        device.queue.submit([encoder.finish()]);
+
+        await statsReadBuf.mapAsync(GPUMapMode.READ);
+        const mapped = statsReadBuf.getMappedRange().slice(0);
+        statsReadBuf.unmap();
+        const words = new Uint32Array(mapped, 0, STATS_OUT_WORDS);
+        const [sumR, sumG, sumB, sumA, sumL, sumLogL, count] = new Float32Array(mapped, STATS_OUT_WORDS * 4, 7);
+        const nonFinite = words[10];
+        const hists = STATS_CHANNELS.map((_, c) => words.subarray(11 + c * STATS_BINS, 11 + (c + 1) * STATS_BINS));
+        drawHistogram(hists);
+
+        const where = is3d ? `${w}×${h}×${d}` : `${w}×${h}${srcTex.depthOrArrayLayers > 1 ? `, layer ${layer}` : ''}`;
+        if (!count) {
+          lastStats = null;
+          statsText.textContent = `mip ${mip}, ${where}: no finite texels (${nonFinite} NaN/Inf)`;
+          return;
+        }
+        const means = [sumR, sumG, sumB, sumA, sumL].map(s => s / count);
+        const lines = [`mip ${mip}, ${where}`, '     min        max        mean'];
+        STATS_CHANNELS.forEach((name, c) => {
+          const cells = [keyToFloat(words[c]), keyToFloat(words[5 + c]), means[c]].map(v => formatStat(v).padEnd(10));
+          lines.push(`${name}  ${cells.join(' ')}`.trimEnd());
+        });
+        const lumTotal = hists[4].reduce((a, b) => a + b, 0);
+        const [p1, p50, p99] = [0.01, 0.5, 0.99].map(f => histPercentile(hists[4], lumTotal, f));
+        const logAvg = Math.pow(2, sumLogL / count);
+        lines.push(`L  p1 ${formatStat(p1)}  p50 ${formatStat(p50)}  p99 ${formatStat(p99)}`);
+        lines.push(`L  log-average ${formatStat(logAvg)}${nonFinite ? `, ${nonFinite} NaN/Inf texels` : ''}`);
+        statsText.textContent = lines.join('\n');
+        lastStats = { mip, logAvg };
+      }
+
+      // One measurement at a time; requests made meanwhile rerun it once it finishes
+      let statsBusy = false;
+      let statsAgain = false;
+      async function updateTextureStats() {
+        if (!srcTex || !statsPipelines['2d'] || !statsPipelines['3d'] || !statsPipelines.total) {
+          return;
+        }
+        if (statsBusy) {
+          statsAgain = true;
+          return;
+        }
+        statsBusy = true;
+        try {
+          do {
+            statsAgain = false;
+            await measureTextureStats();
+          } while (statsAgain);
+        } catch (e) {
+          console.error('Texture statistics failed:', e);
+          logApp('Texture statistics failed: ' + (e.message || e), 'error');
+        } finally {
+          statsBusy = false;
+        }
+      }
+
+      // Expose so the log-average luminance maps to middle grey
+      autoExposeBtn.onclick = () => {
+        if (!lastStats) {
+          logApp('Auto-expose: no statistics for this texture yet', 'warn');
+          return;
+        }
+        const ev = Math.log2(0.18 / Math.max(lastStats.logAvg, 1e-8));
+        const clamped = Math.max(parseFloat(evInput.min), Math.min(parseFloat(evInput.max), Math.round(ev * 10) / 10));
+        evInput.value = clamped;
+        evInput.oninput();
+        logApp(`Auto-expose: log-average luminance ${formatStat(lastStats.logAvg)} at mip ${lastStats.mip} → EV ${clamped}`, 'info');
+      };
+      updateTextureStats();
+
+      // ---------- Export ----------
+      // Saves the canvas as displayed, the selected level as stored (PNG / EXR / HDR), or
+      // every decoded level re-packed as KTX2. In VS Code the bytes go to the extension host
+      // (window.saveExportedFile, webview.html); the web build downloads them instead.
+      const EXPORT_BAND_BYTES = 32 * 1024 * 1024; // readback buffer per band of rows
 
+      const exportInBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      const exportPipelines = {};
+      for (const stage of ['2d', '3d']) {
+        try {
+          exportPipelines[stage] = await device.createComputePipelineAsync({
+            layout: 'auto',
+            compute: { module: shaderModule, entryPoint: `cs_export_${stage}` }
+          });
+        } catch (e) {
+          console.error(`Export pipeline ${stage} failed:`, e);
+          logApp(`Export pipeline '${stage}' failed: ` + (e.message || e), 'error');
+        }
+      }
+
+      // Resolves to where the file went, or null if the save dialog was cancelled
+      async function saveBytes(fileName, bytes) {
+        if (window.saveExportedFile) {
+          return window.saveExportedFile(fileName, bytes);
+        }
+        const url = URL.createObjectURL(new Blob([bytes]));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return fileName;
+      }
+
+      // Copies a buffer region out through a mappable staging buffer
+      async function readBuffer(buffer, size, encoder = device.createCommandEncoder()) {
+        const staging = device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+        encoder.copyBufferToBuffer(buffer, 0, staging, 0, size);
+        device.queue.submit([encoder.finish()]);
+        await staging.mapAsync(GPUMapMode.READ);
+        const bytes = new Uint8Array(staging.getMappedRange().slice(0));
+        staging.destroy();
+        return bytes;
+      }
+
+      // The canvas contents, drawn again into a texture of the same size and format
+      async function readCanvasRGBA() {
+        const targetFormat = canvasFormat();
+        const texelBytes = targetFormat === 'rgba16float' ? 8 : 4;
+        const target = device.createTexture({
+          size: { width: lastW, height: lastH },
+          format: targetFormat,
+          usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+        });
+        const bytesPerRow = Math.ceil(lastW * texelBytes / 256) * 256;
+        const buffer = device.createBuffer({ size: bytesPerRow * lastH, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
         const encoder = device.createCommandEncoder();
+        updateUniforms();
+        encodeView(encoder, target.createView());
+        encoder.copyTextureToBuffer({ texture: target }, { buffer, bytesPerRow }, { width: lastW, height: lastH });
+        const padded = await readBuffer(buffer, buffer.size, encoder);
+        target.destroy();
+        buffer.destroy();
+
+        const rgba = new Uint8Array(lastW * lastH * 4);
+        if (texelBytes === 8) {
+          // HDR output: extended-range halves, clipped to the SDR range of an 8-bit capture
+          const halves = new Uint16Array(padded.buffer, padded.byteOffset, padded.byteLength / 2);
+          const toFloat = window.halfToFloatTable();
+          const rowHalves = bytesPerRow / 2;
+          for (let y = 0; y < lastH; y++) {
+            for (let i = 0; i < lastW * 4; i++) {
+              const v = toFloat[halves[y * rowHalves + i]];
+              rgba[y * lastW * 4 + i] = Math.round(Math.min(Math.max(v, 0), 1) * 255);
+            }
+          }
+          return rgba;
+        }
+        for (let y = 0; y < lastH; y++) {
+          rgba.set(padded.subarray(y * bytesPerRow, y * bytesPerRow + lastW * 4), y * lastW * 4);
+        }
+        if (targetFormat === 'bgra8unorm') {
+          for (let i = 0; i < rgba.length; i += 4) {
+            [rgba[i], rgba[i + 2]] = [rgba[i + 2], rgba[i]];
+          }
+        }
+        return rgba;
+      }
+
+      // Stored RGBA floats of the selected level: the current layer and face, or for volumes
+      // the current XY slice (the middle one when slicing along another axis)
+      async function readMipFloats() {
+        const is3d = srcTex.dimension === '3d';
+        const mip = Math.min(currentMip, Math.max(0, mipCount - 1));
+        const w = Math.max(1, srcTex.width >> mip);
+        const h = Math.max(1, srcTex.height >> mip);
+        const d = is3d ? Math.max(1, srcTex.depthOrArrayLayers >> mip) : 1;
+        const layer = is3d ? (sliceAxis === 0 ? sliceIndex : d >> 1) : currentLayer * texFaces + currentFace;
+        const pipeline = exportPipelines[is3d ? '3d' : '2d'];
+        if (!pipeline) {
+          throw new Error('export pipeline unavailable');
+        }
+
+        const texView = srcTex.createView({
+          dimension: is3d ? '3d' : '2d-array', format: viewFormat(srcTex),
+          baseMipLevel: 0, mipLevelCount: Math.min(mipCount, srcTex.mipLevelCount)
+        });
+        const rowsPerBand = Math.max(1, Math.min(h, Math.floor(EXPORT_BAND_BYTES / (w * 16))));
+        const out = new Float32Array(w * h * 4);
+        const texels = device.createBuffer({ size: rowsPerBand * w * 16, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+        const group = device.createBindGroup({
+          layout: pipeline.getBindGroupLayout(0),
+          entries: [
+            { binding: is3d ? 4 : 2, resource: texView },
+            { binding: 15, resource: { buffer: exportInBuf } },
+            { binding: 16, resource: { buffer: texels } }
+          ]
+        });
+        for (let row0 = 0; row0 < h; row0 += rowsPerBand) {
+          const rows = Math.min(rowsPerBand, h - row0);
+          device.queue.writeBuffer(exportInBuf, 0, new Uint32Array([mip, layer, row0, rows]));
+          const encoder = device.createCommandEncoder();
+          const pass = encoder.beginComputePass();
+          pass.setPipeline(pipeline);
+          pass.setBindGroup(0, group);
+          pass.dispatchWorkgroups(Math.ceil(w / 8), Math.ceil(rows / 8));
+          pass.end();
+          const bytes = await readBuffer(texels, rows * w * 16, encoder);
+          out.set(new Float32Array(bytes.buffer), row0 * w * 4);
+        }
+        texels.destroy();
+        return { width: w, height: h, mip, layer, is3d, data: out };
+      }
+
+      // Every decoded level as stored, padding stripped: all layers, faces and z slices
+      async function readLevelBytes(level) {
+        const info = window.getTexelBlockInfo(srcTex.format);
+        const w = Math.max(1, srcTex.width >> level);
+        const h = Math.max(1, srcTex.height >> level);
+        const images = srcTex.dimension === '3d' ? Math.max(1, srcTex.depthOrArrayLayers >> level) : srcTex.depthOrArrayLayers;
+        const blocksX = Math.ceil(w / info.blockWidth);
+        const blocksY = Math.ceil(h / info.blockHeight);
+        const rowBytes = blocksX * info.bytesPerBlock;
+        const bytesPerRow = Math.ceil(rowBytes / 256) * 256;
+        const buffer = device.createBuffer({ size: bytesPerRow * blocksY * images, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+        const encoder = device.createCommandEncoder();
+        encoder.copyTextureToBuffer(
+          { texture: srcTex, mipLevel: level },
+          { buffer, bytesPerRow, rowsPerImage: blocksY },
+          { width: blocksX * info.blockWidth, height: blocksY * info.blockHeight, depthOrArrayLayers: images }
+        );
+        const padded = await readBuffer(buffer, buffer.size, encoder);
+        buffer.destroy();
+
+        const out = new Uint8Array(rowBytes * blocksY * images);
+        for (let row = 0; row < blocksY * images; row++) {
+          out.set(padded.subarray(row * bytesPerRow, row * bytesPerRow + rowBytes), row * rowBytes);
+        }
+        return out;
+      }
+
+      // Packed float formats have no simple DFD; they are written as rgba16float, exactly
+      function toRGBA16F(bytes, format) {
+        const texels = bytes.length / 4;
+        const dst = new Uint16Array(texels * 4);
+        for (let i = 0; i < texels; i++) {
+          const rgba = window.decodeTexel(format, bytes.subarray(i * 4, i * 4 + 4));
+          for (let c = 0; c < 4; c++) {
+            dst[i * 4 + c] = float32ToFloat16(rgba[c]);
+          }
+        }
+        return new Uint8Array(dst.buffer);
+      }
+
+      async function exportKTX2() {
+        const convert = srcTex.format === 'rg11b10ufloat' || srcTex.format === 'rgb9e5ufloat';
+        const ktxFormat = convert ? 'rgba16float' : viewFormat(srcTex);
+        if (!window.KTX2_WRITE_FORMATS[ktxFormat]) {
+          throw new Error(`${srcTex.format} textures cannot be written as KTX2`);
+        }
+
+        const levels = [];
+        for (let i = 0; i < Math.min(mipCount, srcTex.mipLevelCount); i++) {
+          const bytes = await readLevelBytes(i);
+          levels.push(convert ? toRGBA16F(bytes, srcTex.format) : bytes);
+        }
+        const kvd = { KTXwriter: 'gltf-vscode KTX2 viewer' };
+        for (const key of ['KTXorientation', 'KTXswizzle']) {
+          if (srcInfo.kvd?.[key]) {
+            kvd[key] = srcInfo.kvd[key];
+          }
+        }
+        return window.encodeKTX2({
+          format: ktxFormat,
+          width: srcTex.width,
+          height: srcTex.height,
+          depth: srcTex.dimension === '3d' ? srcTex.depthOrArrayLayers : 0,
+          layerCount: texLayers > 1 ? texLayers : 0,
+          faceCount: texFaces,
+          levels,
+          kvd,
+          colorPrimaries: srcInfo.dfd?.colorPrimaries || 1,
+          premultipliedAlpha: !!(srcInfo.dfd?.premultipliedAlpha || srcInfo.premultipliedAlpha)
+        });
+      }
+
+      const linearToSRGB = (v) => v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+
+      // LDR PNG of stored values; sRGB formats are encoded back to sRGB, alpha stays linear
+      function floatsToRGBA8(floats, srgb) {
+        const out = new Uint8Array(floats.length);
+        for (let i = 0; i < floats.length; i++) {
+          const v = Math.min(1, Math.max(0, floats[i] || 0));
+          out[i] = Math.round((srgb && i % 4 !== 3 ? linearToSRGB(v) : v) * 255);
+        }
+        return out;
+      }
+
+      async function exportSelected(kind) {
+        const base = srcInfo.name.replace(/\.[^.]+$/, '');
+        let fileName, bytes;
+        if (kind === 'canvas') {
+          fileName = `${base}_view.png`;
+          bytes = await window.encodePNG(lastW, lastH, await readCanvasRGBA());
+        } else if (kind === 'ktx2') {
+          fileName = `${base}_export.ktx2`;
+          bytes = await exportKTX2();
+        } else {
+          const m = await readMipFloats();
+          const suffix = m.is3d ? `_z${m.layer}` : (srcTex.depthOrArrayLayers > 1 ? `_layer${m.layer}` : '');
+          fileName = `${base}_mip${m.mip}${suffix}.${kind}`;
+          if (kind === 'png') {
+            bytes = await window.encodePNG(m.width, m.height, floatsToRGBA8(m.data, viewFormat(srcTex).endsWith('-srgb')));
+          } else if (kind === 'exr') {
+            bytes = window.encodeEXR(m.width, m.height, m.data);
+          } else {
+            bytes = window.encodeRGBE(m.width, m.height, m.data);
+          }
+        }
+        const where = await saveBytes(fileName, bytes);
+        if (where) {
+          logApp(`Exported ${fileName} (${formatBytes(bytes.length)}) to ${where}`, 'success');
+        } else {
+          logApp('Export cancelled', 'info');
+        }
+      }
 
+      exportBtn.onclick = async () => {
+        exportBtn.disabled = true;
+        try {
+          await exportSelected(exportKindSel.value);
+        } catch (e) {
+          console.error('Export failed:', e);
+          logApp('Export failed: ' + (e.message || e), 'error');
+        } finally {
+          exportBtn.disabled = false;
+        }
+      };
+
+      // Clear and draw the current view into rtv
+      function encodeView(encoder, rtv) {
         // Clear pass
         {
           const pass = encoder.beginRenderPass({
@@ -1118,7 +3438,7 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
           });
 
           if (texPipeline && texBindGroup) {
-            pass.setPipeline(texPipeline);
+            pass.setPipeline(activePipeline());
             pass.setBindGroup(0, texBindGroup);
             pass.draw(3);
           } else {
@@ -1127,7 +3447,17 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
           }
           pass.end();
         }
+      }
 
+      // frame loop
+      function frame() {
+        configureIfNeeded();
+        updateUniforms();
+        updateSheetLabels();
+
+        const swap = context.getCurrentTexture();
+        const encoder = device.createCommandEncoder();
+        encodeView(encoder, swap.createView());
         device.queue.submit([encoder.finish()]);
         requestAnimationFrame(frame);
       }
@@ -1143,7 +3473,10 @@ window.sidebarTemplate = `<h3 style="margin:0 0 8px 0; font-weight:600; font-fam
 
       // Debug access
       window._ktx2_demo = { device, adapter, srcTex, srcView, applySelectedMip };
+    }
 
+    try {
+      await main();
     } catch (e) {
       console.error(e);
       logApp(String(e.message || e), 'error');
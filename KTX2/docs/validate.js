@@ -0,0 +1,414 @@
+/* global parseDFD, vkFormatToWebGPU, getFormatName, getSupercompressionName, DFD_COLOR_MODELS */
+// KTX2 structural validator, modeled on `ktx validate` from KTX-Software.
+// Checks the header, level index, DFD, KVD and byte ranges of a file without decoding it.
+// Results use the glTF-Validator report shape so they can go to displayValidationResults:
+//   { issues: { numErrors, numWarnings, numInfos, messages: [{ code, message, severity, pointer }] }, info }
+// Severity: 0 error, 1 warning, 2 info.
+
+const KTX2_HEADER_SIZE = 80; // identifier + header + index, before the level index
+const KTX2_LEVEL_INDEX_ENTRY = 24;
+
+// vkFormat ranges and the DFD color model each must use
+const KTX2_FORMAT_MODELS = [
+  { from: 1, to: 130, model: 1 },     // uncompressed → RGBSDA
+  { from: 131, to: 134, model: 128 }, // BC1
+  { from: 135, to: 136, model: 129 }, // BC2
+  { from: 137, to: 138, model: 130 }, // BC3
+  { from: 139, to: 140, model: 131 }, // BC4
+  { from: 141, to: 142, model: 132 }, // BC5
+  { from: 143, to: 144, model: 133 }, // BC6H
+  { from: 145, to: 146, model: 134 }, // BC7
+  { from: 147, to: 156, model: 161 }, // ETC2 / EAC
+  { from: 157, to: 184, model: 162 }  // ASTC LDR
+];
+
+const KTX2_SRGB_FORMATS = new Set([
+  15, 22, 29, 36, 43, 50, 57, 132, 134, 136, 138, 146, 148, 150, 152,
+  158, 160, 162, 164, 166, 168, 170, 172, 174, 176, 178, 180, 182, 184
+]);
+
+const KTX2_KNOWN_KEYS = new Set([
+  'KTXcubemapIncomplete', 'KTXorientation', 'KTXglFormat', 'KTXdxgiFormat__',
+  'KTXmetalPixelFormat', 'KTXswizzle', 'KTXwriter', 'KTXwriterScParams',
+  'KTXastcDecodeMode', 'KTXanimData'
+]);
+
+// Keys whose value is a NUL-terminated UTF-8 string
+const KTX2_STRING_KEYS = new Set(['KTXorientation', 'KTXswizzle', 'KTXwriter', 'KTXwriterScParams', 'KTXastcDecodeMode']);
+
+function validateKTX2(arrayBuffer) {
+  const messages = [];
+  const report = (severity, code, message, pointer) => messages.push({ severity, code, message, pointer });
+  const error = (code, message, pointer) => report(0, code, message, pointer);
+  const warn = (code, message, pointer) => report(1, code, message, pointer);
+  const info = { version: 'KTX 2.0' };
+
+  const finish = () => ({
+    issues: {
+      numErrors: messages.filter(m => m.severity === 0).length,
+      numWarnings: messages.filter(m => m.severity === 1).length,
+      numInfos: messages.filter(m => m.severity === 2).length,
+      messages
+    },
+    info
+  });
+
+  const fileSize = arrayBuffer.byteLength;
+  const dv = new DataView(arrayBuffer);
+  const u8 = new Uint8Array(arrayBuffer);
+
+  // ---------------- Identifier and header ----------------
+  const IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+  if (fileSize < KTX2_HEADER_SIZE || IDENTIFIER.some((b, i) => u8[i] !== b)) {
+    error('INVALID_IDENTIFIER', fileSize < KTX2_HEADER_SIZE
+      ? `File is ${fileSize} bytes, smaller than the ${KTX2_HEADER_SIZE}-byte KTX2 header.`
+      : 'File does not start with the KTX 20 identifier.', 'header.identifier');
+    return finish();
+  }
+
+  const h = {
+    vkFormat: dv.getUint32(12, true),
+    typeSize: dv.getUint32(16, true),
+    pixelWidth: dv.getUint32(20, true),
+    pixelHeight: dv.getUint32(24, true),
+    pixelDepth: dv.getUint32(28, true),
+    layerCount: dv.getUint32(32, true),
+    faceCount: dv.getUint32(36, true),
+    levelCount: dv.getUint32(40, true),
+    supercompressionScheme: dv.getUint32(44, true),
+    dfdByteOffset: dv.getUint32(48, true),
+    dfdByteLength: dv.getUint32(52, true),
+    kvdByteOffset: dv.getUint32(56, true),
+    kvdByteLength: dv.getUint32(60, true),
+    sgdByteOffset: Number(dv.getBigUint64(64, true)),
+    sgdByteLength: Number(dv.getBigUint64(72, true))
+  };
+  const scheme = h.supercompressionScheme;
+
+  if (h.pixelWidth === 0) {
+    error('INVALID_WIDTH', 'pixelWidth must not be 0.', 'header.pixelWidth');
+  }
+  if (h.pixelDepth > 0 && h.pixelHeight === 0) {
+    error('INVALID_HEIGHT', '3D textures must have a pixelHeight greater than 0.', 'header.pixelHeight');
+  }
+  if (h.faceCount !== 1 && h.faceCount !== 6) {
+    error('INVALID_FACE_COUNT', `faceCount is ${h.faceCount}; it must be 1 or 6.`, 'header.faceCount');
+  }
+  if (h.faceCount === 6) {
+    if (h.pixelWidth !== h.pixelHeight) {
+      error('CUBEMAP_NOT_SQUARE', `Cubemap faces are ${h.pixelWidth}×${h.pixelHeight}; they must be square.`, 'header.pixelHeight');
+    }
+    if (h.pixelDepth !== 0) {
+      error('CUBEMAP_DEPTH', 'Cubemaps must have a pixelDepth of 0.', 'header.pixelDepth');
+    }
+  }
+
+  const maxDim = Math.max(h.pixelWidth, h.pixelHeight, h.pixelDepth, 1);
+  const maxLevels = Math.floor(Math.log2(maxDim)) + 1;
+  if (h.levelCount > maxLevels) {
+    error('TOO_MANY_LEVELS', `levelCount is ${h.levelCount}, but a ${maxDim}-texel texture has at most ${maxLevels} levels.`, 'header.levelCount');
+  }
+
+  if (scheme > 3 && scheme < 0x10000) {
+    error('INVALID_SUPERCOMPRESSION', `supercompressionScheme ${scheme} is reserved.`, 'header.supercompressionScheme');
+  } else if (scheme >= 0x10000) {
+    warn('VENDOR_SUPERCOMPRESSION', `supercompressionScheme 0x${scheme.toString(16)} is vendor-specific.`, 'header.supercompressionScheme');
+  }
+
+  if (h.vkFormat === 0) {
+    if (h.typeSize !== 1) {
+      error('INVALID_TYPE_SIZE', `typeSize must be 1 for vkFormat 0, not ${h.typeSize}.`, 'header.typeSize');
+    }
+  } else if (h.vkFormat >= 131 && h.vkFormat <= 184 && h.typeSize !== 1) {
+    error('INVALID_TYPE_SIZE', `typeSize must be 1 for block-compressed formats, not ${h.typeSize}.`, 'header.typeSize');
+  }
+  if (scheme === 1 && h.vkFormat !== 0) {
+    error('BASISLZ_FORMAT', 'BasisLZ supercompression requires vkFormat 0 (VK_FORMAT_UNDEFINED).', 'header.vkFormat');
+  }
+
+  // ---------------- Byte ranges ----------------
+  const indexLevels = Math.max(1, h.levelCount);
+  const indexEnd = KTX2_HEADER_SIZE + indexLevels * KTX2_LEVEL_INDEX_ENTRY;
+  if (indexEnd > fileSize) {
+    error('TRUNCATED_LEVEL_INDEX', `The level index needs ${indexEnd} bytes but the file has ${fileSize}.`, 'levelIndex');
+    return finish();
+  }
+
+  const ranges = [{ name: 'header and level index', pointer: 'header', start: 0, length: indexEnd }];
+  const addRange = (name, pointer, start, length, alignment) => {
+    if (length === 0) {
+      if (start !== 0) {
+        warn('NONZERO_EMPTY_OFFSET', `${name} is empty but its offset is ${start}, not 0.`, pointer);
+      }
+      return false;
+    }
+    if (start + length > fileSize) {
+      error('RANGE_PAST_EOF', `${name} (bytes ${start}–${start + length}) runs past the end of the ${fileSize}-byte file.`, pointer);
+      return false;
+    }
+    if (alignment > 1 && start % alignment !== 0) {
+      error('MISALIGNED', `${name} starts at ${start}, which is not a multiple of ${alignment}.`, pointer);
+    }
+    ranges.push({ name, pointer, start, length });
+    return true;
+  };
+
+  if (h.dfdByteLength === 0) {
+    error('MISSING_DFD', 'The file has no Data Format Descriptor.', 'index.dfdByteLength');
+  }
+  const hasDFD = addRange('DFD', 'index.dfdByteOffset', h.dfdByteOffset, h.dfdByteLength, 4);
+  if (hasDFD && h.dfdByteOffset !== indexEnd) {
+    warn('DFD_POSITION', `The DFD should directly follow the level index at ${indexEnd}, not ${h.dfdByteOffset}.`, 'index.dfdByteOffset');
+  }
+  const hasKVD = addRange('KVD', 'index.kvdByteOffset', h.kvdByteOffset, h.kvdByteLength, 4);
+  addRange('SGD', 'index.sgdByteOffset', h.sgdByteOffset, h.sgdByteLength, 8);
+
+  if (scheme === 1 && h.sgdByteLength === 0) {
+    error('MISSING_SGD', 'BasisLZ files need supercompression global data.', 'index.sgdByteLength');
+  } else if (scheme !== 1 && h.sgdByteLength !== 0) {
+    error('UNEXPECTED_SGD', `Supercompression scheme ${scheme} does not use global data, but sgdByteLength is ${h.sgdByteLength}.`, 'index.sgdByteLength');
+  }
+
+  // ---------------- DFD ----------------
+  let dfd = null;
+  if (hasDFD) {
+    try {
+      dfd = parseDFD(dv, h.dfdByteOffset, h.dfdByteLength);
+    } catch (e) {
+      error('INVALID_DFD', `The DFD could not be read: ${e.message}`, 'dfd');
+    }
+  }
+  if (dfd) {
+    validateDFD(dfd, h, error, warn);
+  }
+
+  // ---------------- Level index ----------------
+  const texelBlock = dfd?.texelBlockDimension || [1, 1, 1, 1];
+  const bytesPerBlock = dfd?.bytesPlane?.[0] || 0;
+  const alignment = scheme === 0 ? lcm(4, bytesPerBlock || 1) : 1;
+  const layers = Math.max(1, h.layerCount);
+
+  let prevOffset = Infinity;
+  for (let i = 0; i < indexLevels; i++) {
+    const base = KTX2_HEADER_SIZE + i * KTX2_LEVEL_INDEX_ENTRY;
+    const byteOffset = Number(dv.getBigUint64(base, true));
+    const byteLength = Number(dv.getBigUint64(base + 8, true));
+    const uncompressedByteLength = Number(dv.getBigUint64(base + 16, true));
+    const pointer = `levelIndex[${i}]`;
+
+    if (byteLength === 0) {
+      error('EMPTY_LEVEL', `Level ${i} has a byteLength of 0.`, pointer);
+      continue;
+    }
+    addRange(`Level ${i}`, pointer, byteOffset, byteLength, alignment);
+
+    // Levels are stored smallest first, so offsets must decrease with the level number
+    if (byteOffset >= prevOffset) {
+      error('LEVEL_ORDER', `Level ${i} starts at ${byteOffset}, not before level ${i - 1} (at ${prevOffset}); mip data must be stored smallest level first.`, pointer);
+    }
+    prevOffset = byteOffset;
+
+    if (scheme === 1 && uncompressedByteLength !== 0) {
+      error('INVALID_UNCOMPRESSED_LENGTH', `Level ${i}: uncompressedByteLength must be 0 for BasisLZ, not ${uncompressedByteLength}.`, pointer);
+    }
+    if (scheme === 0 && uncompressedByteLength !== byteLength) {
+      error('INVALID_UNCOMPRESSED_LENGTH', `Level ${i}: uncompressedByteLength ${uncompressedByteLength} differs from byteLength ${byteLength} without supercompression.`, pointer);
+    }
+
+    // Expected size from the DFD texel block, when the block size is known
+    if (bytesPerBlock > 0 && scheme !== 1) {
+      const dims = [h.pixelWidth, h.pixelHeight || 1, h.pixelDepth || 1].map(d => Math.max(1, d >> i));
+      const blocks = dims.reduce((n, d, axis) => n * Math.ceil(d / texelBlock[axis]), 1);
+      const expected = blocks * bytesPerBlock * layers * h.faceCount;
+      const actual = scheme === 0 ? byteLength : uncompressedByteLength;
+      if (actual !== expected) {
+        error('LEVEL_SIZE_MISMATCH', `Level ${i} holds ${actual} bytes of image data; ${dims.join('×')} × ${layers * h.faceCount} image(s) needs ${expected}.`, pointer);
+      }
+    }
+  }
+
+  // Overlaps between any two ranges (sorted by start, so neighbours suffice for the first hit)
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1], cur = sorted[i];
+    if (cur.start < prev.start + prev.length) {
+      error('OVERLAPPING_RANGES', `${cur.name} (from ${cur.start}) overlaps ${prev.name} (${prev.start}–${prev.start + prev.length}).`, cur.pointer);
+    }
+  }
+
+  // ---------------- KVD ----------------
+  if (hasKVD) {
+    const kvd = validateKVD(u8, h, error, warn);
+    if (kvd.KTXwriter) {
+      info.generator = kvd.KTXwriter;
+    }
+  }
+  if (!info.generator) {
+    warn('MISSING_WRITER', 'KTXwriter is missing; files should name the tool that wrote them.', 'kvd');
+  }
+
+  info.format = `${getFormatName(h.vkFormat)}, ${getSupercompressionName(scheme)}`;
+  return finish();
+}
+
+function lcm(a, b) {
+  const gcd = (x, y) => (y ? gcd(y, x % y) : x);
+  return (a * b) / gcd(a, b);
+}
+
+// Basic DFD block against the header's vkFormat and supercompression
+function validateDFD(dfd, h, error, warn) {
+  if (dfd.totalSize !== h.dfdByteLength) {
+    error('DFD_SIZE', `DFD totalSize is ${dfd.totalSize} but dfdByteLength is ${h.dfdByteLength}.`, 'dfd.totalSize');
+  }
+  if (!dfd.samples) {
+    error('MISSING_BASIC_DFD', 'The DFD has no basic descriptor block (vendor 0, type 0).', 'dfd.blocks');
+    return;
+  }
+  if (dfd.blocks[0] && dfd.blocks[0].samples !== dfd.samples) {
+    warn('DFD_BLOCK_ORDER', 'The basic descriptor block should be the first DFD block.', 'dfd.blocks');
+  }
+  if (dfd.versionNumber !== 2) {
+    warn('DFD_VERSION', `Basic DFD versionNumber is ${dfd.versionNumber}; KTX2 requires 2 (KDFS 1.3).`, 'dfd.versionNumber');
+  }
+  if (dfd.descriptorBlockSize !== 24 + 16 * dfd.samples.length) {
+    error('DFD_BLOCK_SIZE', `descriptorBlockSize ${dfd.descriptorBlockSize} does not fit a whole number of samples.`, 'dfd.descriptorBlockSize');
+  }
+
+  // Color model against vkFormat
+  if (h.vkFormat === 0) {
+    const basisModels = h.supercompressionScheme === 1 ? [163] : [166, 167, 168];
+    if (!basisModels.includes(dfd.colorModel)) {
+      error('DFD_MODEL_MISMATCH', `vkFormat 0 with ${getSupercompressionName(h.supercompressionScheme)} expects color model ${basisModels.map(m => DFD_COLOR_MODELS[m]).join(' or ')}, not ${dfd.colorModelName}.`, 'dfd.colorModel');
+    }
+  } else {
+    const expect = KTX2_FORMAT_MODELS.find(r => h.vkFormat >= r.from && h.vkFormat <= r.to);
+    if (expect && expect.model !== dfd.colorModel) {
+      error('DFD_MODEL_MISMATCH', `${getFormatName(h.vkFormat)} expects color model ${DFD_COLOR_MODELS[expect.model]}, not ${dfd.colorModelName}.`, 'dfd.colorModel');
+    }
+  }
+
+  // Transfer function against the format's sRGB-ness
+  if (h.vkFormat !== 0) {
+    const isSRGB = KTX2_SRGB_FORMATS.has(h.vkFormat);
+    if (isSRGB && dfd.transferFunction !== 2) {
+      error('DFD_TRANSFER_MISMATCH', `${getFormatName(h.vkFormat)} is an sRGB format but the DFD transfer is ${dfd.transferFunctionName}.`, 'dfd.transferFunction');
+    } else if (!isSRGB && dfd.transferFunction === 2) {
+      error('DFD_TRANSFER_MISMATCH', `${getFormatName(h.vkFormat)} is not an sRGB format but the DFD transfer is SRGB.`, 'dfd.transferFunction');
+    }
+  }
+
+  // Texel block and bytesPlane against the format and supercompression
+  const info = h.vkFormat ? vkFormatToWebGPU(h.vkFormat) : null;
+  if (info?.blockWidth) {
+    const [bw, bh] = dfd.texelBlockDimension;
+    if (bw !== info.blockWidth || bh !== info.blockHeight) {
+      error('DFD_BLOCK_MISMATCH', `DFD texel block is ${bw}×${bh} but the format uses ${info.blockWidth}×${info.blockHeight}.`, 'dfd.texelBlockDimension');
+    }
+  }
+  if (h.supercompressionScheme === 1) {
+    if (dfd.bytesPlane.some(b => b !== 0)) {
+      error('DFD_BYTES_PLANE', 'bytesPlane must be all 0 for BasisLZ.', 'dfd.bytesPlane');
+    }
+  } else {
+    // RGB8 sources are stored as 3 bytes and RGBA32F as 16, before expansion for the GPU
+    const expected = info
+      ? info.bytesPerBlock || info.sourceBytesPerPixel || info.sourceChannels || info.bytesPerPixel
+      : 0;
+    if (dfd.bytesPlane[0] === 0) {
+      error('DFD_BYTES_PLANE', 'bytesPlane0 is 0, so the texel block size is unknown.', 'dfd.bytesPlane');
+    } else if (expected && dfd.bytesPlane[0] !== expected) {
+      error('DFD_BYTES_PLANE', `bytesPlane0 is ${dfd.bytesPlane[0]} but ${getFormatName(h.vkFormat)} uses ${expected} bytes per texel block.`, 'dfd.bytesPlane');
+    }
+  }
+
+  // Samples must fit inside the texel block
+  const blockBits = dfd.bytesPlane[0] * 8;
+  dfd.samples.forEach((smp, i) => {
+    if (blockBits && smp.bitOffset + smp.bitLength > blockBits) {
+      error('DFD_SAMPLE_RANGE', `Sample ${i} (bits ${smp.bitOffset}–${smp.bitOffset + smp.bitLength}) lies outside the ${blockBits}-bit texel block.`, `dfd.samples[${i}]`);
+    }
+  });
+}
+
+// Walk the key/value data: sorting, NUL-terminated keys, zero padding, known KTX keys
+// and the KTXorientation / KTXswizzle value formats. Returns the decoded string values.
+function validateKVD(u8, h, error, warn) {
+  const dv = new DataView(u8.buffer);
+  const end = h.kvdByteOffset + h.kvdByteLength;
+  const decoder = new TextDecoder();
+  const values = {};
+  let offset = h.kvdByteOffset;
+  let prevKey = null;
+
+  while (offset < end) {
+    if (offset + 4 > end) {
+      error('KVD_TRUNCATED', `A key/value entry at ${offset} is cut off by the end of the KVD.`, 'kvd');
+      break;
+    }
+    const length = dv.getUint32(offset, true);
+    const start = offset + 4;
+    if (length === 0 || start + length > end) {
+      error('KVD_TRUNCATED', `The key/value entry at ${offset} claims ${length} bytes, past the end of the KVD.`, 'kvd');
+      break;
+    }
+
+    const entry = u8.subarray(start, start + length);
+    const nul = entry.indexOf(0);
+    if (nul <= 0) {
+      error('KVD_KEY', `The key at ${start} is ${nul === 0 ? 'empty' : 'not NUL-terminated'}.`, 'kvd');
+    } else {
+      const key = decoder.decode(entry.subarray(0, nul));
+      const value = entry.subarray(nul + 1);
+      const pointer = `kvd.${key}`;
+
+      if (prevKey !== null && key <= prevKey) {
+        error(key === prevKey ? 'KVD_DUPLICATE_KEY' : 'KVD_UNSORTED', key === prevKey
+          ? `Key "${key}" appears more than once.`
+          : `Key "${key}" comes after "${prevKey}"; keys must be sorted by code point.`, pointer);
+      }
+      prevKey = key;
+
+      if (/^ktx/i.test(key) && !KTX2_KNOWN_KEYS.has(key)) {
+        warn('KVD_UNKNOWN_KTX_KEY', `"${key}" uses the reserved KTX prefix but is not a known key.`, pointer);
+      }
+
+      if (KTX2_STRING_KEYS.has(key)) {
+        if (value[value.length - 1] !== 0) {
+          error('KVD_VALUE_NOT_TERMINATED', `The value of ${key} must be a NUL-terminated string.`, pointer);
+        }
+        values[key] = decoder.decode(value[value.length - 1] === 0 ? value.subarray(0, -1) : value);
+      }
+    }
+
+    // Each entry is padded with zeros to a multiple of 4 bytes
+    const padded = start + length + ((4 - (length % 4)) % 4);
+    if (padded > end && start + length < end) {
+      error('KVD_PADDING', `The entry at ${offset} is not padded to a 4-byte boundary within the KVD.`, 'kvd');
+    }
+    for (let p = start + length; p < Math.min(padded, end); p++) {
+      if (u8[p] !== 0) {
+        error('KVD_PADDING', `Padding after the entry at ${offset} is not zero.`, 'kvd');
+        break;
+      }
+    }
+    offset = padded;
+  }
+
+  // KTXorientation: one letter per dimension, r/l, then d/u, then o/i
+  if (values.KTXorientation !== undefined) {
+    const dims = h.pixelDepth > 0 ? 3 : h.pixelHeight > 0 ? 2 : 1;
+    if (!new RegExp(`^${'[rl][du][oi]'.slice(0, dims * 4)}$`).test(values.KTXorientation)) {
+      error('INVALID_ORIENTATION', `KTXorientation "${values.KTXorientation}" must be ${dims} letter(s) from [rl]${dims > 1 ? '[du]' : ''}${dims > 2 ? '[oi]' : ''}.`, 'kvd.KTXorientation');
+    }
+  }
+
+  // KTXswizzle: four of r, g, b, a, 0, 1
+  if (values.KTXswizzle !== undefined && !/^[rgba01]{4}$/.test(values.KTXswizzle)) {
+    error('INVALID_SWIZZLE', `KTXswizzle "${values.KTXswizzle}" must be 4 characters from r, g, b, a, 0, 1.`, 'kvd.KTXswizzle');
+  }
+
+  return values;
+}
+
+window.validateKTX2 = validateKTX2;
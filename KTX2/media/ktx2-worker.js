@@ -0,0 +1,33 @@
+// KTX2 decode worker
+// Runs after fzstd, the Basis transcoder and read.js, which getKTX2WorkerUrl() in read.js
+// bundles together with this file. Each message decodes one file and streams the levels back.
+/* global parseKTX2 */
+
+self.onmessage = async (e) => {
+  const { buffer, features, options } = e.data;
+
+  // Picking a transcode target only needs the device's feature set
+  const device = { features: new Set(features) };
+
+  try {
+    await parseKTX2(buffer, device, {
+      ...options,
+      onHeader: (info) => self.postMessage({ type: 'header', info }),
+      onLevel: (index, data) => {
+        // Transfer the level; views into a larger buffer (e.g. the file itself) are copied first
+        const owned = (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength)
+          ? data
+          : data.slice();
+        self.postMessage({ type: 'level', index, data: owned }, [owned.buffer]);
+      }
+    });
+    self.postMessage({ type: 'done' });
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      message: err.message || String(err),
+      code: err.code,
+      details: { ...err }
+    });
+  }
+};
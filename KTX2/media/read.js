@@ -1,3 +1,4 @@
+/* global fzstd */
 // File for parsing KTX2 files
 // | Identifier | Header | Level Index | DFD | KVD | SGD | Mip Level Array |
 
@@ -10,38 +11,168 @@ const SUPERCOMPRESSION_BASIS_LZ = 1;
 const SUPERCOMPRESSION_ZSTD = 2;
 const SUPERCOMPRESSION_ZLIB = 3;
 
-// Load fzstd library for Zstandard decompression
-let fzstdLoaded = false;
-let fzstdDecompress = null;
+// Zstandard decoding uses the bundled fzstd (media/zstd/fzstd.js). The script is loaded
+// with loadScript for the main-thread fallback, and its source also seeds a blob worker
+// so large levels are decoded off the UI thread.
+let zstdLoadPromise = null;
+let zstdWorker = null; // null = not created yet, false = unavailable
+let zstdRequestId = 0;
+const zstdPending = new Map();
+
+// Runs inside the worker, appended after the fzstd source
+const ZSTD_WORKER_MAIN = `
+self.onmessage = (e) => {
+  const { id, chunks } = e.data;
+  for (let i = 0; i < chunks.length; i++) {
+    let result;
+    try {
+      result = fzstd.decompress(chunks[i]);
+    } catch (err) {
+      self.postMessage({ id, error: String(err && err.message || err), index: i });
+      return;
+    }
+    self.postMessage({ id, result, index: i }, [result.buffer]);
+  }
+};
+`;
+
+function loadZstd() {
+  if (!zstdLoadPromise) {
+    const url = window.ZSTD_JS || 'media/zstd/fzstd.js';
+    zstdLoadPromise = loadScript(url).then(() => {
+      if (typeof fzstd === 'undefined') {
+        throw new Error('fzstd library not available after loading');
+      }
+    }).catch(e => {
+      zstdLoadPromise = null;
+      throw e;
+    });
+  }
+  return zstdLoadPromise;
+}
 
-async function loadFzstd() {
-  if (fzstdLoaded) return;
-  
-  // Load fzstd from CDN
-  const script = document.createElement('script');
-  script.src = 'https://cdn.jsdelivr.net/npm/fzstd@0.1.1/umd/index.js';
-  
-  await new Promise((resolve, reject) => {
-    script.onload = resolve;
-    script.onerror = () => reject(new Error('Failed to load fzstd library'));
-    document.head.appendChild(script);
-  });
-  
-  if (typeof fzstd !== 'undefined') {
-    fzstdDecompress = fzstd.decompress;
-    fzstdLoaded = true;
-  } else {
-    throw new Error('fzstd library not available after loading');
+function failZstdWorker(reason) {
+  console.warn('[read.js] Zstd worker unavailable, decoding on the main thread:', reason);
+  if (zstdWorker) {
+    zstdWorker.terminate();
+  }
+  zstdWorker = false;
+  for (const frames of zstdPending.values()) {
+    for (const { reject } of frames) {
+      reject(Object.assign(new Error(reason), { workerFailed: true }));
+    }
+  }
+  zstdPending.clear();
+}
+
+async function getZstdWorker() {
+  if (zstdWorker !== null) {
+    return zstdWorker;
+  }
+
+  // Already off the main thread inside the KTX2 decode worker
+  if (typeof document === 'undefined') {
+    zstdWorker = false;
+    return zstdWorker;
+  }
+
+  try {
+    const url = window.ZSTD_JS || 'media/zstd/fzstd.js';
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    }
+    const blob = new Blob([await res.text(), ZSTD_WORKER_MAIN], { type: 'text/javascript' });
+
+    zstdWorker = new Worker(URL.createObjectURL(blob), { name: 'zstd' });
+    zstdWorker.onmessage = (e) => {
+      const { id, result, error, index } = e.data;
+      const frames = zstdPending.get(id);
+      if (!frames) {
+        return;
+      }
+      if (error) {
+        frames[index].reject(Object.assign(new Error(error), { index }));
+      } else {
+        frames[index].resolve(result);
+      }
+    };
+    zstdWorker.onerror = (e) => failZstdWorker(e.message || 'worker error');
+  } catch (e) {
+    failZstdWorker(e.message || String(e));
+  }
+  return zstdWorker;
+}
+
+// Decompress a list of Zstd frames in order, in a worker when possible, yielding each one
+// as soon as it is done. A corrupt frame throws with `err.index` set to its position in `chunks`.
+async function* zstdDecompressFrames(chunks) {
+  await loadZstd();
+
+  let next = 0;
+  const worker = await getZstdWorker();
+  if (worker) {
+    const frames = chunks.map(() => {
+      const frame = {};
+      frame.promise = new Promise((resolve, reject) => Object.assign(frame, { resolve, reject }));
+      // Frames after one the caller stopped at are never awaited
+      frame.promise.catch(() => {});
+      return frame;
+    });
+    const id = ++zstdRequestId;
+    zstdPending.set(id, frames);
+    // Copy each frame into its own buffer so only that frame is transferred
+    const owned = chunks.map(c => c.slice());
+    worker.postMessage({ id, chunks: owned }, owned.map(c => c.buffer));
+    try {
+      for (; next < frames.length; next++) {
+        yield await frames[next].promise;
+      }
+      return;
+    } catch (e) {
+      if (!e.workerFailed) {
+        throw e;
+      }
+    } finally {
+      zstdPending.delete(id);
+    }
+  }
+
+  // Main thread, picking up where a failed worker stopped
+  for (; next < chunks.length; next++) {
+    let result;
+    try {
+      result = fzstd.decompress(chunks[next]);
+    } catch (e) {
+      throw Object.assign(new Error(e.message || String(e)), { index: next });
+    }
+    yield result;
   }
 }
 
+// Error for malformed KTX2 data. `code` identifies the problem and `details`
+// carries the values involved (level index, expected/actual sizes, ...).
+class KTX2Error extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'KTX2Error';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Inflate one zlib (RFC 1950) stream with the browser's DecompressionStream
+async function inflateZlib(u8) {
+  const stream = new Blob([u8]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
 function getNonce() {
   const script = document.currentScript || document.querySelector('script[nonce]');
   return script ? script.nonce : '';
 }
 
 const logApp = (...args) => {
-  const el = document.getElementById('appLog');
   // Known log levels
   const knownLevels = ["info", "success", "error", "warn"];
 
@@ -63,6 +194,13 @@ const logApp = (...args) => {
     .map(a => (typeof a === "object" ? JSON.stringify(a, null, 2) : String(a)))
     .join(" ");
 
+  // Inside the decode worker there is no DOM; hand the line to the page instead
+  if (typeof document === 'undefined') {
+    self.postMessage({ type: 'log', msg, level });
+    return;
+  }
+
+  const el = document.getElementById('appLog');
   if (el) {
     el.style.display = 'block';
     const entry = document.createElement('div');
@@ -94,6 +232,11 @@ const logApp = (...args) => {
 };
 
 function loadScript(url) {
+  // The decode worker already has its scripts bundled in (see getKTX2WorkerUrl)
+  if (typeof document === 'undefined') {
+    return Promise.resolve();
+  }
+
   return new Promise((resolve, reject) => {
     const el = document.createElement("script");
     el.src = url;
@@ -129,7 +272,7 @@ async function loadBasisModule() {
          if (LoadedFunc && typeof LoadedFunc.MSC_TRANSCODER === 'function') {
              LoadedFunc = LoadedFunc.MSC_TRANSCODER;
          } else {
-             LoadedFunc = window.MSC_TRANSCODER || window.BasisModule || window.Module;
+             LoadedFunc = window.MSC_TRANSCODER || window.BASIS || window.BasisModule || window.Module;
          }
       }
 
@@ -181,23 +324,214 @@ function makeBasisFile(u8) {
   return new BasisModule.BasisFile(u8);
 }
 
-function getBasisTargetFormatForGPU(device) {
-  const BASIS_FORMAT = {
-    BC1_RGB: 0,
-    BC3_RGBA: 1,
-    BC4_R: 2,
-    BC5_RG: 3,
-    BC7_RGBA: 6,
-    RGBA32: 13
+// Basis Universal transcode targets, keyed by the name used in the sidebar override.
+// `id` is the transcoder_texture_format value, the rest mirrors vkFormatToWebGPU.
+const BASIS_TARGETS = {
+  astc:    { id: 10, label: 'ASTC 4x4', format: 'astc-4x4-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-astc' },
+  bc7:     { id: 6,  label: 'BC7', format: 'bc7-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc' },
+  bc3:     { id: 3,  label: 'BC3', format: 'bc3-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc' },
+  bc1:     { id: 2,  label: 'BC1', format: 'bc1-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8, feature: 'texture-compression-bc' },
+  bc4:     { id: 4,  label: 'BC4 (R)', format: 'bc4-r-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8, feature: 'texture-compression-bc' },
+  bc5:     { id: 5,  label: 'BC5 (RG)', format: 'bc5-rg-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc' },
+  etc2:    { id: 1,  label: 'ETC2 RGBA', format: 'etc2-rgba8unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-etc2' },
+  etc1:    { id: 0,  label: 'ETC2 RGB (ETC1)', format: 'etc2-rgb8unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8, feature: 'texture-compression-etc2' },
+  bc6h:    { id: 22, label: 'BC6H', format: 'bc6h-rgb-ufloat', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, feature: 'texture-compression-bc', hdr: true },
+  rgba16f: { id: 25, label: 'RGBA16F', format: 'rgba16float', bytesPerPixel: 8, hdr: true },
+  rgba32:  { id: 13, label: 'RGBA8', format: 'rgba8unorm', bytesPerPixel: 4 }
+};
+
+// Number of meaningful channels in a Basis texture, from its DFD channel ids
+function getBasisChannelCount(basisFile) {
+  const hasAlpha = basisFile.getHasAlpha?.() || false;
+  if (!basisFile.getDFDChannelID0) {
+    return hasAlpha ? 4 : 3;
+  }
+
+  const id0 = basisFile.getDFDChannelID0();
+  if (basisFile.isUASTC?.()) {
+    // UASTC: 0 RGB, 3 RGBA, 4 RRR, 5 RRRG, 6 RG
+    return { 0: 3, 3: 4, 4: 1, 5: 4, 6: 2 }[id0] || 4;
+  }
+
+  // ETC1S: slice 0 is RGB or RRR, the optional slice 1 is AAA or GGG
+  if (id0 === 3) {
+    return basisFile.getDFDChannelID1() === 4 ? 2 : 1;
+  }
+  return hasAlpha ? 4 : 3;
+}
+
+// Pick the transcode target for this GPU. `override` is a BASIS_TARGETS key or 'auto';
+// an override the GPU or the file can't use falls back to the automatic choice.
+function getBasisTargetFormatForGPU(device, basisFile, header, override = 'auto') {
+  const isHDR = basisFile.isHDR?.() || false;
+  const isUASTC = basisFile.isUASTC?.() || false;
+  const channels = getBasisChannelCount(basisFile);
+  const texFormat = basisFile.getBasisTexFormat?.();
+
+  // Compressed textures need block-aligned base dimensions in WebGPU
+  const blockAligned = header.pixelWidth % 4 === 0 && header.pixelHeight % 4 === 0;
+
+  const usable = (key) => {
+    const t = BASIS_TARGETS[key];
+    if (!t || !!t.hdr !== isHDR) {
+      return false;
+    }
+    if (t.feature && !(device?.features.has(t.feature) && blockAligned)) {
+      return false;
+    }
+    if (texFormat !== undefined && BasisModule.isFormatSupported) {
+      return BasisModule.isFormatSupported(t.id, texFormat);
+    }
+    return true;
   };
 
-  // use RGBA32
-  console.log(`[read.js] Requesting RGBA32 (ID: ${BASIS_FORMAT.RGBA32})`);
-  return BASIS_FORMAT.RGBA32;
+  if (override && override !== 'auto') {
+    if (usable(override)) {
+      console.log(`[read.js] Transcode target forced to ${BASIS_TARGETS[override].label}`);
+      return BASIS_TARGETS[override];
+    }
+    logApp(`Transcode target ${BASIS_TARGETS[override]?.label || override} is not available here, using auto`, 'warn');
+  }
+
+  // Preference order: UASTC maps best onto ASTC/BC7, ETC1S is a subset of ETC1 and BC1
+  let order;
+  if (isHDR) {
+    order = ['bc6h', 'rgba16f'];
+  } else if (channels === 1) {
+    order = ['bc4', ...(isUASTC ? ['astc', 'bc7', 'etc1'] : ['etc1', 'bc1', 'astc'])];
+  } else if (channels === 2) {
+    order = ['bc5', 'astc', 'bc7', 'etc2'];
+  } else if (isUASTC) {
+    order = ['astc', 'bc7', channels === 4 ? 'etc2' : 'etc1'];
+  } else {
+    order = channels === 4 ? ['etc2', 'bc3', 'bc7', 'astc'] : ['etc1', 'bc1', 'bc7', 'astc'];
+  }
+  order.push('rgba32');
+
+  const key = order.find(usable) || 'rgba32';
+  console.log(`[read.js] Transcode target ${BASIS_TARGETS[key].label} (ID: ${BASIS_TARGETS[key].id}, ${channels} channel${channels > 1 ? 's' : ''})`);
+  return BASIS_TARGETS[key];
+}
+
+// Join per-image buffers into one level buffer
+function concatBytes(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+  const total = chunks.reduce((n, c) => n + c.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const c of chunks) {
+    out.set(c, pos);
+    pos += c.length;
+  }
+  return out;
+}
+
+// Transcode every level of a Basis Universal KTX2 (ETC1S or UASTC) into the best target
+// for `device` (see getBasisTargetFormatForGPU) and return that target.
+// All layers and faces of a level are transcoded and concatenated in KTX2 image order,
+// so callers can treat the result exactly like an uncompressed level.
+// `onLevel(i, target)` runs as soon as level i is ready.
+async function transcodeBasisLevels(arrayBuffer, header, levels, device, override, onLevel) {
+  // 1. Load the transcoder
+  await loadBasisModule();
+
+  let basisFile = null;
+  const fileUint8 = new Uint8Array(arrayBuffer);
+
+  // 2. ATTEMPT 1: Check for explicit KTX2File support (common in newer builds)
+  if (BasisModule.KTX2File) {
+    try {
+      basisFile = new BasisModule.KTX2File(fileUint8);
+    } catch (e) {
+      console.warn("KTX2File constructor failed", e);
+    }
+  }
+
+  // 3. ATTEMPT 2: Fallback to BasisFile with the WHOLE BUFFER
+  // (Some builds auto-detect KTX2 headers inside BasisFile)
+  if (!basisFile) {
+    basisFile = new BasisModule.BasisFile(fileUint8);
+  }
+
+  // 4. Initialize
+  if (!basisFile.startTranscoding()) {
+    basisFile.close();
+    basisFile.delete();
+    throw new Error("Transcoder failed to initialize. (Your basis_transcoder.wasm might lack KTX2 support)");
+  }
+
+  const isKTX2File = (BasisModule.KTX2File && basisFile instanceof BasisModule.KTX2File);
+  const target = getBasisTargetFormatForGPU(device, basisFile, header, override);
+  const format = target.id;
+
+  // Legacy BasisFile only exposes a single image per level here
+  const layerCount = isKTX2File ? Math.max(1, header.layerCount) : 1;
+  const faceCount = isKTX2File ? Math.max(1, header.faceCount) : 1;
+  const imageIndex = 0;
+
+  // Ask the transcoder how many levels IT sees
+  let transcoderLevelCount = 1;
+  try {
+    transcoderLevelCount = isKTX2File ? basisFile.getLevels() : basisFile.getNumLevels(imageIndex);
+  } catch (e) {
+    console.warn("Could not query numLevels from transcoder, defaulting to 1.", e);
+  }
+
+  // Loop only up to the minimum of what the Header says and what the Transcoder says
+  const safeLevelCount = Math.min(levels.length, transcoderLevelCount);
+
+  try {
+    for (let i = 0; i < safeLevelCount; i++) {
+      const images = [];
+
+      try {
+        for (let layer = 0; layer < layerCount; layer++) {
+          for (let face = 0; face < faceCount; face++) {
+            const size = isKTX2File
+              ? basisFile.getImageTranscodedSizeInBytes(i, layer, face, format)
+              : basisFile.getImageTranscodedSizeInBytes(imageIndex, i, format);
+            if (size === 0) {
+              throw new Error(`no transcoded size for layer ${layer}, face ${face}`);
+            }
+
+            const dst = new Uint8Array(size);
+            const status = isKTX2File
+              ? basisFile.transcodeImage(dst, i, layer, face, format, 0, -1, -1)
+              : basisFile.transcodeImage(dst, imageIndex, i, format, 0, 0);
+            if (!status) {
+              throw new Error(`transcodeImage failed for layer ${layer}, face ${face}`);
+            }
+            images.push(dst);
+          }
+        }
+      } catch (err) {
+        console.warn(`Level ${i} failed (${err.message}), stopping mip chain`);
+        break;
+      }
+
+      levels[i].isDecompressed = true;
+      levels[i].decompressedData = concatBytes(images);
+      levels[i].transcodedFormat = format;
+      console.log(`Level ${i}: Basis → format ${format} ✓ (${images.length} image${images.length > 1 ? 's' : ''}, ${levels[i].decompressedData.length} bytes)`);
+      onLevel?.(i, target);
+    }
+  } finally {
+    basisFile.close();
+    basisFile.delete();
+  }
 
+  return target;
 }
 
-async function parseKTX2(arrayBuffer,device) {
+// Options:
+//   basisTarget - force a Basis transcode target (a BASIS_TARGETS key, default 'auto')
+//   onHeader({ header, levels, dfd, kvd, transcodeTarget }) - once the output format is
+//     known, before the first level; `levels` holds metadata only
+//   onLevel(i, data) - as each mip level's final bytes are ready, largest level first
+//   signal - an AbortSignal checked between levels
+async function parseKTX2(arrayBuffer, device, options = {}) {
   const dv = new DataView(arrayBuffer);
 
   // Identifier (12 bytes) - validates that this is truly ktx2 file
@@ -236,16 +570,24 @@ async function parseKTX2(arrayBuffer,device) {
   };
 
   // Level Index - array of mip levels
+  // Each level holds layerCount * faceCount * depth images, stored layer-major
+  // (all faces of layer 0, then layer 1, ...) with the z slices of a face innermost
   const levelCount = Math.max(1, header.levelCount || 1);
+  const layerCount = Math.max(1, header.layerCount);
+  const faceCount = Math.max(1, header.faceCount);
   const levels = [];
   for (let i = 0; i < levelCount; i++) {
     const byteOffset = Number(dv.getBigUint64(offset, true)); offset += 8;
     const byteLength = Number(dv.getBigUint64(offset, true)); offset += 8;
     const uncompressedByteLength = Number(dv.getBigUint64(offset, true)); offset += 8;
+    const depth = Math.max(1, header.pixelDepth >> i); // pixelDepth is 0 for 2D textures
     levels.push({
       byteOffset, byteLength, uncompressedByteLength,
       width: Math.max(1, header.pixelWidth  >> i),
       height: Math.max(1, header.pixelHeight >> i),
+      depth,
+      layerCount, faceCount,
+      imageCount: layerCount * faceCount * depth,
     });
   }
 
@@ -263,286 +605,880 @@ async function parseKTX2(arrayBuffer,device) {
   
 
   // Handle supercompression - decompress level data if needed
+  let transcodeTarget = null;
+
+  // Stream finished levels to the caller, announcing the header with the first one
+  let headerSent = false;
+  const emitLevel = (i) => {
+    options.signal?.throwIfAborted();
+    if (!headerSent) {
+      headerSent = true;
+      options.onHeader?.({
+        header, dfd, kvd, transcodeTarget,
+        levels: levels.map((level) => {
+          const meta = { ...level };
+          delete meta.decompressedData;
+          return meta;
+        })
+      });
+    }
+    options.onLevel?.(i, getLevelData(arrayBuffer, levels[i]));
+  };
+
   if (header.supercompressionScheme === SUPERCOMPRESSION_ZSTD) {
-    await loadFzstd();
-    
-    // Decompress each mip level
-    for (let i = 0; i < levels.length; i++) {
-      const level = levels[i];
-      const compressedData = new Uint8Array(arrayBuffer, level.byteOffset, level.byteLength);
-      
-      try {
-        const decompressedData = fzstdDecompress(compressedData);
-        
+    // Emit each mip level as soon as it is decompressed (in the Zstd worker when available)
+    const frames = zstdDecompressFrames(
+      levels.map(level => new Uint8Array(arrayBuffer, level.byteOffset, level.byteLength))
+    );
+    let i = 0;
+    try {
+      for await (const decompressed of frames) {
+        const level = levels[i];
+
         // Store decompressed data - we need to keep it accessible
-        level.decompressedData = decompressedData;
+        level.decompressedData = decompressed;
         level.isDecompressed = true;
-        
+
         // Verify size matches expected
-        if (decompressedData.length !== level.uncompressedByteLength) {
-          console.warn(`Level ${i}: Decompressed size ${decompressedData.length} != expected ${level.uncompressedByteLength}`);
+        if (decompressed.length !== level.uncompressedByteLength) {
+          console.warn(`Level ${i}: Decompressed size ${decompressed.length} != expected ${level.uncompressedByteLength}`);
         }
-      } catch (e) {
-        throw new Error(`Failed to decompress level ${i}: ${e.message}`);
+        emitLevel(i);
+        i++;
       }
-  }
+    } catch (e) {
+      if (e.index === undefined) {
+        throw e;
+      }
+      throw new Error(`Failed to decompress level ${e.index}: ${e.message}`);
+    }
 
 } else if (header.vkFormat === 0 && header.supercompressionScheme === SUPERCOMPRESSION_NONE) {
     // Raw UASTC or ETC1S without supercompression
     logApp("Detected raw Basis Universal texture (no supercompression)");
-    
-    // Load transcoder
-    await loadBasisModule();
-    
-    let basisFile = null;
-    const fileUint8 = new Uint8Array(arrayBuffer);
-    
-    if (BasisModule.KTX2File) {
-      basisFile = new BasisModule.KTX2File(fileUint8);
-    }
-    
-    if (!basisFile) {
-      basisFile = new BasisModule.BasisFile(fileUint8);
-    }
-    
-    if (!basisFile.startTranscoding()) {
-      basisFile.close();
-      basisFile.delete();
-      throw new Error("Transcoder failed to initialize");
-    }
-    
-    const isKTX2File = (BasisModule.KTX2File && basisFile instanceof BasisModule.KTX2File);
-    const format = 13; // RGBA32
-    const imageIndex = 0;
-    
-    let transcoderLevelCount = isKTX2File ? basisFile.getLevels() : basisFile.getNumLevels(imageIndex);
-    const safeLevelCount = Math.min(levels.length, transcoderLevelCount);
-    
-    for (let i = 0; i < safeLevelCount; i++) {
-      let dst = null;
-      let status = false;
-      
-      if (isKTX2File) {
-        const size = basisFile.getImageTranscodedSizeInBytes(i, 0, 0, format);
-        if (size === 0) break;
-        
-        dst = new Uint8Array(size);
-        status = basisFile.transcodeImage(dst, i, 0, 0, format, 0, 0);
-      } else {
-        const size = basisFile.getImageTranscodedSizeInBytes(imageIndex, i, format);
-        if (size === 0) break;
-        
-        dst = new Uint8Array(size);
-        status = basisFile.transcodeImage(dst, imageIndex, i, format, 0, 0);
-      }
-      
-      if (status && dst && dst.length > 0) {
-        levels[i].isDecompressed = true;
-        levels[i].decompressedData = dst;
-        levels[i].transcodedFormat = format;
-        console.log(`Level ${i}: Raw Basis → RGBA32 ✓ (${dst.length} bytes)`);
-      } else {
-        break;
-      }
-    }
-    
-    basisFile.close();
-    basisFile.delete();
-    
+    transcodeTarget = await transcodeBasisLevels(arrayBuffer, header, levels, device, options.basisTarget, (i, target) => {
+      transcodeTarget = target;
+      emitLevel(i);
+    });
+
 } else if (header.supercompressionScheme === SUPERCOMPRESSION_BASIS_LZ) { // This means ETC1S or UASTC
-    console.log('[read.js] Entering BASIS_LZ block');  
+    console.log('[read.js] Entering BASIS_LZ block');
     logApp("Detected BASIS-LZ texture (ETC1S or UASTC)");
+    transcodeTarget = await transcodeBasisLevels(arrayBuffer, header, levels, device, options.basisTarget, (i, target) => {
+      transcodeTarget = target;
+      emitLevel(i);
+    });
 
-    // Detect UASTC via DFD color model (166 = UASTC)
-    // BasisLZ covers ETC1S (model 160) and UASTC (model 166)
-    const isUASTC = (dfd && dfd.colorModel === 166);
-
-    // Choose a GPU-friendly target format
-    // UASTC → BC7 is the most correct path
-    const targetFormat = 13; // 6 = BC7 in Basis Transcoder IDs
+    console.log('[read.js] Transcode summary:');
+    for (let i = 0; i < levels.length; i++) {
+        console.log(`  Level ${i}: isDecompressed=${levels[i].isDecompressed}, format=${levels[i].transcodedFormat}, size=${levels[i].decompressedData?.length || 0}`);
+    }
 
-    // 1. Load the transcoder
-    await loadBasisModule();
+  } else if (header.supercompressionScheme === SUPERCOMPRESSION_ZLIB) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('ZLIB supercompression needs DecompressionStream, which this browser lacks.');
+    }
 
-    let basisFile = null;
-    const fileUint8 = new Uint8Array(arrayBuffer);
+    // Each mip level is an independent zlib stream
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+      const compressedData = new Uint8Array(arrayBuffer, level.byteOffset, level.byteLength);
 
-    // 2. ATTEMPT 1: Check for explicit KTX2File support (common in newer builds)
-    if (BasisModule.KTX2File) {
+      let inflated;
       try {
-        basisFile = new BasisModule.KTX2File(fileUint8);
+        inflated = await inflateZlib(compressedData);
       } catch (e) {
-        console.warn("KTX2File constructor failed", e);
+        throw new KTX2Error('ZLIB_INFLATE_FAILED', `Failed to inflate level ${i}: ${e.message}`, { level: i });
+      }
+
+      if (inflated.length !== level.uncompressedByteLength) {
+        throw new KTX2Error(
+          'LEVEL_SIZE_MISMATCH',
+          `Level ${i}: inflated ${inflated.length} bytes, header says ${level.uncompressedByteLength}`,
+          { level: i, expected: level.uncompressedByteLength, actual: inflated.length }
+        );
       }
-    }
 
-    // 3. ATTEMPT 2: Fallback to BasisFile with the WHOLE BUFFER
-    // (Some builds auto-detect KTX2 headers inside BasisFile)
-    if (!basisFile) {
-      basisFile = new BasisModule.BasisFile(fileUint8);
+      level.decompressedData = inflated;
+      level.isDecompressed = true;
+      emitLevel(i);
     }
 
-    // 4. Initialize
-    if (!basisFile.startTranscoding()) {
-      basisFile.close();
-      basisFile.delete();
-      throw new Error("Transcoder failed to initialize. (Your basis_transcoder.wasm might lack KTX2 support)");
+  } else if (header.supercompressionScheme !== SUPERCOMPRESSION_NONE) {
+    throw new Error(`Unknown supercompression scheme: ${header.supercompressionScheme}`);
+  } else {
+    // Uncompressed levels are used as stored
+    for (let i = 0; i < levels.length; i++) {
+      emitLevel(i);
     }
+  }
 
-    // Detect Class FIRST
-    const isKTX2File = (BasisModule.KTX2File && basisFile instanceof BasisModule.KTX2File);
 
-    let imageCount = 1;
-    if (!isKTX2File) {
-        // Only legacy BasisFile has getNumImages()
-        if (typeof basisFile.getNumImages === 'function') {
-            imageCount = basisFile.getNumImages();
-        }
-    }
+  return { header, index, levels, dfd, kvd, transcodeTarget };
+}
 
-    if (imageCount === 0) {
-       basisFile.close();
-       basisFile.delete();
-       throw new Error("File has no images");
-    }
+// ---------------------------------------------------------------------------
+// Worker decode pipeline
+// ---------------------------------------------------------------------------
+
+let ktx2WorkerUrlPromise = null;
+
+// The decode worker is fzstd, the Basis transcoder, this file and ktx2-worker.js
+// concatenated into one blob, since the webview CSP only allows blob: workers
+function getKTX2WorkerUrl() {
+  if (!ktx2WorkerUrlPromise) {
+    const sources = [
+      window.ZSTD_JS || 'media/zstd/fzstd.js',
+      window.BASIS_JS || 'media/basisu/basis_transcoder.js',
+      window.READ_JS || 'media/read.js',
+      window.KTX2_WORKER_JS || 'media/ktx2-worker.js'
+    ];
+    const wasmUrl = new URL(window.BASIS_WASM || 'media/basisu/basis_transcoder.wasm', location.href).href;
+
+    ktx2WorkerUrlPromise = Promise.all(sources.map(async (url) => {
+      const res = await fetch(url);
+      if (!res.ok) {
+        throw new Error(`Failed to fetch ${url}: ${res.status}`);
+      }
+      return res.text();
+    })).then(([zstd, basis, read, entry]) => {
+      const prelude = `self.window = self;\nself.BASIS_WASM = ${JSON.stringify(wasmUrl)};\n`;
+      const blob = new Blob([zstd, '\n', basis, '\n', prelude, read, '\n', entry], { type: 'text/javascript' });
+      return URL.createObjectURL(blob);
+    }).catch((e) => {
+      ktx2WorkerUrlPromise = null;
+      throw e;
+    });
+  }
+  return ktx2WorkerUrlPromise;
+}
 
-    const format = getBasisTargetFormatForGPU(device);
+function runKTX2Worker(url, arrayBuffer, device, options, handlers, signal) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(url, { name: 'ktx2-decode' });
+    let started = false;
 
-    const imageIndex = 0;
-    
-    // Ask the transcoder how many levels IT sees
-    let transcoderLevelCount = 1; 
-    try {
-        if (isKTX2File) {
-            // FIX: KTX2File uses .getLevels() with no arguments
-            transcoderLevelCount = basisFile.getLevels();
-        } else {
-            // FIX: BasisFile uses .getNumLevels(imageIndex)
-            transcoderLevelCount = basisFile.getNumLevels(imageIndex);
-        }
-    } catch(e) {
-        console.warn("Could not query numLevels from transcoder, defaulting to 1.", e);
+    const finish = (settle, value) => {
+      signal.removeEventListener('abort', onAbort);
+      worker.terminate();
+      settle(value);
+    };
+    // A transcodeImage call can't be interrupted, so cancelling ends the worker
+    function onAbort() {
+      finish(reject, signal.reason);
     }
+    signal.addEventListener('abort', onAbort, { once: true });
 
-    // Loop only up to the minimum of what the Header says and what the Transcoder says
-    const safeLevelCount = Math.min(levels.length, transcoderLevelCount);
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      try {
+        switch (msg.type) {
+          case 'log':
+            logApp(msg.msg, msg.level);
+            break;
+          case 'header':
+            started = true;
+            handlers.onHeader?.(msg.info);
+            break;
+          case 'level':
+            handlers.onLevel?.(msg.index, msg.data);
+            break;
+          case 'done':
+            finish(resolve);
+            break;
+          case 'error':
+            finish(reject, msg.code
+              ? new KTX2Error(msg.code, msg.message, msg.details)
+              : new Error(msg.message));
+            break;
+        }
+      } catch (err) {
+        // A handler failed (e.g. unsupported GPU format); stop decoding
+        finish(reject, err);
+      }
+    };
 
-    for (let i = 0; i < safeLevelCount; i++) {
-    const levelIndex = i;
-    let dst = null;
-    let status = false;
-    let actualFormat = format; // Track which format was actually used
+    // Failing before any output (e.g. blocked by CSP) lets the caller retry on the main thread
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      const err = new Error(e.message || 'KTX2 worker failed');
+      err.workerFailed = !started;
+      finish(reject, err);
+    };
+
+    worker.postMessage({
+      buffer: arrayBuffer,
+      features: [...device.features],
+      options: { basisTarget: options.basisTarget }
+    });
+  });
+}
 
+// Decode a KTX2 file for upload without blocking the page. Mip levels are streamed through
+// handlers.onHeader / handlers.onLevel as in parseKTX2. Falls back to the main thread when
+// workers are unavailable. Returns { promise, cancel }; cancel() rejects with an AbortError.
+function decodeKTX2(arrayBuffer, device, options = {}, handlers = {}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const promise = (async () => {
+    let url = null;
     try {
-        if (isKTX2File) {
-            // UASTC path
-            const layerIndex = 0;
-            const faceIndex = 0;
-            const RGBA32 = 13;
-            actualFormat = RGBA32;
+      url = await getKTX2WorkerUrl();
+    } catch (e) {
+      console.warn('[read.js] KTX2 worker unavailable, decoding on the main thread:', e);
+    }
+    signal.throwIfAborted();
 
-            const size = basisFile.getImageTranscodedSizeInBytes(
-                levelIndex, layerIndex, faceIndex, RGBA32
-            );
+    if (url && typeof Worker !== 'undefined') {
+      try {
+        return await runKTX2Worker(url, arrayBuffer, device, options, handlers, signal);
+      } catch (e) {
+        if (!e.workerFailed) {
+          throw e;
+        }
+        console.warn('[read.js] KTX2 worker failed, decoding on the main thread:', e.message);
+      }
+    }
 
-            if (size === 0) {
-                console.warn(`Level ${levelIndex}: no size, stopping`);
-                break;
-            }
+    await parseKTX2(arrayBuffer, device, { ...options, ...handlers, signal });
+  })();
 
-            dst = new Uint8Array(size);
-            status = basisFile.transcodeImage(
-                dst, levelIndex, layerIndex, faceIndex, RGBA32, 0, 0
-            );
+  return { promise, cancel: () => controller.abort() };
+}
 
-            console.log(`Level ${i}: UASTC → RGBA32 ${status ? '✓' : '✗'} (${dst.length} bytes)`);
+// ---------------------------------------------------------------------------
+// DDS
+// ---------------------------------------------------------------------------
+
+const DDS_MAGIC = 0x20534444; // 'DDS '
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_ALPHA = 0x2;
+const DDPF_FOURCC = 0x4;
+const DDPF_LUMINANCE = 0x20000;
+const DDSCAPS2_CUBEMAP = 0x200;
+const DDSCAPS2_VOLUME = 0x200000;
+const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+const DDS_DIMENSION_TEXTURE3D = 4;
+const DDS_ALPHA_MODE_PREMULTIPLIED = 2;
+
+const bc = (format, bytesPerBlock) => ({ format, blockWidth: 4, blockHeight: 4, bytesPerBlock });
+
+// DXGI_FORMAT → the descriptor vkFormatToWebGPU returns, plus the DXGI name. Formats the
+// viewer does not sample directly carry `expand`, the source texel layout parseDDS widens
+// to four channels: float32 ones are then narrowed to rgba16float like VK_FORMAT 109.
+const DXGI_FORMATS = {
+  2:  { name: 'R32G32B32A32_FLOAT', format: 'rgba16float', bytesPerPixel: 8, sourceBytesPerPixel: 16 },
+  6:  { name: 'R32G32B32_FLOAT', format: 'rgba16float', bytesPerPixel: 8, sourceBytesPerPixel: 16, expand: { type: 'f32', channels: 3 } },
+  10: { name: 'R16G16B16A16_FLOAT', format: 'rgba16float', bytesPerPixel: 8 },
+  16: { name: 'R32G32_FLOAT', format: 'rgba16float', bytesPerPixel: 8, sourceBytesPerPixel: 16, expand: { type: 'f32', channels: 2 } },
+  26: { name: 'R11G11B10_FLOAT', format: 'rg11b10ufloat', bytesPerPixel: 4 },
+  27: { name: 'R8G8B8A8_TYPELESS', format: 'rgba8unorm', bytesPerPixel: 4 },
+  28: { name: 'R8G8B8A8_UNORM', format: 'rgba8unorm', bytesPerPixel: 4 },
+  29: { name: 'R8G8B8A8_UNORM_SRGB', format: 'rgba8unorm-srgb', bytesPerPixel: 4 },
+  34: { name: 'R16G16_FLOAT', format: 'rgba16float', bytesPerPixel: 8, expand: { type: 'f16', channels: 2 } },
+  41: { name: 'R32_FLOAT', format: 'rgba16float', bytesPerPixel: 8, sourceBytesPerPixel: 16, expand: { type: 'f32', channels: 1 } },
+  49: { name: 'R8G8_UNORM', format: 'rgba8unorm', bytesPerPixel: 4, expand: { type: 'u8', channels: 2 } },
+  54: { name: 'R16_FLOAT', format: 'rgba16float', bytesPerPixel: 8, expand: { type: 'f16', channels: 1 } },
+  61: { name: 'R8_UNORM', format: 'rgba8unorm', bytesPerPixel: 4, expand: { type: 'u8', channels: 1 } },
+  67: { name: 'R9G9B9E5_SHAREDEXP', format: 'rgb9e5ufloat', bytesPerPixel: 4 },
+  70: { name: 'BC1_TYPELESS', ...bc('bc1-rgba-unorm', 8) },
+  71: { name: 'BC1_UNORM', ...bc('bc1-rgba-unorm', 8) },
+  72: { name: 'BC1_UNORM_SRGB', ...bc('bc1-rgba-unorm-srgb', 8) },
+  73: { name: 'BC2_TYPELESS', ...bc('bc2-rgba-unorm', 16) },
+  74: { name: 'BC2_UNORM', ...bc('bc2-rgba-unorm', 16) },
+  75: { name: 'BC2_UNORM_SRGB', ...bc('bc2-rgba-unorm-srgb', 16) },
+  76: { name: 'BC3_TYPELESS', ...bc('bc3-rgba-unorm', 16) },
+  77: { name: 'BC3_UNORM', ...bc('bc3-rgba-unorm', 16) },
+  78: { name: 'BC3_UNORM_SRGB', ...bc('bc3-rgba-unorm-srgb', 16) },
+  79: { name: 'BC4_TYPELESS', ...bc('bc4-r-unorm', 8) },
+  80: { name: 'BC4_UNORM', ...bc('bc4-r-unorm', 8) },
+  81: { name: 'BC4_SNORM', ...bc('bc4-r-snorm', 8) },
+  82: { name: 'BC5_TYPELESS', ...bc('bc5-rg-unorm', 16) },
+  83: { name: 'BC5_UNORM', ...bc('bc5-rg-unorm', 16) },
+  84: { name: 'BC5_SNORM', ...bc('bc5-rg-snorm', 16) },
+  87: { name: 'B8G8R8A8_UNORM', format: 'rgba8unorm', bytesPerPixel: 4, expand: { type: 'bgra8' } },
+  88: { name: 'B8G8R8X8_UNORM', format: 'rgba8unorm', bytesPerPixel: 4, expand: { type: 'bgrx8' } },
+  91: { name: 'B8G8R8A8_UNORM_SRGB', format: 'rgba8unorm-srgb', bytesPerPixel: 4, expand: { type: 'bgra8' } },
+  93: { name: 'B8G8R8X8_UNORM_SRGB', format: 'rgba8unorm-srgb', bytesPerPixel: 4, expand: { type: 'bgrx8' } },
+  94: { name: 'BC6H_TYPELESS', ...bc('bc6h-rgb-ufloat', 16) },
+  95: { name: 'BC6H_UF16', ...bc('bc6h-rgb-ufloat', 16) },
+  96: { name: 'BC6H_SF16', ...bc('bc6h-rgb-float', 16) },
+  97: { name: 'BC7_TYPELESS', ...bc('bc7-rgba-unorm', 16) },
+  98: { name: 'BC7_UNORM', ...bc('bc7-rgba-unorm', 16) },
+  99: { name: 'BC7_UNORM_SRGB', ...bc('bc7-rgba-unorm-srgb', 16) },
+};
 
-        } else {
-            // ETC1S path
-            const size = basisFile.getImageTranscodedSizeInBytes(
-                imageIndex, levelIndex, format
-            );
-            
-            if (size === 0) {
-                console.warn(`Level ${levelIndex}: no size, stopping`);
-                break;
-            }
-            
-            dst = new Uint8Array(size);
-            status = basisFile.transcodeImage(
-                dst, imageIndex, levelIndex, format, 0, 0
-            );
+function dxgiFormatToWebGPU(dxgiFormat) {
+  return DXGI_FORMATS[dxgiFormat] || null;
+}
 
-            console.log(`Level ${i}: ETC1S → format ${format} ${status ? '✓' : '✗'} (${dst.length} bytes)`);
-        }
-    } catch (err) {
-        console.error(`Level ${i} transcode error:`, err);
-        break;
+// Legacy FourCCs and D3DFORMAT numbers → DXGI_FORMAT; DXT2 / DXT4 are premultiplied DXT3 / DXT5
+const DDS_FOURCC_DXGI = {
+  DXT1: 71, DXT2: 74, DXT3: 74, DXT4: 77, DXT5: 77,
+  ATI1: 80, BC4U: 80, BC4S: 81, ATI2: 83, BC5U: 83, BC5S: 84,
+  111: 54, 112: 34, 113: 10, 114: 41, 115: 16, 116: 2
+};
+
+// Widen one image to four channels as described by a DXGI_FORMATS / GL_INTERNAL_FORMATS
+// `expand` entry, or by the bit masks of a legacy DDS RGB / luminance / alpha pixel format
+// (to rgba8unorm)
+function expandTexels(src, texelCount, expand) {
+  const view = new DataView(src.buffer, src.byteOffset, src.byteLength);
+  if (expand.type === 'f32' || expand.type === 'f16') {
+    const f32 = expand.type === 'f32';
+    const out = f32 ? new Float32Array(texelCount * 4) : new Uint16Array(texelCount * 4);
+    const one = f32 ? 1 : 0x3C00;
+    const size = f32 ? 4 : 2;
+    for (let t = 0; t < texelCount; t++) {
+      for (let c = 0; c < expand.channels; c++) {
+        const o = (t * expand.channels + c) * size;
+        out[t * 4 + c] = f32 ? view.getFloat32(o, true) : view.getUint16(o, true);
+      }
+      out[t * 4 + 3] = one;
     }
+    return new Uint8Array(out.buffer);
+  }
 
-    // Store result (only if successful)
-    if (status && dst && dst.length > 0) {
-        levels[i].isDecompressed = true;
-        levels[i].decompressedData = dst;
-        levels[i].transcodedFormat = actualFormat;
-    } else {
-        console.warn(`Level ${i} failed, stopping mip chain`);
-        break;
+  const out = new Uint8Array(texelCount * 4);
+  if (expand.type === 'u8') {
+    for (let t = 0; t < texelCount; t++) {
+      for (let c = 0; c < expand.channels; c++) {
+        out[t * 4 + c] = src[t * expand.channels + c];
+      }
+      out[t * 4 + 3] = 255;
+    }
+  } else if (expand.type === 'bgra8' || expand.type === 'bgrx8') {
+    for (let t = 0; t < texelCount * 4; t += 4) {
+      out[t] = src[t + 2];
+      out[t + 1] = src[t + 1];
+      out[t + 2] = src[t];
+      out[t + 3] = expand.type === 'bgra8' ? src[t + 3] : 255;
+    }
+  } else {
+    // 'masks': { bytes, masks: [r, g, b, a], luminance }; a zero mask reads as 0 (alpha: 255)
+    const fields = expand.masks.map(mask => {
+      if (!mask) {
+        return null;
+      }
+      let shift = 0;
+      while (!((mask >>> shift) & 1)) {
+        shift++;
+      }
+      return { mask, shift, max: mask >>> shift };
+    });
+    for (let t = 0; t < texelCount; t++) {
+      let texel = 0;
+      for (let b = 0; b < expand.bytes; b++) {
+        texel += src[t * expand.bytes + b] * 2 ** (8 * b);
+      }
+      const value = (i) => {
+        const f = fields[i];
+        return f ? Math.round(((texel & f.mask) >>> f.shift) * 255 / f.max) : (i === 3 ? 255 : 0);
+      };
+      const r = value(0);
+      out.set([r, expand.luminance ? r : value(1), expand.luminance ? r : value(2), value(3)], t * 4);
     }
+  }
+  return out;
 }
 
-    basisFile.close();
-    basisFile.delete(); 
+// Header fields in parseKTX2's shape (pixelWidth, layerCount, faceCount, ...) plus
+// dxgiFormat, formatInfo and the legacy pixel format's expansion if it has one
+function readDDSHeader(dv) {
+  if (dv.byteLength < 128 || dv.getUint32(0, true) !== DDS_MAGIC) {
+    throw new Error('Invalid DDS identifier');
+  }
+  if (dv.getUint32(4, true) !== 124) {
+    throw new Error('DDS header size is not 124');
+  }
 
-    console.log('[read.js] Transcode summary:');
-    for (let i = 0; i < levels.length; i++) {
-        console.log(`  Level ${i}: isDecompressed=${levels[i].isDecompressed}, format=${levels[i].transcodedFormat}, size=${levels[i].decompressedData?.length || 0}`);
+  const caps2 = dv.getUint32(112, true);
+  const pfFlags = dv.getUint32(80, true);
+  const fourCCValue = dv.getUint32(84, true);
+  const fourCC = String.fromCharCode(...[0, 8, 16, 24].map(s => (fourCCValue >>> s) & 0xFF));
+  const header = {
+    container: 'DDS',
+    pixelWidth: dv.getUint32(16, true),
+    pixelHeight: dv.getUint32(12, true),
+    pixelDepth: caps2 & DDSCAPS2_VOLUME ? Math.max(1, dv.getUint32(24, true)) : 0,
+    layerCount: 0,
+    faceCount: caps2 & DDSCAPS2_CUBEMAP ? 6 : 1,
+    levelCount: Math.max(1, dv.getUint32(28, true)),
+    supercompressionScheme: SUPERCOMPRESSION_NONE,
+    vkFormat: 0,
+    dataOffset: 128,
+    premultipliedAlpha: fourCC === 'DXT2' || fourCC === 'DXT4'
+  };
+
+  if (header.faceCount === 6 && (caps2 & 0xFC00) !== 0xFC00) {
+    throw new Error('DDS cubemaps with missing faces are not supported');
+  }
+
+  let dxgiFormat = null;
+  let expand = null;
+  let formatName;
+  if ((pfFlags & DDPF_FOURCC) && fourCC === 'DX10') {
+    if (dv.byteLength < 148) {
+      throw new Error('DDS file too small for its DX10 header');
+    }
+    dxgiFormat = dv.getUint32(128, true);
+    const dimension = dv.getUint32(132, true);
+    const miscFlag = dv.getUint32(136, true);
+    header.layerCount = Math.max(1, dv.getUint32(140, true));
+    header.faceCount = miscFlag & DDS_RESOURCE_MISC_TEXTURECUBE ? 6 : 1;
+    header.pixelDepth = dimension === DDS_DIMENSION_TEXTURE3D ? Math.max(1, dv.getUint32(24, true)) : 0;
+    header.premultipliedAlpha = (dv.getUint32(144, true) & 0x7) === DDS_ALPHA_MODE_PREMULTIPLIED;
+    header.dataOffset = 148;
+  } else if (pfFlags & DDPF_FOURCC) {
+    dxgiFormat = DDS_FOURCC_DXGI[fourCC] ?? DDS_FOURCC_DXGI[fourCCValue] ?? null;
+    if (dxgiFormat === null) {
+      throw new Error(`Unsupported DDS FourCC ${/^[\x20-\x7E]{4}$/.test(fourCC) ? `'${fourCC}'` : fourCCValue}`);
+    }
+  } else {
+    const bitCount = dv.getUint32(88, true);
+    if (![8, 16, 24, 32].includes(bitCount)) {
+      throw new Error(`Unsupported DDS bit count ${bitCount}`);
+    }
+    const masks = [92, 96, 100, 104].map(o => dv.getUint32(o, true));
+    if (!(pfFlags & (DDPF_ALPHAPIXELS | DDPF_ALPHA))) {
+      masks[3] = 0;
+    }
+    if (pfFlags & DDPF_ALPHA) {
+      masks.fill(0, 0, 3);
+    }
+    if (bitCount === 32 && masks.join() === [0xFF, 0xFF00, 0xFF0000, 0xFF000000].join()) {
+      dxgiFormat = 28;
+    } else {
+      expand = { type: 'masks', bytes: bitCount / 8, masks, luminance: !!(pfFlags & DDPF_LUMINANCE) };
+      const hex = masks.map(m => m.toString(16).toUpperCase());
+      formatName = `${bitCount}-bit ${expand.luminance ? 'luminance' : 'RGB'} masks ${hex.join(' ')}`;
     }
-    
-  } else if (header.supercompressionScheme === SUPERCOMPRESSION_ZLIB) {
-    throw new Error('Zlib supercompression not yet supported. Use Zstd or uncompressed KTX2.');
-  } else if (header.supercompressionScheme !== SUPERCOMPRESSION_NONE) {
-    throw new Error(`Unknown supercompression scheme: ${header.supercompressionScheme}`);
   }
 
+  if (expand) {
+    header.formatInfo = { name: formatName, format: 'rgba8unorm', bytesPerPixel: 4, expand };
+  } else {
+    header.formatInfo = dxgiFormatToWebGPU(dxgiFormat);
+    if (!header.formatInfo) {
+      throw new Error(`Unsupported DXGI format ${dxgiFormat}`);
+    }
+  }
+  header.dxgiFormat = dxgiFormat;
+  header.layerCount = Math.max(header.layerCount, 1);
+  return header;
+}
 
-  return { header, index, levels, dfd, kvd };
+// Bytes of one stored image of a level, before any expansion
+function ddsImageSize(info, width, height) {
+  if (info.blockWidth) {
+    return Math.ceil(width / info.blockWidth) * Math.ceil(height / info.blockHeight) * info.bytesPerBlock;
+  }
+  const expand = info.expand;
+  let bytesPerPixel = info.sourceBytesPerPixel || info.bytesPerPixel;
+  if (expand?.type === 'masks') {
+    bytesPerPixel = expand.bytes;
+  } else if (expand?.type === 'bgra8' || expand?.type === 'bgrx8') {
+    bytesPerPixel = 4;
+  } else if (expand) {
+    bytesPerPixel = { f32: 4, f16: 2, u8: 1 }[expand.type] * expand.channels;
+  }
+  return width * height * bytesPerPixel;
 }
 
-// DFD data block parser
+// DDS stores each array layer / face with its whole mip chain (volumes: all slices of a level
+// together); KTX2 order, which the viewer uploads, is level by level. Options as for parseKTX2;
+// the header passed to onHeader has `formatInfo` for the loader in place of a vkFormat.
+async function parseDDS(arrayBuffer, device, options = {}) {
+  const dv = new DataView(arrayBuffer);
+  const header = readDDSHeader(dv);
+  const info = header.formatInfo;
+  const images = header.layerCount * header.faceCount;
+
+  const levels = [];
+  for (let i = 0; i < header.levelCount; i++) {
+    const width = Math.max(1, header.pixelWidth >> i);
+    const height = Math.max(1, header.pixelHeight >> i);
+    const depth = Math.max(1, header.pixelDepth >> i);
+    levels.push({
+      width, height, depth,
+      layerCount: header.layerCount, faceCount: header.faceCount,
+      imageCount: images * depth,
+      imageByteLength: ddsImageSize(info, width, height) * depth
+    });
+  }
+
+  // chunks[level][image]: where each image's copy of the level is stored
+  const chunks = levels.map(() => []);
+
+  let offset = header.dataOffset;
+  for (let image = 0; image < images; image++) {
+    for (let i = 0; i < levels.length; i++) {
+      const size = levels[i].imageByteLength;
+      if (offset + size > arrayBuffer.byteLength) {
+        throw new Error(`DDS data ends inside level ${i} of image ${image}`);
+      }
+      chunks[i].push(new Uint8Array(arrayBuffer, offset, size));
+      offset += size;
+    }
+  }
+
+  options.onHeader?.({ header, levels, dfd: null, kvd: null, transcodeTarget: null });
+  for (let i = 0; i < levels.length; i++) {
+    options.signal?.throwIfAborted();
+    const level = levels[i];
+    const data = new Uint8Array(level.imageByteLength * images);
+    chunks[i].forEach((chunk, image) => data.set(chunk, image * level.imageByteLength));
+    const texels = level.width * level.height * level.imageCount;
+    options.onLevel?.(i, info.expand ? expandTexels(data, texels, info.expand) : data);
+  }
+  return { header, levels };
+}
+
+// decodeKTX2's { promise, cancel } for containers with nothing to decompress (DDS, KTX1),
+// which are parsed on the main thread
+function decodeOnMainThread(parse, arrayBuffer, device, options, handlers) {
+  const controller = new AbortController();
+  const promise = Promise.resolve().then(() =>
+    parse(arrayBuffer, device, { ...options, ...handlers, signal: controller.signal }));
+  return { promise, cancel: () => controller.abort() };
+}
+
+function decodeDDS(arrayBuffer, device, options = {}, handlers = {}) {
+  return decodeOnMainThread(parseDDS, arrayBuffer, device, options, handlers);
+}
+
+// ---------------------------------------------------------------------------
+// KTX 1.1
+// ---------------------------------------------------------------------------
+
+const KTX1_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// glInternalFormat → [name, vkFormat, bytes per byte-swapped element, expand?]. The element size
+// is taken from here rather than glTypeSize, which some writers (old Filament cmgen) set to 1
+// for packed formats. `expand` is as in DXGI_FORMATS, widening to the vkFormat's layout.
+const GL_INTERNAL_FORMATS = {
+  0x8229: ['R8', 37, 1, { type: 'u8', channels: 1 }],
+  0x822B: ['RG8', 37, 1, { type: 'u8', channels: 2 }],
+  0x8051: ['RGB8', 23, 1],
+  0x8C41: ['SRGB8', 29, 1],
+  0x8058: ['RGBA8', 37, 1],
+  0x8C43: ['SRGB8_ALPHA8', 43, 1],
+  0x822D: ['R16F', 97, 2, { type: 'f16', channels: 1 }],
+  0x822F: ['RG16F', 97, 2, { type: 'f16', channels: 2 }],
+  0x881B: ['RGB16F', 97, 2, { type: 'f16', channels: 3 }],
+  0x881A: ['RGBA16F', 97, 2],
+  0x822E: ['R32F', 109, 4, { type: 'f32', channels: 1 }],
+  0x8230: ['RG32F', 109, 4, { type: 'f32', channels: 2 }],
+  0x8815: ['RGB32F', 109, 4, { type: 'f32', channels: 3 }],
+  0x8814: ['RGBA32F', 109, 4],
+  0x8C3A: ['R11F_G11F_B10F', 122, 4],
+  0x8C3D: ['RGB9_E5', 123, 4],
+  0x83F0: ['COMPRESSED_RGB_S3TC_DXT1', 131, 1],
+  0x8C4C: ['COMPRESSED_SRGB_S3TC_DXT1', 132, 1],
+  0x83F1: ['COMPRESSED_RGBA_S3TC_DXT1', 133, 1],
+  0x8C4D: ['COMPRESSED_SRGB_ALPHA_S3TC_DXT1', 134, 1],
+  0x83F2: ['COMPRESSED_RGBA_S3TC_DXT3', 135, 1],
+  0x8C4E: ['COMPRESSED_SRGB_ALPHA_S3TC_DXT3', 136, 1],
+  0x83F3: ['COMPRESSED_RGBA_S3TC_DXT5', 137, 1],
+  0x8C4F: ['COMPRESSED_SRGB_ALPHA_S3TC_DXT5', 138, 1],
+  0x8DBB: ['COMPRESSED_RED_RGTC1', 139, 1],
+  0x8DBC: ['COMPRESSED_SIGNED_RED_RGTC1', 140, 1],
+  0x8DBD: ['COMPRESSED_RG_RGTC2', 141, 1],
+  0x8DBE: ['COMPRESSED_SIGNED_RG_RGTC2', 142, 1],
+  0x8E8F: ['COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT', 143, 1],
+  0x8E8E: ['COMPRESSED_RGB_BPTC_SIGNED_FLOAT', 144, 1],
+  0x8E8C: ['COMPRESSED_RGBA_BPTC_UNORM', 145, 1],
+  0x8E8D: ['COMPRESSED_SRGB_ALPHA_BPTC_UNORM', 146, 1],
+  // ETC1 is a subset of ETC2 RGB8
+  0x8D64: ['ETC1_RGB8', 147, 1],
+  0x9274: ['COMPRESSED_RGB8_ETC2', 147, 1],
+  0x9275: ['COMPRESSED_SRGB8_ETC2', 148, 1],
+  0x9276: ['COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2', 149, 1],
+  0x9277: ['COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2', 150, 1],
+  0x9278: ['COMPRESSED_RGBA8_ETC2_EAC', 151, 1],
+  0x9279: ['COMPRESSED_SRGB8_ALPHA8_ETC2_EAC', 152, 1],
+  0x9270: ['COMPRESSED_R11_EAC', 153, 1],
+  0x9271: ['COMPRESSED_SIGNED_R11_EAC', 154, 1],
+  0x93B0: ['COMPRESSED_RGBA_ASTC_4x4', 157, 1],
+  0x93D0: ['COMPRESSED_SRGB8_ALPHA8_ASTC_4x4', 158, 1],
+};
+
+// KTX1 orientation ("S=r,T=d[,R=i]") in the KTX2 form parseKTXOrientation reads ("rd[i]")
+function ktx1Orientation(value) {
+  const m = /^S=([rl])(?:,T=([du]))?(?:,R=([io]))?/.exec(value?.replace(/\0+$/, '') || '');
+  return m ? m.slice(1).filter(Boolean).join('') : value;
+}
+
+// KTX 1.1 header, key/value data and images. Levels hold imageSize, then the images in
+// KTX2 order (array element, face, z slice), with uncompressed rows padded to 4 bytes and
+// each face of a non-array cubemap padded on its own. Options as for parseKTX2; the header
+// passed to onHeader carries formatInfo (named after glInternalFormat) as for DDS.
+async function parseKTX1(arrayBuffer, device, options = {}) {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (bytes.length < 64 || KTX1_IDENTIFIER.some((b, i) => bytes[i] !== b)) {
+    throw new Error('Invalid KTX1 identifier');
+  }
+  const dv = new DataView(arrayBuffer);
+  const endianness = dv.getUint32(12, true);
+  if (endianness !== 0x04030201 && endianness !== 0x01020304) {
+    throw new Error('Invalid KTX1 endianness marker');
+  }
+  const littleEndian = endianness === 0x04030201;
+  const u32 = (offset) => dv.getUint32(offset, littleEndian);
+
+  const glInternalFormat = u32(28);
+  const glFormat = GL_INTERNAL_FORMATS[glInternalFormat];
+  if (!glFormat) {
+    const hex = '0x' + glInternalFormat.toString(16).toUpperCase().padStart(4, '0');
+    throw new Error(`Unsupported KTX1 glInternalFormat ${hex}${u32(16) === 0 ? ' (compressed)' : ''}`);
+  }
+  const [glName, vkFormat, elementBytes, expand] = glFormat;
+  const arrayElements = u32(48);
+  const header = {
+    container: 'KTX1',
+    vkFormat,
+    glInternalFormat,
+    pixelWidth: u32(36),
+    pixelHeight: Math.max(1, u32(40)),
+    pixelDepth: u32(44),
+    layerCount: Math.max(1, arrayElements),
+    faceCount: Math.max(1, u32(52)),
+    levelCount: Math.max(1, u32(56)),
+    supercompressionScheme: SUPERCOMPRESSION_NONE,
+    littleEndian,
+    formatInfo: { ...vkFormatToWebGPU(vkFormat), name: `GL_${glName}`, expand }
+  };
+
+  let offset = 64;
+  const kvdLength = u32(60);
+  let kvd = null;
+  if (kvdLength > 0) {
+    kvd = parseKVD(dv, offset, kvdLength, littleEndian);
+    if (kvd.KTXorientation) {
+      kvd.KTXorientation = ktx1Orientation(kvd.KTXorientation);
+    }
+  }
+  offset += kvdLength;
+
+  const info = header.formatInfo;
+  // Stored bytes per texel of uncompressed formats, before any expansion
+  const storedTexelBytes = expand
+    ? { u8: 1, f16: 2, f32: 4 }[expand.type] * expand.channels
+    : info.sourceChannels ? 3 : (info.sourceBytesPerPixel || info.bytesPerPixel);
+  const cubeFaces = arrayElements === 0 && header.faceCount === 6;
+  const images = header.layerCount * header.faceCount;
+
+  const levels = [];
+  const data = [];
+  for (let i = 0; i < header.levelCount; i++) {
+    const width = Math.max(1, header.pixelWidth >> i);
+    const height = Math.max(1, header.pixelHeight >> i);
+    const depth = Math.max(1, header.pixelDepth >> i);
+    const slices = images * depth;
+    if (offset + 4 > bytes.length) {
+      throw new Error(`KTX1 data ends before level ${i}`);
+    }
+    const imageSize = u32(offset);
+    offset += 4;
+
+    // One slice as stored (rows padded to 4 bytes) and as the viewer uploads it (tight)
+    let rowBytes, rows;
+    if (info.blockWidth) {
+      rowBytes = Math.ceil(width / info.blockWidth) * info.bytesPerBlock;
+      rows = Math.ceil(height / info.blockHeight);
+    } else {
+      rowBytes = width * storedTexelBytes;
+      rows = height;
+    }
+    const paddedRowBytes = info.blockWidth ? rowBytes : Math.ceil(rowBytes / 4) * 4;
+    const sliceBytes = paddedRowBytes * rows;
+    const expected = cubeFaces ? sliceBytes * depth : sliceBytes * slices;
+    if (imageSize !== expected) {
+      throw new Error(`KTX1 level ${i}: imageSize ${imageSize}, expected ${expected} for ${width}×${height} ${glName}`);
+    }
+
+    const level = new Uint8Array(rowBytes * rows * slices);
+    for (let s = 0; s < slices; s++) {
+      // Non-array cubemaps store imageSize bytes and cube padding per face
+      const faceStart = cubeFaces ? Math.floor(s / depth) * (imageSize + (3 - ((imageSize + 3) % 4))) : 0;
+      const src = offset + faceStart + (cubeFaces ? (s % depth) : s) * sliceBytes;
+      if (src + sliceBytes > bytes.length) {
+        throw new Error(`KTX1 data ends inside level ${i}`);
+      }
+      for (let r = 0; r < rows; r++) {
+        level.set(bytes.subarray(src + r * paddedRowBytes, src + r * paddedRowBytes + rowBytes), (s * rows + r) * rowBytes);
+      }
+    }
+    offset += cubeFaces ? 6 * (imageSize + (3 - ((imageSize + 3) % 4))) : imageSize;
+    offset += 3 - ((offset + 3) % 4); // mipPadding
+
+    if (!littleEndian && elementBytes > 1) {
+      for (let b = 0; b < level.length; b += elementBytes) {
+        level.subarray(b, b + elementBytes).reverse();
+      }
+    }
+    levels.push({ width, height, depth, layerCount: header.layerCount, faceCount: header.faceCount, imageCount: slices });
+    data.push(level);
+  }
+
+  options.onHeader?.({ header, levels, dfd: null, kvd, transcodeTarget: null });
+  for (let i = 0; i < levels.length; i++) {
+    options.signal?.throwIfAborted();
+    const texels = levels[i].width * levels[i].height * levels[i].imageCount;
+    options.onLevel?.(i, expand ? expandTexels(data[i], texels, expand) : data[i]);
+  }
+  return { header, levels, kvd };
+}
+
+function decodeKTX1(arrayBuffer, device, options = {}, handlers = {}) {
+  return decodeOnMainThread(parseKTX1, arrayBuffer, device, options, handlers);
+}
+
+// Khronos Data Format name tables (KHR_DF_MODEL_*, KHR_DF_PRIMARIES_*, KHR_DF_TRANSFER_*)
+const DFD_COLOR_MODELS = {
+  0: 'UNSPECIFIED', 1: 'RGBSDA', 2: 'YUVSDA', 3: 'YIQSDA', 4: 'LABSDA', 5: 'CMYKA',
+  6: 'XYZW', 7: 'HSVA_ANG', 8: 'HSLA_ANG', 9: 'HSVA_HEX', 10: 'HSLA_HEX', 11: 'YCGCOA',
+  12: 'YCCBCCRC', 13: 'ICTCP', 14: 'CIEXYZ', 15: 'CIEXYY',
+  128: 'BC1A', 129: 'BC2', 130: 'BC3', 131: 'BC4', 132: 'BC5', 133: 'BC6H', 134: 'BC7',
+  160: 'ETC1', 161: 'ETC2', 162: 'ASTC', 163: 'ETC1S', 164: 'PVRTC', 165: 'PVRTC2',
+  166: 'UASTC', 167: 'UASTC_HDR_4x4', 168: 'UASTC_HDR_6x6'
+};
+
+const DFD_PRIMARIES = {
+  0: 'UNSPECIFIED', 1: 'BT709', 2: 'BT601_EBU', 3: 'BT601_SMPTE', 4: 'BT2020', 5: 'CIEXYZ',
+  6: 'ACES', 7: 'ACESCC', 8: 'NTSC1953', 9: 'PAL525', 10: 'DISPLAYP3', 11: 'ADOBERGB'
+};
+
+const DFD_TRANSFER_FUNCTIONS = {
+  0: 'UNSPECIFIED', 1: 'LINEAR', 2: 'SRGB', 3: 'ITU', 4: 'NTSC', 5: 'SLOG', 6: 'SLOG2',
+  7: 'BT1886', 8: 'HLG_OETF', 9: 'HLG_EOTF', 10: 'PQ_EOTF', 11: 'PQ_OETF', 12: 'DCIP3',
+  13: 'PAL_OETF', 14: 'PAL625_EOTF', 15: 'ST240', 16: 'ACESCC', 17: 'ACESCCT', 18: 'ADOBERGB'
+};
+
+// Channel ids are interpreted per color model
+const DFD_CHANNELS = {
+  RGBSDA: { 0: 'R', 1: 'G', 2: 'B', 13: 'STENCIL', 14: 'DEPTH', 15: 'A' },
+  YUVSDA: { 0: 'Y', 1: 'U', 2: 'V', 13: 'STENCIL', 14: 'DEPTH', 15: 'A' },
+  BC1A: { 0: 'COLOR', 1: 'ALPHAPRESENT' },
+  BC2: { 0: 'COLOR', 15: 'ALPHA' },
+  BC3: { 0: 'COLOR', 15: 'ALPHA' },
+  BC4: { 0: 'DATA' },
+  BC5: { 0: 'RED', 1: 'GREEN' },
+  BC6H: { 0: 'COLOR' },
+  BC7: { 0: 'COLOR' },
+  ETC1: { 0: 'COLOR' },
+  ETC2: { 0: 'RED', 1: 'GREEN', 2: 'COLOR', 15: 'ALPHA' },
+  ASTC: { 0: 'DATA' },
+  ETC1S: { 0: 'RGB', 3: 'RRR', 4: 'GGG', 15: 'AAA' },
+  UASTC: { 0: 'RGB', 3: 'RGBA', 4: 'RRR', 5: 'RRRG', 6: 'RG' }
+};
+
+// Decode one sample's 32-bit lower/upper value according to its qualifiers
+function decodeDFDSampleValue(u32, qualifiers) {
+  if (qualifiers.float) {
+    const f = new DataView(new ArrayBuffer(4));
+    f.setUint32(0, u32, true);
+    return f.getFloat32(0, true);
+  }
+  return qualifiers.signed ? (u32 | 0) : u32;
+}
+
+// DFD data block parser
+// Walks every descriptor block. The fields of the first basic block (vendor 0, type 0)
+// are also returned at the top level, with its samples decoded and names attached.
 function parseDFD(dv, baseOffset, length) {
   const view = new DataView(dv.buffer, baseOffset, length);
-  let offset = 0;
-  const totalSize = view.getUint32(offset, true); offset += 4;
-  const vendorId = view.getUint16(offset, true); offset += 2;
-  const descriptorType = view.getUint16(offset, true); offset += 2;
-  const versionNumber = view.getUint16(offset, true); offset += 2;
-  const descriptorBlockSize = view.getUint16(offset, true); offset += 2;
-
-  const colorModel = view.getUint8(offset++); 
-  const colorPrimaries = view.getUint8(offset++);
-  const transferFunction = view.getUint8(offset++);
-  const flags = view.getUint8(offset++);
-
-  const texelBlockDimension = [
-    view.getUint8(offset++), view.getUint8(offset++),
-    view.getUint8(offset++), view.getUint8(offset++)
+  const totalSize = view.getUint32(0, true);
+  const end = Math.min(totalSize, length);
+
+  const blocks = [];
+  let offset = 4;
+  while (offset + 8 <= end) {
+    const word0 = view.getUint32(offset, true);
+    const word1 = view.getUint32(offset + 4, true);
+    const block = {
+      vendorId: word0 & 0x1FFFF,
+      descriptorType: word0 >>> 17,
+      versionNumber: word1 & 0xFFFF,
+      descriptorBlockSize: word1 >>> 16
+    };
+    if (block.descriptorBlockSize < 8 || offset + block.descriptorBlockSize > end) {
+      break;
+    }
+
+    if (block.vendorId === 0 && block.descriptorType === 0 && block.descriptorBlockSize >= 24) {
+      parseBasicDFDBlock(view, offset, block);
+    } else {
+      block.data = new Uint8Array(dv.buffer, baseOffset + offset + 8, block.descriptorBlockSize - 8).slice();
+    }
+    blocks.push(block);
+    offset += block.descriptorBlockSize;
+  }
+
+  const basic = blocks.find(b => b.samples) || {};
+  return { totalSize, ...basic, blocks };
+}
+
+// Basic descriptor block: model/primaries/transfer/flags, texel block size, bytes per plane
+// and one 16-byte entry per sample
+function parseBasicDFDBlock(view, start, block) {
+  let offset = start + 8;
+  block.colorModel = view.getUint8(offset++);
+  block.colorPrimaries = view.getUint8(offset++);
+  block.transferFunction = view.getUint8(offset++);
+  block.flags = view.getUint8(offset++);
+
+  // Stored as dimension - 1
+  block.texelBlockDimension = [
+    view.getUint8(offset++) + 1, view.getUint8(offset++) + 1,
+    view.getUint8(offset++) + 1, view.getUint8(offset++) + 1
   ];
 
-  const bytesPlane = [];
-  for (let i = 0; i < 8; i++) bytesPlane.push(view.getUint8(offset++));
+  block.bytesPlane = [];
+  for (let i = 0; i < 8; i++) {
+    block.bytesPlane.push(view.getUint8(offset++));
+  }
 
-  return { totalSize, vendorId, descriptorType, versionNumber,
-          colorModel, colorPrimaries, transferFunction, flags,
-          texelBlockDimension, bytesPlane, descriptorBlockSize };
+  block.colorModelName = DFD_COLOR_MODELS[block.colorModel] || `MODEL_${block.colorModel}`;
+  block.colorPrimariesName = DFD_PRIMARIES[block.colorPrimaries] || `PRIMARIES_${block.colorPrimaries}`;
+  block.transferFunctionName = DFD_TRANSFER_FUNCTIONS[block.transferFunction] || `TRANSFER_${block.transferFunction}`;
+  block.premultipliedAlpha = (block.flags & 1) !== 0;
+
+  const channelNames = DFD_CHANNELS[block.colorModelName] || {};
+  block.samples = [];
+  for (; offset + 16 <= start + block.descriptorBlockSize; offset += 16) {
+    const word0 = view.getUint32(offset, true);
+    const channelType = (word0 >>> 24) & 0xF;
+    const qualifiers = {
+      linear: (word0 & (1 << 28)) !== 0,
+      exponent: (word0 & (1 << 29)) !== 0,
+      signed: (word0 & (1 << 30)) !== 0,
+      float: (word0 & (1 << 31)) !== 0
+    };
+    block.samples.push({
+      bitOffset: word0 & 0xFFFF,
+      bitLength: ((word0 >>> 16) & 0xFF) + 1,
+      channelType,
+      channelName: channelNames[channelType] || `CH${channelType}`,
+      qualifiers,
+      samplePosition: [
+        view.getUint8(offset + 4), view.getUint8(offset + 5),
+        view.getUint8(offset + 6), view.getUint8(offset + 7)
+      ],
+      sampleLower: decodeDFDSampleValue(view.getUint32(offset + 8, true), qualifiers),
+      sampleUpper: decodeDFDSampleValue(view.getUint32(offset + 12, true), qualifiers)
+    });
+  }
 }
 
 // KVD data block parser
-function parseKVD(dv, baseOffset, length) {
+// KTX1 files may be big-endian, which only changes how the sizes are read
+function parseKVD(dv, baseOffset, length, littleEndian = true) {
   const kv = {};
   let offset = baseOffset;
   while (offset < baseOffset + length) {
-    const kvByteLength = dv.getUint32(offset, true); offset += 4;
+    const kvByteLength = dv.getUint32(offset, littleEndian); offset += 4;
     if (kvByteLength === 0) break; // Safety check
     const bytes = new Uint8Array(dv.buffer, offset, kvByteLength);
     const str = new TextDecoder().decode(bytes);
@@ -558,6 +1494,30 @@ function parseKVD(dv, baseOffset, length) {
   return kv;
 }
 
+// KTXorientation → which texture axes to flip for display. The viewer draws texel (0,0)
+// at the top left with rows going down and slices going in, i.e. the 'rdi' default;
+// 'l', 'u' and 'o' flip x, y and z respectively. Missing or malformed values mean no flip.
+function parseKTXOrientation(value) {
+  const s = (value || '').replace(/\0+$/, '');
+  const valid = /^[rl]([du]([oi])?)?$/.test(s);
+  return {
+    value: valid ? s : null,
+    flipX: valid && s[0] === 'l',
+    flipY: valid && s[1] === 'u',
+    flipZ: valid && s[2] === 'o'
+  };
+}
+
+// KTXswizzle → per-output-channel source selector: 0-3 = r, g, b, a; 4 = zero; 5 = one.
+// Returns null for a missing or malformed value (identity).
+function parseKTXSwizzle(value) {
+  const s = (value || '').replace(/\0+$/, '');
+  if (!/^[rgba01]{4}$/.test(s)) {
+    return null;
+  }
+  return Array.from(s, c => 'rgba01'.indexOf(c));
+}
+
 // Mip level accessor
 function getLevelData(arrayBuffer, level) {
   if (level.isDecompressed && level.decompressedData) {
@@ -573,6 +1533,8 @@ function vkFormatToWebGPU(vkFormat) {
     // BC1 (DXT1) - 4x4 blocks, 8 bytes per block
     131: { format: 'bc1-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
     132: { format: 'bc1-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    133: { format: 'bc1-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    134: { format: 'bc1-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
     
     // BC2 (DXT3) - 4x4 blocks, 16 bytes per block
     135: { format: 'bc2-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
@@ -600,10 +1562,15 @@ function vkFormatToWebGPU(vkFormat) {
 
     // --- MOBILE FORMATS ---
 
-    // ETC2 formats
-    152: { format: "etc2-rgb8unorm",  blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    153: { format: "etc2-rgb8a1unorm", blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    154: { format: "etc2-rgba8unorm", blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
+    // ETC2 / EAC formats
+    147: { format: 'etc2-rgb8unorm',        blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    148: { format: 'etc2-rgb8unorm-srgb',   blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    149: { format: 'etc2-rgb8a1unorm',      blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    150: { format: 'etc2-rgb8a1unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    151: { format: 'etc2-rgba8unorm',       blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
+    152: { format: 'etc2-rgba8unorm-srgb',  blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
+    153: { format: 'eac-r11unorm',          blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
+    154: { format: 'eac-r11snorm',          blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
 
     157: { format: 'astc-4x4-unorm',      blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
     158: { format: 'astc-4x4-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
@@ -613,8 +1580,8 @@ function vkFormatToWebGPU(vkFormat) {
     // RGB8 (UNORM & SRGB) — 3 bytes per pixel
     // these formats can't be used directly in WebGPU, need to be expanded to RGBA8
     23: { format: 'rgba8unorm', bytesPerPixel: 4, sourceChannels: 3 },
-    24: { format: 'rgba8unorm-srgb', bytesPerPixel: 4, sourceChannels: 3 },
-    29: { format: 'rgba8unorm', bytesPerPixel: 4, sourceChannels: 3 },
+    24: { format: 'rgba8snorm', bytesPerPixel: 4, sourceChannels: 3 },
+    29: { format: 'rgba8unorm-srgb', bytesPerPixel: 4, sourceChannels: 3 },
 
     // RGBA8
     37:  { format: 'rgba8unorm',       bytesPerPixel: 4 },
@@ -646,16 +1613,21 @@ function vkFormatToWebGPU(vkFormat) {
 function getFormatName(vkFormat) {
   const names = {
     131: 'BC1 (DXT1) UNORM', 132: 'BC1 (DXT1) SRGB',
+    133: 'BC1 (DXT1) RGBA UNORM', 134: 'BC1 (DXT1) RGBA SRGB',
     135: 'BC2 (DXT3) UNORM', 136: 'BC2 (DXT3) SRGB',
     137: 'BC3 (DXT5) UNORM', 138: 'BC3 (DXT5) SRGB',
     139: 'BC4 (RGTC1) UNORM', 140: 'BC4 (RGTC1) SNORM',
     141: 'BC5 (RGTC2) UNORM', 142: 'BC5 (RGTC2) SNORM',
     143: 'BC6H UFLOAT', 144: 'BC6H FLOAT',
     145: 'BC7 UNORM', 146: 'BC7 SRGB',
+    147: 'ETC2 RGB8 UNORM', 148: 'ETC2 RGB8 SRGB',
+    149: 'ETC2 RGB8A1 UNORM', 150: 'ETC2 RGB8A1 SRGB',
+    151: 'ETC2 RGBA8 UNORM', 152: 'ETC2 RGBA8 SRGB',
+    153: 'EAC R11 UNORM', 154: 'EAC R11 SNORM',
     157: 'ASTC 4x4 UNORM',
     158: 'ASTC 4x4 SRGB',
     23:  'RGB8 UNORM',
-    24:  'RGB8 SRGB',
+    24:  'RGB8 SNORM',
     29:  'RGB8 SRGB',
     37:  'RGBA8 UNORM',
     43:  'RGBA8 SRGB',
@@ -668,6 +1640,792 @@ function getFormatName(vkFormat) {
   return names[vkFormat] || `VK Format ${vkFormat}`;
 }
 
+// ---------------- Texel readback (pixel probe) ----------------
+
+function halfToFloat(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1F;
+  const mant = h & 0x3FF;
+  if (exp === 0) {
+    return sign * mant * Math.pow(2, -24);
+  }
+  if (exp === 31) {
+    return mant ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exp - 15) * (1 + mant / 1024);
+}
+
+// halfToFloat for every 16-bit pattern, for decoding whole images of halves
+let halfTable = null;
+function halfToFloatTable() {
+  if (!halfTable) {
+    halfTable = new Float32Array(65536);
+    for (let h = 0; h < 65536; h++) {
+      halfTable[h] = halfToFloat(h);
+    }
+  }
+  return halfTable;
+}
+
+// Unsigned 11/10-bit floats of rg11b10ufloat: 5-bit exponent (bias 15), 6- or 5-bit mantissa
+function unsignedSmallFloat(bits, mantBits) {
+  const exp = bits >> mantBits;
+  const mant = bits & ((1 << mantBits) - 1);
+  const scale = 1 << mantBits;
+  if (exp === 0) {
+    return Math.pow(2, -14) * mant / scale;
+  }
+  if (exp === 31) {
+    return mant ? NaN : Infinity;
+  }
+  return Math.pow(2, exp - 15) * (1 + mant / scale);
+}
+
+const unorm8x4 = (dv) => [0, 1, 2, 3].map(i => dv.getUint8(i) / 255);
+
+// Uncompressed formats the viewer uploads, with their texel size and a decoder to RGBA floats
+const TEXEL_DECODERS = {
+  'rgba8unorm':      { bytes: 4, decode: unorm8x4 },
+  'rgba8unorm-srgb': { bytes: 4, decode: unorm8x4 },
+  'bgra8unorm':      { bytes: 4, decode: (dv) => { const [b, g, r, a] = unorm8x4(dv); return [r, g, b, a]; } },
+  'rgba16float':     { bytes: 8, decode: (dv) => [0, 2, 4, 6].map(o => halfToFloat(dv.getUint16(o, true))) },
+  'rgba32float':     { bytes: 16, decode: (dv) => [0, 4, 8, 12].map(o => dv.getFloat32(o, true)) },
+  'rgb9e5ufloat': {
+    bytes: 4,
+    decode: (dv) => {
+      const v = dv.getUint32(0, true);
+      const scale = Math.pow(2, (v >>> 27) - 15 - 9);
+      return [v & 0x1FF, (v >>> 9) & 0x1FF, (v >>> 18) & 0x1FF].map(m => m * scale).concat(1);
+    }
+  },
+  'rg11b10ufloat': {
+    bytes: 4,
+    decode: (dv) => {
+      const v = dv.getUint32(0, true);
+      return [unsignedSmallFloat(v & 0x7FF, 6), unsignedSmallFloat((v >>> 11) & 0x7FF, 6), unsignedSmallFloat(v >>> 22, 5), 1];
+    }
+  }
+};
+
+// Texel block of a WebGPU format: { blockWidth, blockHeight, bytesPerBlock }, or null if unknown
+function getTexelBlockInfo(format) {
+  const astc = /^astc-(\d+)x(\d+)-/.exec(format);
+  if (astc) {
+    return { blockWidth: +astc[1], blockHeight: +astc[2], bytesPerBlock: 16 };
+  }
+  if (/^(bc[1-7]|etc2|eac)-/.test(format)) {
+    const half = /^(bc1|bc4|etc2-rgb8unorm|etc2-rgb8a1unorm|eac-r11)/.test(format);
+    return { blockWidth: 4, blockHeight: 4, bytesPerBlock: half ? 8 : 16 };
+  }
+  const decoder = TEXEL_DECODERS[format];
+  return decoder ? { blockWidth: 1, blockHeight: 1, bytesPerBlock: decoder.bytes } : null;
+}
+
+// Formats that come in unorm and -srgb variants; a texture can view its data as either
+const SRGB_CAPABLE_FORMAT = /^(rgba8unorm|bgra8unorm|bc[1237]-rgba-unorm|etc2-rgb8unorm|etc2-rgb8a1unorm|etc2-rgba8unorm|astc-\d+x\d+-unorm)$/;
+
+// The other half of an unorm / -srgb pair, or null for formats without one
+function getSRGBCounterpart(format) {
+  if (format.endsWith('-srgb')) {
+    return format.slice(0, -5);
+  }
+  return SRGB_CAPABLE_FORMAT.test(format) ? format + '-srgb' : null;
+}
+
+// Transfer function a PNG declares, from the chunks before IDAT, in the PNG
+// specification's order of precedence: cICP, iCCP, sRGB, then gAMA. Untagged files are sRGB.
+// Returns { srgb, source }.
+function getPNGTransfer(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const found = {};
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    found[type] = offset + 8;
+    offset += 12 + length;
+  }
+
+  if (found.cICP !== undefined) {
+    const transfer = bytes[found.cICP + 1];
+    if (transfer === 8) {
+      return { srgb: false, source: 'PNG cICP: linear' };
+    }
+    if (transfer === 13) {
+      return { srgb: true, source: 'PNG cICP: sRGB' };
+    }
+  }
+  if (found.iCCP !== undefined) {
+    return { srgb: true, source: 'PNG iCCP profile' };
+  }
+  if (found.sRGB !== undefined) {
+    return { srgb: true, source: 'PNG sRGB chunk' };
+  }
+  if (found.gAMA !== undefined && found.gAMA + 4 <= bytes.length) {
+    const gamma = view.getUint32(found.gAMA) / 100000;
+    return gamma === 1
+      ? { srgb: false, source: 'PNG gAMA 1.0' }
+      : { srgb: true, source: `PNG gAMA ${gamma}` };
+  }
+  return { srgb: true, source: 'untagged PNG' };
+}
+
+// Decode the stored bytes of one texel to RGBA floats; null for block-compressed formats
+function decodeTexel(format, bytes) {
+  const decoder = TEXEL_DECODERS[format];
+  if (!decoder || bytes.byteLength < decoder.bytes) {
+    return null;
+  }
+  return decoder.decode(new DataView(bytes.buffer, bytes.byteOffset, decoder.bytes));
+}
+
+// ---------------- HDR source images ----------------
+// Radiance .hdr, OpenEXR and 16-bit PNG files decode to { width, height, data, description },
+// data being linear RGBA floats with row 0 at the top, for upload as rgba16float.
+
+const HDR_ASCII = new TextDecoder('latin1');
+
+// Radiance RGBE (.hdr / .pic): text header, blank line, resolution string, then scanlines that
+// are flat, old-style run-length or (usually) new-style RLE with each component run separately
+function decodeRGBE(bytes) {
+  let offset = 0;
+  const readLine = () => {
+    const end = bytes.indexOf(0x0A, offset);
+    if (end < 0) {
+      throw new Error('Radiance header is truncated');
+    }
+    const line = HDR_ASCII.decode(bytes.subarray(offset, end));
+    offset = end + 1;
+    return line;
+  };
+
+  if (!readLine().startsWith('#?')) {
+    throw new Error('Not a Radiance file (missing #? signature)');
+  }
+  let format = '32-bit_rle_rgbe';
+  for (let line = readLine(); line !== ''; line = readLine()) {
+    if (line.startsWith('FORMAT=')) {
+      format = line.slice(7).trim();
+    }
+  }
+  if (format !== '32-bit_rle_rgbe' && format !== '32-bit_rle_xyze') {
+    throw new Error(`Unsupported Radiance pixel format ${format}`);
+  }
+  const resolution = /^([-+])Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+  if (!resolution) {
+    throw new Error('Only -Y/+Y H +X W Radiance orientations are supported');
+  }
+  const bottomUp = resolution[1] === '+';
+  const height = +resolution[2];
+  const width = +resolution[3];
+
+  const rgbe = new Uint8Array(width * 4);
+  const data = new Float32Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const newRLE = width >= 8 && width < 0x8000 && bytes[offset] === 2 && bytes[offset + 1] === 2 &&
+      ((bytes[offset + 2] << 8) | bytes[offset + 3]) === width;
+    if (newRLE) {
+      offset += 4;
+      for (let c = 0; c < 4; c++) {
+        for (let x = 0; x < width;) {
+          let count = bytes[offset++];
+          const run = count > 128;
+          if (run) {
+            count -= 128;
+          }
+          if (count === 0 || x + count > width || offset >= bytes.length) {
+            throw new Error(`Bad RLE data in scanline ${y}`);
+          }
+          for (let i = 0; i < count; i++) {
+            rgbe[(x++) * 4 + c] = run ? bytes[offset] : bytes[offset++];
+          }
+          if (run) {
+            offset++;
+          }
+        }
+      }
+    } else {
+      // Flat pixels; (1, 1, 1, n) repeats the previous pixel n << shift times
+      let shift = 0;
+      for (let x = 0; x < width;) {
+        if (offset + 4 > bytes.length) {
+          throw new Error(`Radiance data ends in scanline ${y}`);
+        }
+        const [r, g, b, e] = bytes.subarray(offset, offset + 4);
+        offset += 4;
+        if (r === 1 && g === 1 && b === 1 && x > 0) {
+          for (let i = e << shift; i > 0 && x < width; i--, x++) {
+            rgbe.copyWithin(x * 4, x * 4 - 4, x * 4);
+          }
+          shift += 8;
+        } else {
+          rgbe.set([r, g, b, e], (x++) * 4);
+          shift = 0;
+        }
+      }
+    }
+
+    const row = (bottomUp ? height - 1 - y : y) * width * 4;
+    for (let x = 0; x < width; x++) {
+      const e = rgbe[x * 4 + 3];
+      // As Radiance's colr_color: mantissas are taken at the center of their step
+      const f = e ? Math.pow(2, e - 136) : 0;
+      for (let c = 0; c < 3; c++) {
+        data[row + x * 4 + c] = e ? (rgbe[x * 4 + c] + 0.5) * f : 0;
+      }
+      data[row + x * 4 + 3] = 1;
+    }
+  }
+
+  if (format === '32-bit_rle_xyze') {
+    // CIE XYZ to linear Rec.709 / sRGB primaries
+    for (let i = 0; i < data.length; i += 4) {
+      const [X, Y, Z] = data.subarray(i, i + 3);
+      data[i]     =  3.2406 * X - 1.5372 * Y - 0.4986 * Z;
+      data[i + 1] = -0.9689 * X + 1.8758 * Y + 0.0415 * Z;
+      data[i + 2] =  0.0557 * X - 0.2040 * Y + 1.0570 * Z;
+    }
+  }
+  return { width, height, data, description: `Radiance RGBE${format === '32-bit_rle_xyze' ? ' (XYZE)' : ''}` };
+}
+
+// ---- OpenEXR ----
+
+const EXR_MAGIC = 20000630;
+const EXR_UINT = 0, EXR_HALF = 1, EXR_FLOAT = 2;
+const EXR_COMPRESSION_NAMES = ['none', 'RLE', 'ZIPS', 'ZIP', 'PIZ', 'PXR24', 'B44', 'B44A', 'DWAA', 'DWAB'];
+// Scanlines per chunk of a scanline image, by compression
+const EXR_LINES_PER_CHUNK = { 0: 1, 2: 1, 3: 16, 4: 32 };
+
+function readEXRHeader(bytes, view) {
+  if (view.getUint32(0, true) !== EXR_MAGIC) {
+    throw new Error('Not an OpenEXR file');
+  }
+  const flags = view.getUint32(4, true);
+  if (flags & 0x1800) {
+    throw new Error('Deep and multi-part OpenEXR files are not supported');
+  }
+
+  const header = { tiled: !!(flags & 0x200), channels: [], compression: 0, tiles: null };
+  let offset = 8;
+  const readString = () => {
+    const end = bytes.indexOf(0, offset);
+    const s = HDR_ASCII.decode(bytes.subarray(offset, end));
+    offset = end + 1;
+    return s;
+  };
+  for (let name = readString(); name !== ''; name = readString()) {
+    const type = readString();
+    const size = view.getUint32(offset, true);
+    const start = offset + 4;
+    offset = start;
+    if (type === 'chlist') {
+      for (let channel = readString(); channel !== ''; channel = readString()) {
+        header.channels.push({
+          name: channel,
+          type: view.getInt32(offset, true),
+          xSampling: view.getInt32(offset + 8, true),
+          ySampling: view.getInt32(offset + 12, true)
+        });
+        offset += 16;
+      }
+    } else if (name === 'compression') {
+      header.compression = bytes[start];
+    } else if (name === 'dataWindow') {
+      header.dataWindow = [0, 4, 8, 12].map(o => view.getInt32(start + o, true));
+    } else if (name === 'tiles') {
+      header.tiles = { width: view.getUint32(start, true), height: view.getUint32(start + 4, true), mode: bytes[start + 8] & 0x0F };
+    }
+    offset = start + size;
+  }
+  header.offsetTable = offset;
+
+  if (!header.dataWindow) {
+    throw new Error('OpenEXR header has no dataWindow');
+  }
+  if (header.channels.some(c => c.type < EXR_UINT || c.type > EXR_FLOAT)) {
+    throw new Error('Unknown OpenEXR channel pixel type');
+  }
+  if (header.channels.some(c => c.xSampling !== 1 || c.ySampling !== 1)) {
+    throw new Error('Subsampled OpenEXR channels are not supported');
+  }
+  if (header.tiled && !header.tiles) {
+    throw new Error('Tiled OpenEXR file has no tiles attribute');
+  }
+  if (!(header.compression in EXR_LINES_PER_CHUNK)) {
+    throw new Error(`OpenEXR ${EXR_COMPRESSION_NAMES[header.compression] || header.compression} compression is not supported (none, ZIP and PIZ are)`);
+  }
+  return header;
+}
+
+// ZIP / ZIPS: zlib, then undo the byte delta predictor and the split into even and odd bytes
+async function uncompressEXRZip(data, expectedBytes) {
+  const t = await inflateZlib(data);
+  if (t.length !== expectedBytes) {
+    throw new Error(`ZIP chunk inflated to ${t.length} bytes, expected ${expectedBytes}`);
+  }
+  for (let i = 1; i < t.length; i++) {
+    t[i] = t[i - 1] + t[i] - 128;
+  }
+  const out = new Uint8Array(t.length);
+  const half = (t.length + 1) >> 1;
+  for (let i = 0; i < t.length; i++) {
+    out[i] = (i & 1) ? t[half + (i >> 1)] : t[i >> 1];
+  }
+  return out;
+}
+
+// PIZ Huffman stage: a run-length coded table of code lengths, canonical codes, and one
+// symbol (iM) reserved for "repeat the previous value n times"
+const HUF_ENCSIZE = 65537;
+const HUF_DECBITS = 14;
+
+function hufUncompress(bytes, offset, length, out) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, length);
+  const im = view.getUint32(0, true);
+  const iM = view.getUint32(4, true);
+  const nBits = view.getUint32(12, true);
+  if (im >= HUF_ENCSIZE || iM >= HUF_ENCSIZE) {
+    throw new Error('Corrupt PIZ Huffman table');
+  }
+  const start = offset + 20;
+  const end = offset + length;
+
+  // MSB-first bit reader over bytes[start..end), n <= 16
+  let bitPos = 0;
+  const byteAt = (i) => (start + i < end ? bytes[start + i] : 0);
+  const peek = (n) => {
+    const i = bitPos >> 3;
+    const word = ((byteAt(i) << 16) | (byteAt(i + 1) << 8) | byteAt(i + 2)) >>> 0;
+    return ((word << (bitPos & 7)) & 0xFFFFFF) >>> (24 - n);
+  };
+  const read = (n) => { const v = peek(n); bitPos += n; return v; };
+
+  // Code lengths: 6 bits each; 59..62 are short zero runs, 63 a long one with an 8-bit count
+  const lengths = new Uint8Array(HUF_ENCSIZE);
+  for (let i = im; i <= iM; i++) {
+    const l = read(6);
+    if (l >= 59) {
+      const run = l === 63 ? read(8) + 6 : l - 59 + 2;
+      if (i + run > iM + 1) {
+        throw new Error('Corrupt PIZ Huffman table');
+      }
+      i += run - 1;
+    } else {
+      lengths[i] = l;
+    }
+  }
+  const tableBits = Math.ceil(bitPos / 8) * 8;
+  if (nBits > 8 * (length - 20) - tableBits) {
+    throw new Error('Corrupt PIZ Huffman data');
+  }
+
+  // Canonical codes, longest first: codes of length l start at first[l] in symbol order
+  const counts = new Uint32Array(59);
+  for (let i = im; i <= iM; i++) {
+    counts[lengths[i]]++;
+  }
+  const first = new Float64Array(59);
+  let c = 0;
+  for (let l = 58; l > 0; l--) {
+    first[l] = c;
+    c = Math.floor((c + counts[l]) / 2);
+  }
+  const symbolsByLength = Array.from({ length: 59 }, () => []);
+  const fast = new Int32Array(1 << HUF_DECBITS).fill(-1); // (symbol << 6) | length
+  const next = Float64Array.from(first);
+  for (let s = im; s <= iM; s++) {
+    const l = lengths[s];
+    if (!l) {
+      continue;
+    }
+    const code = next[l]++;
+    symbolsByLength[l].push(s);
+    if (l <= HUF_DECBITS) {
+      const lo = code * (1 << (HUF_DECBITS - l));
+      fast.fill((s << 6) | l, lo, lo + (1 << (HUF_DECBITS - l)));
+    }
+  }
+
+  bitPos = tableBits;
+  const endBit = tableBits + nBits;
+  let n = 0;
+  while (bitPos < endBit) {
+    let symbol;
+    const entry = fast[peek(HUF_DECBITS)];
+    if (entry >= 0) {
+      symbol = entry >> 6;
+      bitPos += entry & 63;
+    } else {
+      // Codes longer than the fast table: extend one bit at a time
+      let code = 0;
+      symbol = -1;
+      for (let l = 1; l <= 58 && symbol < 0; l++) {
+        code = code * 2 + read(1);
+        const k = code - first[l];
+        if (k >= 0 && k < counts[l]) {
+          symbol = symbolsByLength[l][k];
+        }
+      }
+      if (symbol < 0) {
+        throw new Error('Invalid PIZ Huffman code');
+      }
+    }
+    if (bitPos > endBit) {
+      break;
+    }
+    if (symbol === iM) {
+      const run = read(8);
+      if (n === 0 || n + run > out.length) {
+        throw new Error('Invalid PIZ run length');
+      }
+      out.fill(out[n - 1], n, n + run);
+      n += run;
+    } else {
+      if (n >= out.length) {
+        throw new Error('PIZ data overruns its chunk');
+      }
+      out[n++] = symbol;
+    }
+  }
+  if (n !== out.length) {
+    throw new Error(`PIZ chunk decoded to ${n} values, expected ${out.length}`);
+  }
+}
+
+// Inverse of the PIZ Haar wavelet, in place over an nx × ny grid of shorts with strides ox, oy.
+// Values below 2^14 use the exact 14-bit lifting, larger ones the modular 16-bit variant.
+function wav2Decode(buffer, start, nx, ox, ny, oy, maxValue) {
+  const w14 = maxValue < (1 << 14);
+  const pair = [0, 0];
+  const dec = w14
+    ? (l, h) => {
+        const hs = (h << 16) >> 16;
+        const a = ((l << 16) >> 16) + (hs & 1) + (hs >> 1);
+        pair[0] = a; pair[1] = a - hs;
+        return pair;
+      }
+    : (l, h) => {
+        const b = (l - (h >> 1)) & 0xFFFF;
+        pair[0] = (h + b - 0x8000) & 0xFFFF; pair[1] = b;
+        return pair;
+      };
+
+  const n = Math.min(nx, ny);
+  let p = 1;
+  while (p <= n) {
+    p <<= 1;
+  }
+  p >>= 1;
+  let p2 = p;
+  p >>= 1;
+  while (p >= 1) {
+    let py = start;
+    const ey = start + oy * (ny - p2);
+    const oy1 = oy * p, oy2 = oy * p2, ox1 = ox * p, ox2 = ox * p2;
+    for (; py <= ey; py += oy2) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1, p10 = px + oy1, p11 = p10 + ox1;
+        const [i00, i10] = dec(buffer[px], buffer[p10]);
+        const [i01, i11] = dec(buffer[p01], buffer[p11]);
+        [buffer[px], buffer[p01]] = dec(i00, i01);
+        [buffer[p10], buffer[p11]] = dec(i10, i11);
+      }
+      if (nx & p) {
+        const p10 = px + oy1;
+        [buffer[px], buffer[p10]] = dec(buffer[px], buffer[p10]);
+      }
+    }
+    if (ny & p) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        [buffer[px], buffer[p01]] = dec(buffer[px], buffer[p01]);
+      }
+    }
+    p2 = p;
+    p >>= 1;
+  }
+}
+
+// PIZ: bitmap of used values → LUT, Huffman, per-channel wavelet, LUT, then regroup the
+// channel planes into the usual line-by-line, channel-by-channel order
+function uncompressEXRPiz(data, channels, width, lines) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const bitmap = new Uint8Array(8192);
+  const minNonZero = view.getUint16(0, true);
+  const maxNonZero = view.getUint16(2, true);
+  if (maxNonZero >= 8192) {
+    throw new Error('Corrupt PIZ bitmap');
+  }
+  let offset = 4;
+  if (minNonZero <= maxNonZero) {
+    bitmap.set(data.subarray(offset, offset + maxNonZero - minNonZero + 1), minNonZero);
+    offset += maxNonZero - minNonZero + 1;
+  }
+  const lut = new Uint16Array(65536);
+  let k = 0;
+  for (let i = 0; i < 65536; i++) {
+    if (i === 0 || (bitmap[i >> 3] & (1 << (i & 7)))) {
+      lut[k++] = i;
+    }
+  }
+  const maxValue = k - 1;
+
+  const shortsPerValue = channels.map(c => (c.type === EXR_HALF ? 1 : 2));
+  const total = shortsPerValue.reduce((sum, s) => sum + s, 0) * width * lines;
+  const planes = new Uint16Array(total);
+  const length = view.getUint32(offset, true);
+  hufUncompress(data, offset + 4, length, planes);
+
+  let planeStart = 0;
+  const starts = shortsPerValue.map(size => {
+    const s = planeStart;
+    for (let j = 0; j < size; j++) {
+      wav2Decode(planes, s + j, width, size, lines, width * size, maxValue);
+    }
+    planeStart += width * lines * size;
+    return s;
+  });
+  for (let i = 0; i < total; i++) {
+    planes[i] = lut[planes[i]];
+  }
+
+  const out = new Uint16Array(total);
+  let o = 0;
+  for (let y = 0; y < lines; y++) {
+    for (let ci = 0; ci < channels.length; ci++) {
+      const n = width * shortsPerValue[ci];
+      out.set(planes.subarray(starts[ci] + y * n, starts[ci] + (y + 1) * n), o);
+      o += n;
+    }
+  }
+  return new Uint8Array(out.buffer);
+}
+
+// Which stored channel feeds R, G, B and A: the unprefixed name if present, else the first
+// layer's ('diffuse.R'); a luminance-only image (Y) is shown as gray
+function mapEXRChannels(channels) {
+  const find = (suffix) => {
+    const exact = channels.findIndex(c => c.name === suffix);
+    return exact >= 0 ? exact : channels.findIndex(c => c.name.endsWith('.' + suffix));
+  };
+  let [r, g, b, a] = ['R', 'G', 'B', 'A'].map(find);
+  if (r < 0 && g < 0 && b < 0) {
+    r = g = b = find('Y');
+  }
+  if (r < 0 && g < 0 && b < 0) {
+    throw new Error(`No R, G, B or Y channel among ${channels.map(c => c.name).join(', ')}`);
+  }
+  return [r, g, b, a];
+}
+
+async function decodeEXR(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = readEXRHeader(bytes, view);
+  const [xMin, yMin, xMax, yMax] = header.dataWindow;
+  const width = xMax - xMin + 1;
+  const height = yMax - yMin + 1;
+  const channels = header.channels;
+  const valueBytes = channels.map(c => (c.type === EXR_HALF ? 2 : 4));
+  const pixelBytes = valueBytes.reduce((sum, b) => sum + b, 0);
+  const rgbaSource = mapEXRChannels(channels);
+  // RGBA components each stored channel feeds
+  const channelTargets = channels.map((c, ci) => [0, 1, 2, 3].filter(t => rgbaSource[t] === ci));
+  const halves = halfToFloatTable();
+
+  const data = new Float32Array(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = 1;
+  }
+
+  // Store a block of `lines` rows of `blockWidth` pixels whose top left is at (x0, y0)
+  const storeBlock = (block, x0, y0, blockWidth, lines) => {
+    const bv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    let o = 0;
+    for (let y = 0; y < lines; y++) {
+      const row = ((y0 + y) * width + x0) * 4;
+      for (let ci = 0; ci < channels.length; ci++) {
+        const type = channels[ci].type;
+        const targets = channelTargets[ci];
+        for (let x = 0; x < blockWidth; x++, o += valueBytes[ci]) {
+          if (!targets.length) {
+            continue;
+          }
+          const v = type === EXR_HALF ? halves[bv.getUint16(o, true)]
+            : type === EXR_UINT ? bv.getUint32(o, true)
+            : bv.getFloat32(o, true);
+          for (const t of targets) {
+            data[row + x * 4 + t] = v;
+          }
+        }
+      }
+    }
+  };
+
+  const uncompress = async (chunk, blockWidth, lines) => {
+    const expected = blockWidth * lines * pixelBytes;
+    switch (header.compression) {
+      case 0: return chunk;
+      case 2: case 3: return chunk.length < expected ? uncompressEXRZip(chunk, expected) : chunk;
+      case 4: return chunk.length < expected ? uncompressEXRPiz(chunk, channels, blockWidth, lines) : chunk;
+    }
+  };
+
+  let description;
+  if (header.tiled) {
+    // Level 0 tiles come first in the offset table, row by row; lower levels are not read
+    const { width: tw, height: th, mode } = header.tiles;
+    const tilesX = Math.ceil(width / tw);
+    const tilesY = Math.ceil(height / th);
+    for (let t = 0; t < tilesX * tilesY; t++) {
+      const chunkOffset = Number(view.getBigUint64(header.offsetTable + t * 8, true));
+      const [dx, dy, lx, ly] = [0, 4, 8, 12].map(o => view.getInt32(chunkOffset + o, true));
+      if (lx !== 0 || ly !== 0) {
+        throw new Error(`Tile ${t} is not on level 0`);
+      }
+      const size = view.getUint32(chunkOffset + 16, true);
+      const blockWidth = Math.min(tw, width - dx * tw);
+      const lines = Math.min(th, height - dy * th);
+      const chunk = bytes.subarray(chunkOffset + 20, chunkOffset + 20 + size);
+      storeBlock(await uncompress(chunk, blockWidth, lines), dx * tw, dy * th, blockWidth, lines);
+    }
+    description = `tiled ${tw}×${th}${mode ? (mode === 1 ? ', mipmapped' : ', ripmapped') : ''}`;
+  } else {
+    const linesPerChunk = EXR_LINES_PER_CHUNK[header.compression];
+    const chunks = Math.ceil(height / linesPerChunk);
+    for (let i = 0; i < chunks; i++) {
+      const chunkOffset = Number(view.getBigUint64(header.offsetTable + i * 8, true));
+      const y0 = view.getInt32(chunkOffset, true) - yMin;
+      const size = view.getUint32(chunkOffset + 4, true);
+      const lines = Math.min(linesPerChunk, height - y0);
+      const chunk = bytes.subarray(chunkOffset + 8, chunkOffset + 8 + size);
+      storeBlock(await uncompress(chunk, width, lines), 0, y0, width, lines);
+    }
+    description = 'scanline';
+  }
+
+  const types = [...new Set(channels.map(c => ['uint', 'half', 'float'][c.type]))].join('/');
+  return {
+    width,
+    height,
+    data,
+    description: `OpenEXR ${description}, ${EXR_COMPRESSION_NAMES[header.compression]}, ${types} ${channels.map(c => c.name).join('')}`
+  };
+}
+
+// ---- 16-bit PNG ----
+
+// Bit depth and interlace method from IHDR, or null for a non-PNG
+function getPNGInfo(bytes) {
+  if (bytes.length < 29 || bytes[0] !== 0x89 || bytes[1] !== 0x50 || bytes[2] !== 0x4E || bytes[3] !== 0x47) {
+    return null;
+  }
+  return { bitDepth: bytes[24], colorType: bytes[25], interlaced: bytes[28] !== 0 };
+}
+
+const srgbToLinear = (v) => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+
+// Non-interlaced 16-bit gray, gray+alpha, RGB and RGBA. Samples declared sRGB by
+// getPNGTransfer are linearized so the float texture holds linear values like the others.
+async function decode16BitPNG(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const info = getPNGInfo(bytes);
+  if (!info || info.bitDepth !== 16 || info.interlaced) {
+    throw new Error('Not a non-interlaced 16-bit PNG');
+  }
+  const width = view.getUint32(16);
+  const height = view.getUint32(20);
+  const channelCount = { 0: 1, 2: 3, 4: 2, 6: 4 }[info.colorType];
+  if (!channelCount) {
+    throw new Error(`Unsupported PNG color type ${info.colorType}`);
+  }
+
+  const idat = [];
+  let transparent = null;
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = HDR_ASCII.decode(bytes.subarray(offset + 4, offset + 8));
+    if (type === 'IDAT') {
+      idat.push(bytes.subarray(offset + 8, offset + 8 + length));
+    }
+    if (type === 'tRNS') {
+      transparent = [0, 2, 4].slice(0, channelCount).map(o => view.getUint16(offset + 8 + o));
+    }
+    if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const raw = await inflateZlib(new Uint8Array(await new Blob(idat).arrayBuffer()));
+
+  // Undo the per-row filters (None, Sub, Up, Average, Paeth) in place
+  const bpp = channelCount * 2;
+  const stride = width * bpp;
+  if (raw.length < height * (stride + 1)) {
+    throw new Error('PNG image data is truncated');
+  }
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? pixels[row + i - bpp] : 0;
+      const b = y > 0 ? pixels[row - stride + i] : 0;
+      const c = i >= bpp && y > 0 ? pixels[row - stride + i - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = a;
+      } else if (filter === 2) {
+        predictor = b;
+      } else if (filter === 3) {
+        predictor = (a + b) >> 1;
+      } else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      } else if (filter !== 0) {
+        throw new Error(`Bad PNG filter type ${filter} in row ${y}`);
+      }
+      pixels[row + i] = src[i] + predictor;
+    }
+  }
+
+  const transfer = getPNGTransfer(bytes);
+  const toLinear = transfer.srgb ? srgbToLinear : (v) => v;
+  const pv = new DataView(pixels.buffer);
+  const hasAlpha = channelCount === 2 || channelCount === 4;
+  const colorChannels = hasAlpha ? channelCount - 1 : channelCount;
+  const samples = new Uint16Array(channelCount);
+  const data = new Float32Array(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    for (let c = 0; c < channelCount; c++) {
+      samples[c] = pv.getUint16((p * channelCount + c) * 2);
+    }
+    for (let c = 0; c < 3; c++) {
+      data[p * 4 + c] = toLinear(samples[colorChannels === 1 ? 0 : c] / 65535);
+    }
+    let alpha = hasAlpha ? samples[channelCount - 1] / 65535 : 1;
+    if (transparent && transparent.every((v, i) => v === samples[i])) {
+      alpha = 0;
+    }
+    data[p * 4 + 3] = alpha;
+  }
+  return {
+    width,
+    height,
+    data,
+    description: `16-bit PNG ${['gray', '', 'RGB', '', 'gray+alpha', '', 'RGBA'][info.colorType]} (${transfer.source})`
+  };
+}
+
 function getSupercompressionName(scheme) {
   const names = {
     0: 'None',
@@ -680,12 +2438,31 @@ function getSupercompressionName(scheme) {
 
 // Expose functions
 window.parseKTX2 = parseKTX2;
+window.decodeKTX2 = decodeKTX2;
 window.vkFormatToWebGPU = vkFormatToWebGPU;
+window.parseDDS = parseDDS;
+window.decodeDDS = decodeDDS;
+window.parseKTX1 = parseKTX1;
+window.decodeKTX1 = decodeKTX1;
+window.dxgiFormatToWebGPU = dxgiFormatToWebGPU;
 window.getFormatName = getFormatName;
 window.getSupercompressionName = getSupercompressionName;
 window.parseDFD = parseDFD;
 window.parseKVD = parseKVD;
+window.parseKTXOrientation = parseKTXOrientation;
+window.parseKTXSwizzle = parseKTXSwizzle;
 window.getLevelData = getLevelData;
+window.getTexelBlockInfo = getTexelBlockInfo;
+window.decodeTexel = decodeTexel;
+window.halfToFloatTable = halfToFloatTable;
+window.getSRGBCounterpart = getSRGBCounterpart;
+window.getPNGTransfer = getPNGTransfer;
+window.getPNGInfo = getPNGInfo;
+window.decodeRGBE = decodeRGBE;
+window.decodeEXR = decodeEXR;
+window.decode16BitPNG = decode16BitPNG;
+window.BASIS_TARGETS = BASIS_TARGETS;
+window.KTX2Error = KTX2Error;
 
 // Export constants
 window.SUPERCOMPRESSION_NONE = SUPERCOMPRESSION_NONE;
@@ -3,20 +3,67 @@
 // TEXTURED SHADER (for displaying images/textures with tone mapping)
 
 struct Params {
+  // Channel mix: output channel i = dot(swizzled texel, channelMatrix[i]) + channelOffset[i]
+  channelMatrix: mat4x4f,
+  channelOffset: vec4f,
   exposureEV: f32,
   exposureMul: f32,
   width: f32,
   height: f32,
-  channelR: f32,
-  channelG: f32,
-  channelB: f32,
-  channelA: f32,
-  tonemapType: f32
+  tonemapType: f32,
+  layer: f32,     // array layer shown in the flat view (layer * faces + face)
+  cubeBase: f32,  // first array layer of the cubemap shown in the cross view
+  yaw: f32,       // skybox camera, radians
+  pitch: f32,
+  fovY: f32,
+  sliceAxis: f32, // volume slice plane: 0 = XY, 1 = XZ, 2 = YZ
+  slice: f32,     // normalized slice position along the remaining axis
+  flipX: f32,     // KTXorientation: 1 = mirror the axis before sampling
+  flipY: f32,
+  flipZ: f32,
+  swizzleR: f32,  // KTXswizzle source per output channel: 0-3 = r,g,b,a, 4 = zero, 5 = one
+  swizzleG: f32,
+  swizzleB: f32,
+  swizzleA: f32,
+  viewX: f32,     // image rectangle on the canvas in canvas pixels (pan / zoom)
+  viewY: f32,
+  viewW: f32,
+  viewH: f32,
+  compareMode: f32, // A/B: 0 = A, 1 = split, 2 = side by side, 3 = B, 4 = difference
+  split: f32,       // split line position, canvas uv
+  diffGain: f32,    // difference heatmap gain
+  flipBX: f32,      // texture B's own KTXorientation and KTXswizzle
+  flipBY: f32,
+  swizzleBR: f32,
+  swizzleBG: f32,
+  swizzleBB: f32,
+  swizzleBA: f32,
+  displayTransform: f32, // 0 = sRGB, 1 = linear
+  alphaMode: f32,     // 0 = ignore alpha, 1 = over a checkerboard, 2 = over a solid color, 3 = coverage mask
+  premultiplied: f32, // 1 = color is premultiplied by alpha
+  backdropR: f32,     // solid backdrop color, display-linear
+  backdropG: f32,
+  backdropB: f32,
+  alphaCutoff: f32,   // coverage mask threshold
+  reconstructZ: f32,  // 1 = mixed RG hold a unit normal's XY in [0, 1]; B is rebuilt as its Z
+  normalMode: f32,    // 0 = off, 1 = lit by the light below, 2 = normal as color
+  normalSigned: f32,  // 1 = snorm texture, components already in [-1, 1]
+  normalFromRG: f32,  // 1 = Z is rebuilt from X and Y instead of read from B
+  lightX: f32,        // unit direction towards the light, tangent space
+  lightY: f32,
+  lightZ: f32,
+  normalTolerance: f32, // texels whose length is off by more than this are flagged; 0 = no flags
+  mipHeat: f32,       // 1 = tint by the mip level the sampler picks
+  mipBase: f32,       // texture level of the bound view's level 0
+  sheetLevels: f32,   // contact sheet: number of levels laid out
+  sheetGap: f32       // contact sheet: gap between levels, in base-level texels
 }
 
 @group(0) @binding(0) var<uniform> U : Params;
 @group(0) @binding(1) var samp : sampler;
-@group(0) @binding(2) var tex0 : texture_2d<f32>;
+@group(0) @binding(2) var tex0 : texture_2d_array<f32>;
+@group(0) @binding(3) var texCube : texture_cube<f32>;
+@group(0) @binding(4) var tex3d : texture_3d<f32>;
 
 struct VSOut { 
   @builtin(position) pos: vec4f, 
@@ -38,8 +85,25 @@ struct VSOut {
 }
 
 
-// tonemapping fns
+// Display pipeline: exposure → tone map → display transform.
+// Everything before the display transform is scene-linear Rec.709.
 
+// Tone mapping operators (tonemapType). Each maps scene-linear to display-linear [0, 1].
+
+fn reinhard_tonemap(x: vec3f) -> vec3f {
+  return x / (vec3f(1.0) + x);
+}
+
+// Uncharted 2 filmic curve (John Hable), with its usual exposure bias of 2 and white point 11.2
+fn hable_partial(x: vec3f) -> vec3f {
+  let A = 0.15; let B = 0.50; let C = 0.10; let D = 0.20; let E = 0.02; let F = 0.30;
+  return (x * (A * x + C * B) + D * E) / (x * (A * x + B) + D * F) - E / F;
+}
+fn hable_tonemap(x: vec3f) -> vec3f {
+  return hable_partial(2.0 * x) / hable_partial(vec3f(11.2));
+}
+
+// ACES RRT + ODT fit for sRGB (Stephen Hill)
 const ACESInputMat = mat3x3f(
   vec3f(0.59719, 0.07600, 0.02840),
   vec3f(0.35458, 0.90834, 0.13383),
@@ -48,63 +112,798 @@ const ACESInputMat = mat3x3f(
 const ACESOutputMat = mat3x3f(
   vec3f(1.60475, -0.10208, -0.00327),
   vec3f(-0.53108, 1.10813, -0.07276),
-  vec3f(-0.00327, -0.00605, 1.07602)
+  vec3f(-0.07367, -0.00605, 1.07602)
 );
 
-fn reinhard_tonemap(x: vec3f) -> vec3f {
-  let denom = max(vec3f(1e-6), vec3f(1.0) + x);
-  return x / denom;
+fn aces_tonemap(x: vec3f) -> vec3f {
+  let c = ACESInputMat * x;
+  let a = c * (c + 0.0245786) - 0.000090537;
+  let b = c * (0.983729 * c + 0.4329510) + 0.238081;
+  return clamp(ACESOutputMat * (a / b), vec3f(0.0), vec3f(1.0));
 }
-fn hable_tonemap(x: vec3f) -> vec3f {
-  let a=2.51; let b=0.03; let c=2.43; let d=0.59; let e=0.14;
-  return clamp((x*(a*x + b)) / (x*(c*x + d) + e), vec3f(0.0), vec3f(1.0));
+
+// AgX (Troy Sobotka), base look, with the polynomial sigmoid fit by Benjamin Wrensch
+const AgXInset = mat3x3f(
+  vec3f(0.842479062253094, 0.0423282422610123, 0.0423756549057051),
+  vec3f(0.0784335999999992, 0.878468636469772, 0.0784336),
+  vec3f(0.0792237451477643, 0.0791661274605434, 0.879142973793104)
+);
+const AgXOutset = mat3x3f(
+  vec3f(1.19687900512017, -0.0528968517574562, -0.0529716355144438),
+  vec3f(-0.0980208811401368, 1.15190312990417, -0.0980434501171241),
+  vec3f(-0.0990297440797205, -0.0989611768448433, 1.15107367264116)
+);
+
+fn agx_tonemap(x: vec3f) -> vec3f {
+  let minEV = -12.47393;
+  let maxEV = 4.026069;
+  var c = AgXInset * x;
+  c = (clamp(log2(max(c, vec3f(1e-10))), vec3f(minEV), vec3f(maxEV)) - minEV) / (maxEV - minEV);
+  let c2 = c * c;
+  let c4 = c2 * c2;
+  c = 15.5 * c4 * c2 - 40.14 * c4 * c + 31.96 * c4 - 6.868 * c2 * c + 0.4298 * c2 + 0.1191 * c - 0.00232;
+  // The sigmoid is fitted in a 2.2 gamma encoding; decode so the display transform applies
+  return pow(clamp(AgXOutset * c, vec3f(0.0), vec3f(1.0)), vec3f(2.2));
 }
-fn exposure_tonemap(x: vec3f) -> vec3f {
-  var remapped_col = x * U.exposureMul;
-  return clamp(remapped_col, vec3f(0.0), vec3f(1.0));
+
+// Khronos PBR Neutral: identity below ~0.76, then a hue-preserving highlight roll-off
+fn pbr_neutral_tonemap(x: vec3f) -> vec3f {
+  let startCompression = 0.8 - 0.04;
+  let desaturation = 0.15;
+  let lo = min(x.r, min(x.g, x.b));
+  let offset = select(0.04, lo - 6.25 * lo * lo, lo < 0.08);
+  var c = x - offset;
+  let peak = max(c.r, max(c.g, c.b));
+  if (peak < startCompression) {
+    return c;
+  }
+  let d = 1.0 - startCompression;
+  let newPeak = 1.0 - d * d / (peak + d - startCompression);
+  c *= newPeak / peak;
+  let g = 1.0 - 1.0 / (desaturation * (peak - newPeak) + 1.0);
+  return mix(c, vec3f(newPeak), g);
 }
-fn aces_tonemap(x: vec3f) -> vec3f {
-  // apply color transform matrix
-  var remapped_col = ACESInputMat * x;
 
-  // apply reference rendering transform (polynomial fit)
-  let a = remapped_col * (remapped_col + 0.0245786) - 0.000090537;
-  let b = remapped_col * 0.983729 + 0.4329510;
-  remapped_col = a / b;
+// 0 = none, 1 = Reinhard, 2 = Hable, 3 = ACES fitted, 4 = AgX, 5 = Khronos PBR Neutral.
+// None passes values through, so they stay comparable with the probe and statistics.
+fn tonemap(x: vec3f) -> vec3f {
+  let c = max(x, vec3f(0.0));
+  switch (u32(U.tonemapType)) {
+    case 1u: { return reinhard_tonemap(c); }
+    case 2u: { return hable_tonemap(c); }
+    case 3u: { return aces_tonemap(c); }
+    case 4u: { return agx_tonemap(c); }
+    case 5u: { return pbr_neutral_tonemap(c); }
+    default: { return x; }
+  }
+}
 
-  // apply output device transform from ACES2065-1 to sRGB/Rec.709
-  remapped_col = ACESOutputMat * remapped_col;
+// Display transforms (displayTransform): display-linear to the signal written to the canvas
 
-  return clamp(remapped_col, vec3f(0.0), vec3f(1.0));
+fn srgb_oetf(x: vec3f) -> vec3f {
+  let c = max(x, vec3f(0.0));
+  return select(1.055 * pow(c, vec3f(1.0 / 2.4)) - 0.055, 12.92 * c, c <= vec3f(0.0031308));
 }
 
-@fragment fn fs_textured(@location(0) uv: vec2f) -> @location(0) vec4f {
-  let raw = textureSample(tex0, samp, uv);
-  
-  // Apply channel multipliers (colored)
-  var c = vec3f(
-    raw.r * U.channelR,
-    raw.g * U.channelG,
-    raw.b * U.channelB
+fn display_transform(x: vec3f) -> vec3f {
+  switch (u32(U.displayTransform)) {
+    case 1u: { return x; }
+    default: { return srgb_oetf(x); }
+  }
+}
+
+// Pan / zoom: canvas uv → image uv. The image covers [0, 1]; anything else is background.
+fn view_uv(uv: vec2f) -> vec2f {
+  return (uv * vec2f(U.width, U.height) - vec2f(U.viewX, U.viewY)) / vec2f(U.viewW, U.viewH);
+}
+
+fn outside(uv: vec2f) -> bool {
+  return any(uv < vec2f(0.0)) || any(uv > vec2f(1.0));
+}
+
+// KTXorientation: map display coordinates onto the stored texel order
+fn orient(c: vec3f) -> vec3f {
+  return select(c, vec3f(1.0) - c, vec3<bool>(U.flipX == 1.0, U.flipY == 1.0, U.flipZ == 1.0));
+}
+
+// KTXswizzle: pick each output channel from a source channel or a constant
+fn swizzle_channel(v: vec4f, sel: f32) -> f32 {
+  if (sel >= 5.0) { return 1.0; }
+  if (sel >= 4.0) { return 0.0; }
+  return v[u32(sel)];
+}
+
+fn swizzle_by(v: vec4f, sel: vec4f) -> vec4f {
+  return vec4f(
+    swizzle_channel(v, sel.x),
+    swizzle_channel(v, sel.y),
+    swizzle_channel(v, sel.z),
+    swizzle_channel(v, sel.w)
   );
-  
-  // Alpha shows as grayscale, added to all channels
-  c += vec3f(raw.a * U.channelA);
-  
-  // Apply tonemapping
-  if (U.tonemapType == 1) {
-    c = reinhard_tonemap(c);
-  } else if (U.tonemapType == 2) {
-    c = hable_tonemap(c);
-  } else if (U.tonemapType == 3) {
-    c = aces_tonemap(c);
-  }
-
-  // Apply exposure
-  c = exposure_tonemap(c);
-  
-  let ldr = hable_tonemap(c);
-  return vec4f(ldr, 1.0);
+}
+
+fn apply_swizzle(v: vec4f) -> vec4f {
+  return swizzle_by(v, vec4f(U.swizzleR, U.swizzleG, U.swizzleB, U.swizzleA));
+}
+
+// Swizzle and channel mix
+fn mix_channels(texel: vec4f) -> vec4f {
+  return mix_swizzled(apply_swizzle(texel));
+}
+
+fn mix_swizzled(raw: vec4f) -> vec4f {
+  // Row vector times matrix: each column of channelMatrix holds one output channel's weights
+  var c = raw * U.channelMatrix + U.channelOffset;
+  if (U.reconstructZ == 1.0) {
+    let xy = c.xy * 2.0 - 1.0;
+    c.z = sqrt(clamp(1.0 - dot(xy, xy), 0.0, 1.0)) * 0.5 + 0.5;
+  }
+  return c;
+}
+
+// Exposure, tone mapping and display transform, in that order
+fn display(mixed: vec3f) -> vec3f {
+  return display_transform(tonemap(mixed * U.exposureMul));
+}
+
+// Alpha is composited after tone mapping, in display-linear light, so the backdrop keeps its
+// color whatever the exposure. Premultiplied color is divided by alpha first, since the tone
+// curve applies to the straight color.
+const CHECKER_PIXELS = 12.0;
+
+fn backdrop(uv: vec2f) -> vec3f {
+  if (U.alphaMode == 2.0) {
+    return vec3f(U.backdropR, U.backdropG, U.backdropB);
+  }
+  let cell = vec2i(floor(uv * vec2f(U.width, U.height) / CHECKER_PIXELS));
+  return select(vec3f(0.2), vec3f(0.4), ((cell.x + cell.y) & 1) == 0);
+}
+
+fn composite(mixed: vec3f, alpha: f32, uv: vec2f) -> vec3f {
+  if (U.alphaMode == 0.0) {
+    return display(mixed);
+  }
+  if (U.alphaMode == 3.0) {
+    return vec3f(select(0.0, 1.0, alpha >= U.alphaCutoff));
+  }
+  let a = clamp(alpha, 0.0, 1.0);
+  let straight = select(mixed, mixed / max(a, 1e-6), U.premultiplied == 1.0);
+  return display_transform(mix(backdrop(uv), tonemap(straight * U.exposureMul), a));
+}
+
+// Tangent-space normal maps: decode the mixed channels to a vector, rebuilding Z from X and Y
+// for two-channel formats. A rebuilt Z is zero once X² + Y² passes 1, so the length check
+// catches those texels too. Output skips exposure and tone mapping: it is a visualization.
+const INVALID_NORMAL = vec3f(1.0, 0.0, 1.0);
+
+fn decode_normal(mixed: vec3f) -> vec3f {
+  let v = select(mixed * 2.0 - 1.0, mixed, U.normalSigned == 1.0);
+  if (U.normalFromRG == 1.0) {
+    return vec3f(v.xy, sqrt(max(1.0 - dot(v.xy, v.xy), 0.0)));
+  }
+  return v;
+}
+
+fn shade_normal(mixed: vec3f) -> vec3f {
+  let n = decode_normal(mixed);
+  let len = length(n);
+  if (U.normalTolerance > 0.0 && (abs(len - 1.0) > U.normalTolerance || n.z < 0.0)) {
+    return display_transform(INVALID_NORMAL);
+  }
+  let unit = n / max(len, 1e-6);
+  if (U.normalMode == 2.0) {
+    return display_transform(unit * 0.5 + 0.5);
+  }
+  let light = vec3f(U.lightX, U.lightY, U.lightZ);
+  return display_transform(vec3f(0.05 + 0.85 * max(dot(unit, light), 0.0)));
+}
+
+// Shared display path: swizzle, channel mix, exposure, tone mapping, alpha and display
+// transform. uv is the canvas position, for the checkerboard.
+fn shade_swizzled(v: vec4f, uv: vec2f) -> vec4f {
+  let mixed = mix_swizzled(v);
+  if (U.normalMode != 0.0) {
+    return vec4f(shade_normal(mixed.rgb), 1.0);
+  }
+  return vec4f(composite(mixed.rgb, mixed.a, uv), 1.0);
+}
+
+fn shade(texel: vec4f, uv: vec2f) -> vec4f {
+  return shade_swizzled(apply_swizzle(texel), uv);
+}
+
+// MIP LEVELS
+
+// Level the sampler picks for texel-space derivatives: log2 of the longer footprint axis.
+// Anisotropic filtering samples a finer level along the shorter axis, so this is its upper bound.
+fn mip_lod(gx: vec2f, gy: vec2f) -> f32 {
+  return log2(max(max(length(gx), length(gy)), 1e-8));
+}
+
+// Heat overlay: level 0 blue, then cyan, green, yellow, orange, red, magenta, white (7+).
+// Fractional levels (trilinear blends) mix neighboring colors. Matches MIP_HEAT_COLORS in main.js.
+fn mip_heat(c: vec4f, lod: f32, levels: u32) -> vec4f {
+  if (U.mipHeat == 0.0) {
+    return c;
+  }
+  var palette = array<vec3f, 8>(
+    vec3f(0.15, 0.35, 1.0), vec3f(0.0, 0.85, 0.9), vec3f(0.1, 0.85, 0.2), vec3f(0.95, 0.9, 0.1),
+    vec3f(1.0, 0.55, 0.0), vec3f(0.95, 0.15, 0.1), vec3f(0.9, 0.2, 0.9), vec3f(1.0, 1.0, 1.0)
+  );
+  let level = clamp(lod, 0.0, f32(levels - 1u)) + U.mipBase;
+  let i = u32(min(floor(level), 7.0));
+  let heatColor = mix(palette[i], palette[min(i + 1u, 7u)], select(fract(level), 0.0, level >= 7.0));
+  return vec4f(mix(c.rgb, heatColor, 0.6), 1.0);
+}
+
+@fragment fn fs_textured(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let iuv = view_uv(uv);
+  let dims = vec2f(textureDimensions(tex0));
+  let lod = mip_lod(dpdx(iuv) * dims, dpdy(iuv) * dims);
+  let raw = textureSample(tex0, samp, orient(vec3f(iuv, 0.0)).xy, i32(U.layer));
+  return select(mip_heat(shade(raw, uv), lod, textureNumLevels(tex0)), BACKGROUND, outside(iuv));
+}
+
+// Contact sheet: every level of the selected layer left to right, top-aligned, at its true
+// size relative to level 0 and sheetGap texels apart. Same layout as sheetLayout() in main.js.
+@fragment fn fs_mip_sheet(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let iuv = view_uv(uv);
+  let size0 = textureDimensions(tex0);
+  let n = min(u32(U.sheetLevels), textureNumLevels(tex0));
+
+  var total = f32(size0.x);
+  for (var l = 1u; l < n; l++) {
+    total += f32(max(size0.x >> l, 1u)) + U.sheetGap;
+  }
+  let p = iuv * vec2f(total, f32(size0.y));
+
+  var level = -1;
+  var local = vec2f(0.0);
+  var x0 = 0.0;
+  for (var l = 0u; l < n; l++) {
+    let d = vec2f(max(size0 >> vec2u(l), vec2u(1u)));
+    if (p.x >= x0 && p.x < x0 + d.x && p.y < d.y) {
+      level = i32(l);
+      local = vec2f(p.x - x0, p.y) / d;
+    }
+    x0 += d.x + U.sheetGap;
+  }
+
+  let raw = textureSampleLevel(tex0, samp, orient(vec3f(local, 0.0)).xy, i32(U.layer), f32(max(level, 0)));
+  return select(shade(raw, uv), BACKGROUND, level < 0 || outside(iuv));
+}
+
+
+// CUBEMAP VIEWS
+
+const BACKGROUND = vec4f(0.07, 0.07, 0.08, 1.0);
+
+// Cube faces have a fixed orientation in KTX2, so orient() is not applied here.
+
+// Horizontal cross, 4x3 cells, faces in KTX2 order (+X, -X, +Y, -Y, +Z, -Z):
+//        [+Y]
+//   [-X] [+Z] [+X] [-Z]
+//        [-Y]
+fn cross_face(cell: vec2i) -> i32 {
+  var middleRow = array<i32, 4>(1, 4, 0, 5);
+  if (cell.y == 1 && cell.x >= 0 && cell.x < 4) {
+    return middleRow[cell.x];
+  }
+  if (cell.x == 1 && cell.y == 0) { return 2; }
+  if (cell.x == 1 && cell.y == 2) { return 3; }
+  return -1;
+}
+
+@fragment fn fs_cube_cross(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let cellUV = view_uv(uv) * vec2f(4.0, 3.0);
+  let face = cross_face(vec2i(floor(cellUV)));
+
+  // Gradients come from the continuous cell coordinate so mip selection
+  // does not spike along the seams between faces.
+  let raw = textureSampleGrad(tex0, samp, fract(cellUV), i32(U.cubeBase) + max(face, 0),
+                              dpdx(cellUV), dpdy(cellUV));
+  let dims = vec2f(textureDimensions(tex0));
+  let lod = mip_lod(dpdx(cellUV) * dims, dpdy(cellUV) * dims);
+  if (face < 0) {
+    return BACKGROUND;
+  }
+  return mip_heat(shade(raw, uv), lod, textureNumLevels(tex0));
+}
+
+@fragment fn fs_skybox(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let ndc = vec2f(uv.x * 2.0 - 1.0, 1.0 - uv.y * 2.0);
+  let aspect = U.width / max(U.height, 1.0);
+  let t = tan(0.5 * U.fovY);
+
+  // yaw = 0, pitch = 0 looks down +Z with +Y up
+  let forward = vec3f(sin(U.yaw) * cos(U.pitch), sin(U.pitch), cos(U.yaw) * cos(U.pitch));
+  let right = vec3f(cos(U.yaw), 0.0, -sin(U.yaw));
+  let up = cross(forward, right);
+
+  let dir = normalize(forward + ndc.x * t * aspect * right + ndc.y * t * up);
+  return shade(textureSample(texCube, samp, dir), uv);
+}
+
+
+// VOLUME VIEW
+
+// Map the screen uv onto the selected slice plane of the 3D texture
+fn volume_coord(uv: vec2f) -> vec3f {
+  if (U.sliceAxis == 1.0) {
+    return vec3f(uv.x, U.slice, uv.y);
+  }
+  if (U.sliceAxis == 2.0) {
+    return vec3f(U.slice, uv.x, uv.y);
+  }
+  return vec3f(uv, U.slice);
+}
+
+@fragment fn fs_volume(@location(0) uv: vec2f) -> @location(0) vec4f {
+  let iuv = view_uv(uv);
+  let coord = volume_coord(iuv);
+  let dims = vec3f(textureDimensions(tex3d));
+  let lod = log2(max(max(length(dpdx(coord) * dims), length(dpdy(coord) * dims)), 1e-8));
+  let raw = textureSample(tex3d, samp, orient(coord));
+  return select(mip_heat(shade(raw, uv), lod, textureNumLevels(tex3d)), BACKGROUND, outside(iuv));
+}
+
+
+// PIXEL PROBE
+// Reads one texel with textureLoad and runs it through the same display path as the
+// views, so the readout matches what is on screen.
+
+struct ProbeIn {
+  x: u32,
+  y: u32,
+  z: u32,     // array layer (layer * faces + face) or 3D slice
+  mip: u32
+}
+
+struct ProbeOut {
+  texel: vec4f,   // decoded by the GPU (sRGB formats come back linear)
+  mixed: vec4f,   // after swizzle and channel mix
+  shown: vec4f    // after exposure and tonemapping
+}
+
+@group(0) @binding(5) var<uniform> P : ProbeIn;
+@group(0) @binding(6) var<storage, read_write> probeOut : ProbeOut;
+
+fn probe_write(texel: vec4f) {
+  let mixed = mix_channels(texel);
+  probeOut.texel = texel;
+  probeOut.mixed = mixed;
+  probeOut.shown = vec4f(display(mixed.rgb), 1.0);
+}
+
+@compute @workgroup_size(1) fn cs_probe_2d() {
+  probe_write(textureLoad(tex0, vec2u(P.x, P.y), P.z, P.mip));
+}
+
+@compute @workgroup_size(1) fn cs_probe_3d() {
+  probe_write(textureLoad(tex3d, vec3u(P.x, P.y, P.z), P.mip));
+}
+
+
+// A/B COMPARE (flat view)
+// Texture B is drawn with the same view, channel mix and tonemapping as A.
+
+@group(0) @binding(7) var texB : texture_2d_array<f32>;
+
+fn swizzle_b(v: vec4f) -> vec4f {
+  return swizzle_by(v, vec4f(U.swizzleBR, U.swizzleBG, U.swizzleBB, U.swizzleBA));
+}
+
+// Blue → cyan → yellow → red ramp for the difference heatmap
+fn heat(t: f32) -> vec3f {
+  let x = clamp(t, 0.0, 1.0);
+  return clamp(vec3f(1.5) - abs(4.0 * x - vec3f(3.0, 2.0, 1.0)), vec3f(0.0), vec3f(1.0));
+}
+
+@fragment fn fs_compare(@location(0) uv: vec2f) -> @location(0) vec4f {
+  var iuv = view_uv(uv);
+  var useB = U.compareMode == 3.0 || (U.compareMode == 1.0 && uv.x >= U.split);
+
+  // Side by side: the view rectangle holds A and B next to each other. Gradients come from
+  // the continuous coordinate so mip selection does not spike at the seam.
+  let scale = select(vec2f(1.0), vec2f(2.0, 1.0), U.compareMode == 2.0);
+  let gx = dpdx(iuv) * scale;
+  let gy = dpdy(iuv) * scale;
+  if (U.compareMode == 2.0) {
+    iuv.x *= 2.0;
+    useB = iuv.x >= 1.0;
+    iuv.x -= select(0.0, 1.0, useB);
+  }
+
+  let a = textureSampleGrad(tex0, samp, orient(vec3f(iuv, 0.0)).xy, i32(U.layer), gx, gy);
+  let uvB = select(iuv, vec2f(1.0) - iuv, vec2<bool>(U.flipBX == 1.0, U.flipBY == 1.0));
+  let b = textureSampleGrad(texB, samp, uvB, i32(U.layer), gx, gy);
+
+  var c: vec4f;
+  if (U.compareMode == 4.0) {
+    let d = abs(mix_channels(a).rgb - mix_swizzled(swizzle_b(b)).rgb);
+    c = vec4f(heat(max(d.r, max(d.g, d.b)) * U.diffGain), 1.0);
+  } else if (useB) {
+    c = shade_swizzled(swizzle_b(b), uv);
+  } else {
+    c = shade(a, uv);
+  }
+  c = select(c, BACKGROUND, outside(iuv));
+
+  if (U.compareMode == 1.0 && abs(uv.x - U.split) * U.width < 1.0) {
+    c = vec4f(1.0, 0.8, 0.2, 1.0);
+  }
+  return c;
+}
+
+// A/B metrics. cs_metrics_tiles reduces each 8×8 tile of the selected level of A (B is read
+// at the matching position, so sizes may differ) to its squared error, max error and SSIM on
+// luminance; cs_metrics_total sums the tiles. Errors use swizzled RGB, before channel mix.
+
+struct MetricsIn {
+  mipA: u32,
+  mipB: u32,
+  layer: u32,
+  tileCount: u32
+}
+
+@group(0) @binding(8) var<uniform> M : MetricsIn;
+@group(0) @binding(9) var<storage, read_write> metricTiles : array<vec4f>; // (sum sq err, max err, SSIM, pixels)
+@group(0) @binding(10) var<storage, read_write> metricTotal : vec4f;
+
+const LUMA = vec3f(0.2126, 0.7152, 0.0722);
+
+var<workgroup> tileTexels : array<vec4f, 64>; // (luma A, luma B, sq err, max err)
+var<workgroup> tileValid : array<f32, 64>;
+var<workgroup> tilePartials : array<vec4f, 64>;
+
+@compute @workgroup_size(8, 8) fn cs_metrics_tiles(
+  @builtin(global_invocation_id) gid: vec3u,
+  @builtin(local_invocation_index) li: u32,
+  @builtin(workgroup_id) wid: vec3u,
+  @builtin(num_workgroups) groups: vec3u
+) {
+  let sizeA = textureDimensions(tex0, M.mipA);
+  let sizeB = textureDimensions(texB, M.mipB);
+  var t = vec4f(0.0);
+  var valid = 0.0;
+  if (gid.x < sizeA.x && gid.y < sizeA.y) {
+    let pb = min(vec2u((vec2f(gid.xy) + 0.5) * vec2f(sizeB) / vec2f(sizeA)), sizeB - 1u);
+    let layerB = min(M.layer, textureNumLayers(texB) - 1u);
+    let a = apply_swizzle(textureLoad(tex0, gid.xy, M.layer, M.mipA)).rgb;
+    let b = swizzle_b(textureLoad(texB, pb, layerB, M.mipB)).rgb;
+    let d = a - b;
+    t = vec4f(dot(a, LUMA), dot(b, LUMA), dot(d, d), max(abs(d.r), max(abs(d.g), abs(d.b))));
+    valid = 1.0;
+  }
+  tileTexels[li] = t;
+  tileValid[li] = valid;
+  workgroupBarrier();
+  if (li != 0u) {
+    return;
+  }
+
+  var n = 0.0;
+  var sa = 0.0; var sb = 0.0; var saa = 0.0; var sbb = 0.0; var sab = 0.0;
+  var sq = 0.0; var maxErr = 0.0;
+  for (var i = 0u; i < 64u; i++) {
+    let s = tileTexels[i];
+    n += tileValid[i];
+    sa += s.x; sb += s.y;
+    saa += s.x * s.x; sbb += s.y * s.y; sab += s.x * s.y;
+    sq += s.z;
+    maxErr = max(maxErr, s.w);
+  }
+  let ma = sa / n;
+  let mb = sb / n;
+  let va = max(saa / n - ma * ma, 0.0);
+  let vb = max(sbb / n - mb * mb, 0.0);
+  let cov = sab / n - ma * mb;
+  let C1 = 0.0001; // (0.01 * L)^2, L = 1
+  let C2 = 0.0009; // (0.03 * L)^2
+  let ssim = ((2.0 * ma * mb + C1) * (2.0 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+  metricTiles[wid.y * groups.x + wid.x] = vec4f(sq, maxErr, ssim, n);
+}
+
+@compute @workgroup_size(64) fn cs_metrics_total(@builtin(local_invocation_index) li: u32) {
+  var acc = vec4f(0.0);
+  for (var i = li; i < M.tileCount; i += 64u) {
+    let t = metricTiles[i];
+    acc = vec4f(acc.x + t.x, max(acc.y, t.y), acc.z + t.z, acc.w + t.w);
+  }
+  tilePartials[li] = acc;
+  workgroupBarrier();
+  if (li == 0u) {
+    var total = vec4f(0.0);
+    for (var i = 0u; i < 64u; i++) {
+      let t = tilePartials[i];
+      total = vec4f(total.x + t.x, max(total.y, t.y), total.z + t.z, total.w + t.w);
+    }
+    metricTotal = total;
+  }
+}
+
+// Texture statistics for the selected level (and layer) of tex0, or every slice of tex3d.
+// Each texel adds to log2-spaced histograms of R, G, B, A and luminance and to per-workgroup
+// sums; min/max are kept as order-preserving keys so unsigned atomics can compare floats.
+// cs_stats_total sums the workgroups. Channels are swizzled like the view, before channel mix.
+
+struct StatsIn {
+  mip: u32,
+  layer: u32,
+  partialCount: u32,
+  pad: u32
+}
+
+const STATS_BINS = 128u;          // bin 0 holds values <= 0, then 4 bins per stop from 2^-16
+const STATS_MIN_LOG2 = -16.0;
+const STATS_BINS_PER_STOP = 4.0;
+
+struct StatsOut {
+  minKey: array<atomic<u32>, 5>,  // R, G, B, A, luminance
+  maxKey: array<atomic<u32>, 5>,
+  nonFinite: atomic<u32>,         // texels with a NaN or infinite channel, left out of the rest
+  hist: array<atomic<u32>, 640>   // 5 channels × STATS_BINS
+}
+
+@group(0) @binding(11) var<uniform> S : StatsIn;
+@group(0) @binding(12) var<storage, read_write> statsOut : StatsOut;
+@group(0) @binding(13) var<storage, read_write> statsPartials : array<vec4f>; // per workgroup: (sum R, G, B, A), (sum luma, sum log2 luma, texels, 0)
+@group(0) @binding(14) var<storage, read_write> statsTotal : array<vec4f, 2>;
+
+var<workgroup> statsTexels : array<vec4f, 256>;
+var<workgroup> statsExtra : array<vec4f, 256>; // (luma, log2 luma, valid, 0)
+var<workgroup> statsSums : array<vec4f, 128>;
+
+fn float_key(v: f32) -> u32 {
+  let bits = bitcast<u32>(v);
+  return select(bits | 0x80000000u, ~bits, (bits & 0x80000000u) != 0u);
+}
+
+fn is_finite(v: f32) -> bool {
+  return (bitcast<u32>(v) & 0x7F800000u) != 0x7F800000u;
+}
+
+fn stats_bin(v: f32) -> u32 {
+  if (v <= 0.0) {
+    return 0u;
+  }
+  let b = floor((log2(v) - STATS_MIN_LOG2) * STATS_BINS_PER_STOP);
+  return 1u + u32(clamp(b, 0.0, f32(STATS_BINS - 2u)));
+}
+
+// Histograms the texel and stores it for stats_reduce; c is ignored unless inside is set
+fn stats_accumulate(c: vec4f, inside: bool, li: u32) {
+  var valid = inside;
+  let l = dot(c.rgb, LUMA);
+  var ch = array<f32, 5>(c.r, c.g, c.b, c.a, l);
+  if (valid) {
+    for (var i = 0u; i < 5u; i++) {
+      valid = valid && is_finite(ch[i]);
+    }
+    if (!valid) {
+      atomicAdd(&statsOut.nonFinite, 1u);
+    }
+  }
+  if (valid) {
+    for (var i = 0u; i < 5u; i++) {
+      atomicAdd(&statsOut.hist[i * STATS_BINS + stats_bin(ch[i])], 1u);
+    }
+  }
+  statsTexels[li] = select(vec4f(0.0), c, valid);
+  statsExtra[li] = select(vec4f(0.0), vec4f(l, log2(max(l, 1e-8)), 1.0, 0.0), valid);
+}
+
+fn stats_reduce(li: u32, group: u32) {
+  workgroupBarrier();
+  if (li != 0u) {
+    return;
+  }
+  var sum = vec4f(0.0);
+  var extra = vec4f(0.0);
+  var lo = array<u32, 5>(0xFFFFFFFFu, 0xFFFFFFFFu, 0xFFFFFFFFu, 0xFFFFFFFFu, 0xFFFFFFFFu);
+  var hi = array<u32, 5>(0u, 0u, 0u, 0u, 0u);
+  for (var i = 0u; i < 256u; i++) {
+    let e = statsExtra[i];
+    if (e.z == 0.0) {
+      continue;
+    }
+    let c = statsTexels[i];
+    sum += c;
+    extra += e;
+    var ch = array<f32, 5>(c.r, c.g, c.b, c.a, e.x);
+    for (var k = 0u; k < 5u; k++) {
+      let key = float_key(ch[k]);
+      lo[k] = min(lo[k], key);
+      hi[k] = max(hi[k], key);
+    }
+  }
+  if (extra.z > 0.0) {
+    for (var k = 0u; k < 5u; k++) {
+      atomicMin(&statsOut.minKey[k], lo[k]);
+      atomicMax(&statsOut.maxKey[k], hi[k]);
+    }
+  }
+  statsPartials[2u * group] = sum;
+  statsPartials[2u * group + 1u] = vec4f(extra.xyz, 0.0);
+}
+
+@compute @workgroup_size(16, 16) fn cs_stats_2d(
+  @builtin(global_invocation_id) gid: vec3u,
+  @builtin(local_invocation_index) li: u32,
+  @builtin(workgroup_id) wid: vec3u,
+  @builtin(num_workgroups) groups: vec3u
+) {
+  let size = textureDimensions(tex0, S.mip);
+  let inside = gid.x < size.x && gid.y < size.y;
+  var c = vec4f(0.0);
+  if (inside) {
+    c = apply_swizzle(textureLoad(tex0, gid.xy, S.layer, S.mip));
+  }
+  stats_accumulate(c, inside, li);
+  stats_reduce(li, wid.y * groups.x + wid.x);
+}
+
+@compute @workgroup_size(16, 16) fn cs_stats_3d(
+  @builtin(global_invocation_id) gid: vec3u,
+  @builtin(local_invocation_index) li: u32,
+  @builtin(workgroup_id) wid: vec3u,
+  @builtin(num_workgroups) groups: vec3u
+) {
+  let size = textureDimensions(tex3d, S.mip);
+  let inside = gid.x < size.x && gid.y < size.y && gid.z < size.z;
+  var c = vec4f(0.0);
+  if (inside) {
+    c = apply_swizzle(textureLoad(tex3d, gid, S.mip));
+  }
+  stats_accumulate(c, inside, li);
+  stats_reduce(li, (wid.z * groups.y + wid.y) * groups.x + wid.x);
+}
+
+@compute @workgroup_size(64) fn cs_stats_total(@builtin(local_invocation_index) li: u32) {
+  var sum = vec4f(0.0);
+  var extra = vec4f(0.0);
+  for (var i = li; i < S.partialCount; i += 64u) {
+    sum += statsPartials[2u * i];
+    extra += statsPartials[2u * i + 1u];
+  }
+  statsSums[li] = sum;
+  statsSums[64u + li] = extra;
+  workgroupBarrier();
+  if (li == 0u) {
+    var total = vec4f(0.0);
+    var totalExtra = vec4f(0.0);
+    for (var i = 0u; i < 64u; i++) {
+      total += statsSums[i];
+      totalExtra += statsSums[64u + i];
+    }
+    statsTotal[0] = total;
+    statsTotal[1] = totalExtra;
+  }
+}
+
+// Export readback: rows [row0, row0 + rows) of the selected level of tex0 (array layer
+// `layer`) or of z slice `layer` of tex3d, as stored (no swizzle or orientation).
+
+struct ExportIn {
+  mip: u32,
+  layer: u32,
+  row0: u32,
+  rows: u32
+}
+
+@group(0) @binding(15) var<uniform> E : ExportIn;
+@group(0) @binding(16) var<storage, read_write> exportTexels : array<vec4f>;
+
+@compute @workgroup_size(8, 8) fn cs_export_2d(@builtin(global_invocation_id) gid: vec3u) {
+  let size = textureDimensions(tex0, E.mip);
+  if (gid.x >= size.x || gid.y >= E.rows || E.row0 + gid.y >= size.y) {
+    return;
+  }
+  exportTexels[gid.y * size.x + gid.x] = textureLoad(tex0, vec2u(gid.x, E.row0 + gid.y), E.layer, E.mip);
+}
+
+@compute @workgroup_size(8, 8) fn cs_export_3d(@builtin(global_invocation_id) gid: vec3u) {
+  let size = textureDimensions(tex3d, E.mip);
+  if (gid.x >= size.x || gid.y >= E.rows || E.row0 + gid.y >= size.y) {
+    return;
+  }
+  exportTexels[gid.y * size.x + gid.x] = textureLoad(tex3d, vec3u(gid.x, E.row0 + gid.y, E.layer), E.mip);
+}
+
+
+// MIP GENERATION (PNG / JPG / WebP)
+// Each pass draws one level from the level above with a separable kernel. Levels chain through
+// an rgba16float texture (target 0), so 8-bit rounding does not build up down the chain; target
+// 1 is the level itself. With alpha weighting the chain holds premultiplied color, so fully
+// transparent texels do not bleed their color into the result. Linear-light filtering comes
+// from reading and writing the level through an -srgb view (vs_solid draws the triangle).
+
+struct MipGenIn {
+  kernel: u32,            // 0 = box, 1 = Kaiser (width 3, alpha 4), 2 = Lanczos-3
+  alphaWeighted: u32,
+  premultiplySource: u32, // 1 = the source is the straight-alpha base level, not the chain
+  pad: u32
+}
+
+struct MipGenOut {
+  @location(0) chain: vec4f,
+  @location(1) level: vec4f
+}
+
+@group(0) @binding(17) var<uniform> G : MipGenIn;
+@group(0) @binding(18) var mipSrc : texture_2d<f32>;
+
+const PI = 3.14159265;
+
+fn sinc(x: f32) -> f32 {
+  return select(sin(PI * x) / (PI * x), 1.0, abs(x) < 1e-4);
+}
+
+// Modified Bessel function of the first kind, order 0 (power series)
+fn bessel_i0(x: f32) -> f32 {
+  var sum = 1.0;
+  var term = 1.0;
+  for (var k = 1; k < 16; k++) {
+    let t = x / (2.0 * f32(k));
+    term *= t * t;
+    sum += term;
+  }
+  return sum;
+}
+
+// Kernel weight at distance t, in destination texels
+fn mip_kernel(t: f32) -> f32 {
+  let x = abs(t);
+  switch (G.kernel) {
+    case 1u: {
+      if (x >= 3.0) { return 0.0; }
+      let r = x / 3.0;
+      return sinc(x) * bessel_i0(4.0 * sqrt(1.0 - r * r)) / bessel_i0(4.0);
+    }
+    case 2u: {
+      if (x >= 3.0) { return 0.0; }
+      return sinc(x) * sinc(x / 3.0);
+    }
+    default: {
+      return select(0.0, 1.0, x <= 0.5);
+    }
+  }
+}
+
+@fragment fn fs_mip_downsample(@builtin(position) pos: vec4f) -> MipGenOut {
+  let srcSize = vec2i(textureDimensions(mipSrc));
+  let dstSize = max(srcSize / 2, vec2i(1));
+  // Source texels per destination texel: 2, or 1 along an axis that is already 1 wide
+  let scale = vec2f(srcSize) / vec2f(dstSize);
+  let center = pos.xy * scale;
+  let radius = select(3.0, 0.5, G.kernel == 0u) * scale;
+  let lo = vec2i(floor(center - radius));
+  let hi = vec2i(ceil(center + radius));
+
+  var sum = vec4f(0.0);
+  var weightSum = 0.0;
+  for (var y = lo.y; y <= hi.y; y++) {
+    let wy = mip_kernel((f32(y) + 0.5 - center.y) / scale.y);
+    if (wy == 0.0) { continue; }
+    for (var x = lo.x; x <= hi.x; x++) {
+      let w = wy * mip_kernel((f32(x) + 0.5 - center.x) / scale.x);
+      var c = textureLoad(mipSrc, clamp(vec2i(x, y), vec2i(0), srcSize - 1), 0);
+      if (G.alphaWeighted == 1u && G.premultiplySource == 1u) {
+        c = vec4f(c.rgb * c.a, c.a);
+      }
+      sum += c * w;
+      weightSum += w;
+    }
+  }
+
+  // Lanczos and Kaiser lobes go negative; clamp so they cannot ring below zero
+  let v = sum / weightSum;
+  var o: MipGenOut;
+  o.chain = vec4f(max(v.rgb, vec3f(0.0)), clamp(v.a, 0.0, 1.0));
+  let straight = select(o.chain.rgb, o.chain.rgb / max(o.chain.a, 1e-6), G.alphaWeighted == 1u);
+  // Unorm levels clamp on write; rgba16float levels of HDR sources keep values above 1
+  o.level = vec4f(straight, o.chain.a);
+  return o;
 }
 
 
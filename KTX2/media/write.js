@@ -0,0 +1,343 @@
+/* global concatBytes */
+// Encoders for the viewer's export action: PNG (8-bit RGBA), OpenEXR (32-bit float RGBA,
+// uncompressed scanlines), Radiance HDR (flat RGBE) and KTX2 (no supercompression).
+// Each returns the file bytes as a Uint8Array; PNG is async because it deflates through
+// CompressionStream.
+
+// ---------------- PNG ----------------
+
+const PNG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0xFFFFFFFF) {
+  for (let i = 0; i < bytes.length; i++) {
+    crc = PNG_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const dv = new DataView(chunk.buffer);
+  dv.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  dv.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0);
+  return chunk;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// rgba: width * height * 4 bytes, rows top to bottom
+async function encodePNG(width, height, rgba) {
+  const stride = width * 4;
+  // Filter type 0 (None) before every row
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, width);
+  dv.setUint32(4, height);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // color type RGBA
+
+  return concatBytes([
+    new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// ---------------- OpenEXR ----------------
+
+// Little-endian byte writer for the EXR and KTX2 headers
+function byteWriter() {
+  const bytes = [];
+  const scratch = new DataView(new ArrayBuffer(8));
+  const put = (n) => {
+    for (let i = 0; i < n; i++) {
+      bytes.push(scratch.getUint8(i));
+    }
+  };
+  return {
+    bytes,
+    u8(v) { bytes.push(v & 0xFF); },
+    u32(v) { scratch.setUint32(0, v >>> 0, true); put(4); },
+    i32(v) { scratch.setInt32(0, v, true); put(4); },
+    u64(v) { scratch.setBigUint64(0, BigInt(v), true); put(8); },
+    f32(v) { scratch.setFloat32(0, v, true); put(4); },
+    str(s) {
+      for (let i = 0; i < s.length; i++) {
+        bytes.push(s.charCodeAt(i));
+      }
+      bytes.push(0);
+    }
+  };
+}
+
+// rgba: width * height * 4 floats, rows top to bottom. Channels are stored as FLOAT so the
+// decoded values survive exactly.
+function encodeEXR(width, height, rgba) {
+  const channels = ['A', 'B', 'G', 'R']; // EXR channel lists are sorted by name
+  const channelIndex = { R: 0, G: 1, B: 2, A: 3 };
+  const w = byteWriter();
+  w.u32(20000630);  // magic
+  w.u32(2);         // version 2, single-part scanline
+
+  const attr = (name, type, size, write) => { w.str(name); w.str(type); w.i32(size); write(); };
+  attr('channels', 'chlist', channels.length * 18 + 1, () => {
+    for (const c of channels) {
+      w.str(c);
+      w.i32(2);                             // pixel type FLOAT
+      w.u8(0); w.u8(0); w.u8(0); w.u8(0);   // pLinear + reserved
+      w.i32(1); w.i32(1);                   // x/y sampling
+    }
+    w.u8(0);
+  });
+  attr('compression', 'compression', 1, () => w.u8(0));  // NO_COMPRESSION
+  attr('dataWindow', 'box2i', 16, () => { w.i32(0); w.i32(0); w.i32(width - 1); w.i32(height - 1); });
+  attr('displayWindow', 'box2i', 16, () => { w.i32(0); w.i32(0); w.i32(width - 1); w.i32(height - 1); });
+  attr('lineOrder', 'lineOrder', 1, () => w.u8(0));      // INCREASING_Y
+  attr('pixelAspectRatio', 'float', 4, () => w.f32(1));
+  attr('screenWindowCenter', 'v2f', 8, () => { w.f32(0); w.f32(0); });
+  attr('screenWindowWidth', 'float', 4, () => w.f32(1));
+  w.u8(0);
+
+  // One scanline per chunk without compression
+  const lineBytes = channels.length * width * 4;
+  const chunkSize = 8 + lineBytes;
+  const tableStart = w.bytes.length;
+  for (let y = 0; y < height; y++) {
+    w.u64(tableStart + height * 8 + y * chunkSize);
+  }
+
+  const out = new Uint8Array(w.bytes.length + height * chunkSize);
+  out.set(w.bytes);
+  const dv = new DataView(out.buffer);
+  let offset = w.bytes.length;
+  for (let y = 0; y < height; y++) {
+    dv.setInt32(offset, y, true);
+    dv.setInt32(offset + 4, lineBytes, true);
+    offset += 8;
+    for (const c of channels) {
+      const ci = channelIndex[c];
+      for (let x = 0; x < width; x++, offset += 4) {
+        dv.setFloat32(offset, rgba[(y * width + x) * 4 + ci], true);
+      }
+    }
+  }
+  return out;
+}
+
+// ---------------- Radiance HDR ----------------
+
+// rgba: width * height * 4 floats; alpha is dropped. Scanlines are written flat (not RLE).
+function encodeRGBE(width, height, rgba) {
+  const header = `#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`;
+  const out = new Uint8Array(header.length + width * height * 4);
+  for (let i = 0; i < header.length; i++) {
+    out[i] = header.charCodeAt(i);
+  }
+  let o = header.length;
+  for (let i = 0; i < width * height; i++, o += 4) {
+    const r = Math.max(0, rgba[i * 4]), g = Math.max(0, rgba[i * 4 + 1]), b = Math.max(0, rgba[i * 4 + 2]);
+    const v = Math.max(r, g, b);
+    // black (and NaN/Inf) stay 0,0,0,0
+    if (!(v >= 1e-32) || !Number.isFinite(v)) {
+      continue;
+    }
+    // v = m * 2^e with m in [0.5, 1)
+    let e = Math.floor(Math.log2(v)) + 1;
+    if (v / Math.pow(2, e) >= 1) {
+      e++;
+    }
+    const scale = 256 / Math.pow(2, e);
+    out[o] = Math.min(255, Math.floor(r * scale));
+    out[o + 1] = Math.min(255, Math.floor(g * scale));
+    out[o + 2] = Math.min(255, Math.floor(b * scale));
+    out[o + 3] = e + 128;
+  }
+  return out;
+}
+
+// ---------------- KTX2 ----------------
+
+// WebGPU formats the KTX2 writer accepts: vkFormat, typeSize, DFD color model, bytes per
+// texel block, texel block size, sample kind and samples as [channelType, bitOffset, bitLength].
+// Other uncompressed formats are converted to rgba16float by the caller.
+const RGBA8_SAMPLES = [[0, 0, 8], [1, 8, 8], [2, 16, 8], [15, 24, 8]];
+const RGBA16F_SAMPLES = [[0, 0, 16], [1, 16, 16], [2, 32, 16], [15, 48, 16]];
+const KTX2_WRITE_FORMATS = {
+  'rgba8unorm':            { vkFormat: 37,  typeSize: 1, model: 1,   bytes: 4,  block: 1, kind: 'unorm8', samples: RGBA8_SAMPLES },
+  'rgba8unorm-srgb':       { vkFormat: 43,  typeSize: 1, model: 1,   bytes: 4,  block: 1, kind: 'unorm8', samples: RGBA8_SAMPLES },
+  'rgba16float':           { vkFormat: 97,  typeSize: 2, model: 1,   bytes: 8,  block: 1, kind: 'sfloat', samples: RGBA16F_SAMPLES },
+  'bc1-rgba-unorm':        { vkFormat: 133, typeSize: 1, model: 128, bytes: 8,  block: 4, kind: 'unorm', samples: [[1, 0, 64]] },
+  'bc1-rgba-unorm-srgb':   { vkFormat: 134, typeSize: 1, model: 128, bytes: 8,  block: 4, kind: 'unorm', samples: [[1, 0, 64]] },
+  'bc2-rgba-unorm':        { vkFormat: 135, typeSize: 1, model: 129, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [0, 64, 64]] },
+  'bc2-rgba-unorm-srgb':   { vkFormat: 136, typeSize: 1, model: 129, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [0, 64, 64]] },
+  'bc3-rgba-unorm':        { vkFormat: 137, typeSize: 1, model: 130, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [0, 64, 64]] },
+  'bc3-rgba-unorm-srgb':   { vkFormat: 138, typeSize: 1, model: 130, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [0, 64, 64]] },
+  'bc4-r-unorm':           { vkFormat: 139, typeSize: 1, model: 131, bytes: 8,  block: 4, kind: 'unorm', samples: [[0, 0, 64]] },
+  'bc4-r-snorm':           { vkFormat: 140, typeSize: 1, model: 131, bytes: 8,  block: 4, kind: 'snorm', samples: [[0, 0, 64]] },
+  'bc5-rg-unorm':          { vkFormat: 141, typeSize: 1, model: 132, bytes: 16, block: 4, kind: 'unorm', samples: [[0, 0, 64], [1, 64, 64]] },
+  'bc5-rg-snorm':          { vkFormat: 142, typeSize: 1, model: 132, bytes: 16, block: 4, kind: 'snorm', samples: [[0, 0, 64], [1, 64, 64]] },
+  'bc6h-rgb-ufloat':       { vkFormat: 143, typeSize: 1, model: 133, bytes: 16, block: 4, kind: 'ufloat', samples: [[0, 0, 128]] },
+  'bc6h-rgb-float':        { vkFormat: 144, typeSize: 1, model: 133, bytes: 16, block: 4, kind: 'sfloat', samples: [[0, 0, 128]] },
+  'bc7-rgba-unorm':        { vkFormat: 145, typeSize: 1, model: 134, bytes: 16, block: 4, kind: 'unorm', samples: [[0, 0, 128]] },
+  'bc7-rgba-unorm-srgb':   { vkFormat: 146, typeSize: 1, model: 134, bytes: 16, block: 4, kind: 'unorm', samples: [[0, 0, 128]] },
+  'etc2-rgb8unorm':        { vkFormat: 147, typeSize: 1, model: 161, bytes: 8,  block: 4, kind: 'unorm', samples: [[2, 0, 64]] },
+  'etc2-rgb8unorm-srgb':   { vkFormat: 148, typeSize: 1, model: 161, bytes: 8,  block: 4, kind: 'unorm', samples: [[2, 0, 64]] },
+  'etc2-rgb8a1unorm':      { vkFormat: 149, typeSize: 1, model: 161, bytes: 8,  block: 4, kind: 'unorm', samples: [[2, 0, 64]] },
+  'etc2-rgb8a1unorm-srgb': { vkFormat: 150, typeSize: 1, model: 161, bytes: 8,  block: 4, kind: 'unorm', samples: [[2, 0, 64]] },
+  'etc2-rgba8unorm':       { vkFormat: 151, typeSize: 1, model: 161, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [2, 64, 64]] },
+  'etc2-rgba8unorm-srgb':  { vkFormat: 152, typeSize: 1, model: 161, bytes: 16, block: 4, kind: 'unorm', samples: [[15, 0, 64], [2, 64, 64]] },
+  'astc-4x4-unorm':        { vkFormat: 157, typeSize: 1, model: 162, bytes: 16, block: 4, kind: 'unorm', samples: [[0, 0, 128]] },
+  'astc-4x4-unorm-srgb':   { vkFormat: 158, typeSize: 1, model: 162, bytes: 16, block: 4, kind: 'unorm', samples: [[0, 0, 128]] }
+};
+
+// Sample qualifiers (top nibble of the first word) and sampleLower/Upper for each kind
+const DFD_SAMPLE_KINDS = {
+  unorm8: { qualifiers: 0x0, lower: 0, upper: 255 },
+  unorm:  { qualifiers: 0x0, lower: 0, upper: 0xFFFFFFFF },
+  snorm:  { qualifiers: 0x4, lower: 0x80000000, upper: 0x7FFFFFFF },
+  ufloat: { qualifiers: 0x8, lower: 0x00000000, upper: 0x3F800000 },  // 0.0f .. 1.0f
+  sfloat: { qualifiers: 0xC, lower: 0xBF800000, upper: 0x3F800000 }   // -1.0f .. 1.0f
+};
+
+// Basic DFD for one of KTX2_WRITE_FORMATS. Alpha samples of sRGB formats are marked linear.
+function makeKTX2DFD(format, colorPrimaries = 1, premultipliedAlpha = false) {
+  const f = KTX2_WRITE_FORMATS[format];
+  const srgb = format.endsWith('-srgb');
+  const kind = DFD_SAMPLE_KINDS[f.kind];
+  const blockSize = 24 + 16 * f.samples.length;
+  const w = byteWriter();
+  w.u32(4 + blockSize);                  // dfdTotalSize
+  w.u32(0);                              // vendorId 0, descriptorType 0
+  w.u32(2 | (blockSize << 16));          // versionNumber 2, descriptorBlockSize
+  w.u8(f.model);
+  w.u8(colorPrimaries);
+  w.u8(srgb ? 2 : 1);                    // transferFunction SRGB / LINEAR
+  w.u8(premultipliedAlpha ? 1 : 0);
+  for (let i = 0; i < 4; i++) {
+    w.u8(i < 2 ? f.block - 1 : 0);
+  }
+  for (let i = 0; i < 8; i++) {
+    w.u8(i === 0 ? f.bytes : 0);
+  }
+  for (const [channel, bitOffset, bitLength] of f.samples) {
+    const linear = srgb && channel === 15 ? 0x1 : 0;
+    w.u32(bitOffset | ((bitLength - 1) << 16) | (channel << 24) | ((kind.qualifiers | linear) << 28));
+    w.u32(0);                            // samplePosition
+    w.u32(kind.lower);
+    w.u32(kind.upper);
+  }
+  return new Uint8Array(w.bytes);
+}
+
+// KVD entries sorted by key; string values get their NUL terminator
+function makeKTX2KVD(kvd) {
+  const w = byteWriter();
+  for (const key of Object.keys(kvd).sort()) {
+    const value = kvd[key];
+    const valueBytes = typeof value === 'string' ? new TextEncoder().encode(value.replace(/\0+$/, '') + '\0') : value;
+    const keyBytes = new TextEncoder().encode(key);
+    w.u32(keyBytes.length + 1 + valueBytes.length);
+    for (const b of keyBytes) {
+      w.u8(b);
+    }
+    w.u8(0);
+    for (const b of valueBytes) {
+      w.u8(b);
+    }
+    while (w.bytes.length % 4) {
+      w.u8(0);
+    }
+  }
+  return new Uint8Array(w.bytes);
+}
+
+// Writes an uncompressed-scheme KTX2 file.
+//   format: a KTX2_WRITE_FORMATS key; levels: one Uint8Array per mip level, base level first,
+//   each holding every layer, face and z slice in KTX2 order; depth 0 unless 3D; layerCount
+//   0 unless an array; kvd: { key: string | Uint8Array }
+function encodeKTX2({ format, width, height, depth = 0, layerCount = 0, faceCount = 1, levels, kvd = {}, colorPrimaries = 1, premultipliedAlpha = false }) {
+  const f = KTX2_WRITE_FORMATS[format];
+  if (!f) {
+    throw new Error(`KTX2 export does not support ${format}`);
+  }
+
+  const dfd = makeKTX2DFD(format, colorPrimaries, premultipliedAlpha);
+  const kvdBytes = makeKTX2KVD(kvd);
+  const dfdOffset = 80 + 24 * levels.length;
+  const kvdOffset = dfdOffset + dfd.length;
+  const kvdEnd = kvdOffset + kvdBytes.length;
+
+  // Levels are stored smallest first, each aligned to lcm(texel block size, 4)
+  let align = f.bytes;
+  while (align % 4) {
+    align += f.bytes;
+  }
+  const offsets = new Array(levels.length);
+  let offset = kvdEnd;
+  for (let i = levels.length - 1; i >= 0; i--) {
+    offset = Math.ceil(offset / align) * align;
+    offsets[i] = offset;
+    offset += levels[i].length;
+  }
+
+  const w = byteWriter();
+  for (const b of [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]) {
+    w.u8(b);
+  }
+  w.u32(f.vkFormat);
+  w.u32(f.typeSize);
+  w.u32(width);
+  w.u32(height);
+  w.u32(depth);
+  w.u32(layerCount);
+  w.u32(faceCount);
+  w.u32(levels.length);
+  w.u32(0);                 // supercompressionScheme
+  w.u32(dfdOffset);
+  w.u32(dfd.length);
+  w.u32(kvdBytes.length ? kvdOffset : 0);
+  w.u32(kvdBytes.length);
+  w.u64(0);                 // sgdByteOffset
+  w.u64(0);                 // sgdByteLength
+  levels.forEach((data, i) => {
+    w.u64(offsets[i]);
+    w.u64(data.length);
+    w.u64(data.length);
+  });
+
+  const out = new Uint8Array(offset);
+  out.set(w.bytes);
+  out.set(dfd, dfdOffset);
+  out.set(kvdBytes, kvdOffset);
+  levels.forEach((data, i) => out.set(data, offsets[i]));
+  return out;
+}
+
+window.encodePNG = encodePNG;
+window.encodeEXR = encodeEXR;
+window.encodeRGBE = encodeRGBE;
+window.encodeKTX2 = encodeKTX2;
+window.KTX2_WRITE_FORMATS = KTX2_WRITE_FORMATS;
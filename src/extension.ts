@@ -153,6 +153,12 @@ export function activate(context: vscode.ExtensionContext): void {
       const readUri = panel.webview.asWebviewUri(
         vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'read.js')
       );
+      const validateUri = panel.webview.asWebviewUri(
+        vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'validate.js')
+      );
+      const writeUri = panel.webview.asWebviewUri(
+        vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'write.js')
+      );
       const scriptUri = panel.webview.asWebviewUri(
         vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'main.js')
       );
@@ -162,6 +168,8 @@ export function activate(context: vscode.ExtensionContext): void {
 
       const basisJsUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'basisu', 'basis_transcoder.js'));
       const basisWasmUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'basisu', 'basis_transcoder.wasm'));
+      const zstdJsUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'zstd', 'fzstd.js'));
+      const ktx2WorkerUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, 'KTX2', 'media', 'ktx2-worker.js'));
 
       // Handle messages from the webview
       panel.webview.onDidReceiveMessage(
@@ -170,6 +178,9 @@ export function activate(context: vscode.ExtensionContext): void {
             case 'validateGltf':
               await handleValidateGltf(panel, message.fileData, message.fileName, message.fileDir);
               break;
+            case 'saveExportedFile':
+              await handleSaveExportedFile(panel, message.requestId, message.fileData, message.fileName);
+              break;
           }
         },
         undefined,
@@ -191,7 +202,11 @@ export function activate(context: vscode.ExtensionContext): void {
         .replace(/\{\{cspSource\}\}/g, panel.webview.cspSource)
         .replace(/\{\{basisJsUri\}\}/g, basisJsUri.toString())
         .replace(/\{\{basisWasmUri\}\}/g, basisWasmUri.toString())
+        .replace(/\{\{zstdJsUri\}\}/g, zstdJsUri.toString())
+        .replace(/\{\{ktx2WorkerUri\}\}/g, ktx2WorkerUri.toString())
         .replace(/\{\{readUri\}\}/g, readUri.toString())
+        .replace(/\{\{validateUri\}\}/g, validateUri.toString())
+        .replace(/\{\{writeUri\}\}/g, writeUri.toString())
         .replace(/\{\{scriptUri\}\}/g, scriptUri.toString())
         .replace(/\{\{shaderUri\}\}/g, shaderUri.toString())
         .replace(/\{\{sidebarHtml\}\}/g, sidebarHtml.replace(/`/g, '\\`').replace(/\$/g, '\\$'));
@@ -1040,6 +1055,34 @@ async function handleValidateGltf(
   }
 }
 
+async function handleSaveExportedFile(
+  panel: vscode.WebviewPanel,
+  requestId: number,
+  base64Data: string,
+  fileName: string
+) {
+  try {
+    const ext = path.extname(fileName).slice(1);
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : vscode.Uri.file(fileName),
+      filters: { [ext.toUpperCase()]: [ext] }
+    });
+    if (!target) {
+      panel.webview.postMessage({ command: 'exportSaved', requestId, path: null });
+      return;
+    }
+
+    await vscode.workspace.fs.writeFile(target, Buffer.from(base64Data, 'base64'));
+    panel.webview.postMessage({ command: 'exportSaved', requestId, path: target.fsPath });
+
+  } catch (error: any) {
+    console.error('Export error:', error);
+    panel.webview.postMessage({ command: 'exportSaved', requestId, error: error.message });
+    vscode.window.showErrorMessage(`Export failed: ${error.message}`);
+  }
+}
+
 function getNonce() {
   const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let text = '';